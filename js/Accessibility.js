@@ -264,7 +264,7 @@ export class AccessibilityManager {
             }
 
             // Check for modal - if open, only allow Escape
-            const modal = document.querySelector('.level-complete-modal, .achievements-modal, .stats-modal, .help-modal');
+            const modal = document.querySelector('.level-complete-modal, .achievements-modal, .stats-modal, .packs-modal, .help-modal');
             if (modal) {
                 if (e.key === 'Escape') {
                     modal.remove();
@@ -1,6 +1,10 @@
 
+import { DEFAULT_PACK, DEFAULT_PACK_ID } from './LevelPack.js';
+import { PROGRESS_STORAGE_KEY } from './LevelManager.js';
+
 /**
  * Achievement definitions - One-time accomplishments
+ * "All levels" achievements count levels of the active pack
  */
 export const ACHIEVEMENTS = {
     // ===== Progress Achievements =====
@@ -21,9 +25,9 @@ export const ACHIEVEMENTS = {
     ALL_LEVELS: {
         id: 'ALL_LEVELS',
         name: 'Master Coder',
-        description: 'Complete all 14 levels',
+        description: 'Complete every level in a pack',
         icon: '🏆',
-        condition: (stats) => stats.levelsCompleted >= 14
+        condition: (stats) => stats.countInPack(stats.completedLevelIds) >= stats.totalLevels
     },
     
     // ===== Star Achievements =====
@@ -44,9 +48,9 @@ export const ACHIEVEMENTS = {
     PERFECTIONIST: {
         id: 'PERFECTIONIST',
         name: 'Perfectionist',
-        description: '3-star rating on all 14 levels',
+        description: '3-star rating on every level',
         icon: '💎',
-        condition: (stats) => stats.threeStarLevels >= 14
+        condition: (stats) => stats.countInPack(stats.threeStarLevelIds) >= stats.totalLevels
     },
     
     // ===== Speed Achievements (Time-based) =====
@@ -67,7 +71,7 @@ export const ACHIEVEMENTS = {
     MARATHON: {
         id: 'MARATHON',
         name: 'Marathon',
-        description: 'Complete all 14 levels in one session',
+        description: 'Complete every level in one session',
         icon: '🎯',
         condition: (stats) => stats.allLevelsOneSession
     },
@@ -167,12 +171,35 @@ export const ACHIEVEMENTS = {
     EXPLORER: {
         id: 'EXPLORER',
         name: 'Explorer',
-        description: 'Try all 14 levels (even without completing)',
+        description: 'Try every level in a pack (even without completing)',
         icon: '🗺️',
-        condition: (stats) => stats.levelsAttemptedCount >= 14
+        condition: (stats) => stats.countInPack(Object.keys(stats.levelsAttempted)) >= stats.totalLevels
     }
 };
 
+/**
+ * Get the keys (see PlayerStats.getLevelKey) of every level with 3 stars
+ * in the saved level progress of each pack
+ * @returns {Array} Level keys
+ */
+function readThreeStarLevelKeys() {
+    const keys = [];
+    for (let i = 0; i < localStorage.length; i++) {
+        const storageKey = localStorage.key(i);
+        if (storageKey !== PROGRESS_STORAGE_KEY && !storageKey.startsWith(`${PROGRESS_STORAGE_KEY}:`)) continue;
+
+        // Other packs are saved under "<key>:<packId>"
+        const packId = storageKey.slice(PROGRESS_STORAGE_KEY.length + 1);
+        const { stars = {} } = JSON.parse(localStorage.getItem(storageKey)) || {};
+        Object.entries(stars).forEach(([levelId, count]) => {
+            if (count === 3) {
+                keys.push(packId ? `${packId}:${levelId}` : Number(levelId));
+            }
+        });
+    }
+    return keys;
+}
+
 /**
  * Player statistics for achievement tracking
  */
@@ -187,6 +214,7 @@ export class PlayerStats {
         // Stars
         this.totalStars = 0;
         this.threeStarLevels = 0;
+        this.threeStarLevelIds = [];
         
         // Time tracking
         this.sessionStartTime = Date.now();
@@ -196,6 +224,7 @@ export class PlayerStats {
         this.allLevelsOneSession = false;
         this.allLevelsUnder30Min = false;
         this.levelsThisSession = 0;
+        this.sessionLevelIds = [];
         this.sessionLevelTimes = [];
         
         // Efficiency
@@ -210,6 +239,33 @@ export class PlayerStats {
         // Challenges
         this.flawlessCompletions = 0;
         this.comebackVictories = 0;
+        
+        // Active level pack (not saved)
+        this.packId = DEFAULT_PACK_ID;
+        this.totalLevels = DEFAULT_PACK.levels.length;
+    }
+
+    /**
+     * Get the key a level is tracked under
+     * Level ids repeat across packs, so levels outside the built-in pack get a pack prefix
+     * @param {number} levelId - Level id in the active pack
+     * @returns {number|string}
+     */
+    getLevelKey(levelId) {
+        return this.packId === DEFAULT_PACK_ID ? levelId : `${this.packId}:${levelId}`;
+    }
+
+    /**
+     * Count level keys that belong to the active pack
+     * @param {Array} keys - Level keys
+     * @returns {number}
+     */
+    countInPack(keys) {
+        const prefix = `${this.packId}:`;
+        return keys.filter(key => {
+            const text = String(key);
+            return this.packId === DEFAULT_PACK_ID ? !text.includes(':') : text.startsWith(prefix);
+        }).length;
     }
 
     /**
@@ -223,6 +279,7 @@ export class PlayerStats {
         // Reset session tracking on load
         this.sessionStartTime = Date.now();
         this.levelsThisSession = 0;
+        this.sessionLevelIds = [];
         this.sessionLevelTimes = [];
     }
 
@@ -237,7 +294,10 @@ export class PlayerStats {
             // Don't save session-specific data
             sessionStartTime: undefined,
             levelsThisSession: undefined,
-            sessionLevelTimes: undefined
+            sessionLevelIds: undefined,
+            sessionLevelTimes: undefined,
+            packId: undefined,
+            totalLevels: undefined
         };
     }
 }
@@ -264,6 +324,11 @@ export class AchievementsManager {
                 const parsed = JSON.parse(data);
                 this.stats.loadFrom(parsed.stats || {});
                 this.unlockedAchievements = new Set(parsed.unlocked || []);
+
+                // Older saves only counted 3-star levels - find them in the level progress
+                if (!Array.isArray(parsed.stats?.threeStarLevelIds)) {
+                    this.stats.threeStarLevelIds = readThreeStarLevelKeys();
+                }
             }
         } catch (e) {
             console.warn('Failed to load achievements:', e);
@@ -285,6 +350,16 @@ export class AchievementsManager {
         }
     }
 
+    /**
+     * Set the level pack being played
+     * @param {string} packId - Pack id
+     * @param {number} levelCount - Number of levels in the pack
+     */
+    setPack(packId, levelCount) {
+        this.stats.packId = packId;
+        this.stats.totalLevels = levelCount;
+    }
+
     /**
      * Start timing a level attempt
      */
@@ -296,6 +371,7 @@ export class AchievementsManager {
      * Record level attempt (even if not completed)
      */
     recordLevelAttempt(levelId) {
+        levelId = this.stats.getLevelKey(levelId);
         if (!this.stats.levelsAttempted[levelId]) {
             this.stats.levelsAttempted[levelId] = { attempts: 0, completed: false };
             this.stats.levelsAttemptedCount++;
@@ -308,6 +384,7 @@ export class AchievementsManager {
      * Record level completion
      */
     recordLevelComplete(levelId, stars, actionsUsed, hitObstacle, attempts) {
+        levelId = this.stats.getLevelKey(levelId);
         const levelTime = this.levelStartTime ? (Date.now() - this.levelStartTime) / 1000 : 999;
         
         // Track completion
@@ -332,6 +409,9 @@ export class AchievementsManager {
         this.stats.totalStars += stars;
         if (stars === 3) {
             this.stats.threeStarLevels++;
+            if (!this.stats.threeStarLevelIds.includes(levelId)) {
+                this.stats.threeStarLevelIds.push(levelId);
+            }
         }
 
         // Time tracking
@@ -341,6 +421,9 @@ export class AchievementsManager {
         
         // Session tracking
         this.stats.levelsThisSession++;
+        if (!this.stats.sessionLevelIds.includes(levelId)) {
+            this.stats.sessionLevelIds.push(levelId);
+        }
         this.stats.sessionLevelTimes.push(levelTime);
         
         // Check 5 levels under 10 min
@@ -351,8 +434,8 @@ export class AchievementsManager {
             }
         }
         
-        // Check all levels in one session
-        if (this.stats.levelsThisSession >= 14) {
+        // Check all levels of the active pack in one session
+        if (this.stats.countInPack(this.stats.sessionLevelIds) >= this.stats.totalLevels) {
             this.stats.allLevelsOneSession = true;
             const totalTime = this.stats.sessionLevelTimes.reduce((a, b) => a + b, 0);
             if (totalTime < 1800) { // 30 minutes
@@ -459,7 +542,9 @@ export class AchievementsManager {
      * Reset all achievements (for testing)
      */
     reset() {
+        const { packId, totalLevels } = this.stats;
         this.stats = new PlayerStats();
+        this.setPack(packId, totalLevels);
         this.unlockedAchievements.clear();
         this.newlyUnlocked = [];
         localStorage.removeItem('startschool_achievements');
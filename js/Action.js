@@ -13,9 +13,62 @@ export const ActionType = {
     MOVE_DOWN: 'MOVE_DOWN',
     MOVE_LEFT: 'MOVE_LEFT',
     MOVE_RIGHT: 'MOVE_RIGHT',
+    FORWARD: 'FORWARD',
+    TURN_LEFT: 'TURN_LEFT',
+    TURN_RIGHT: 'TURN_RIGHT',
     WAIT: 'WAIT'
 };
 
+/**
+ * How a level's moves work
+ */
+export const MovementMode = {
+    ABSOLUTE: 'ABSOLUTE',    // Moves go up, down, left or right on the board
+    TURTLE: 'TURTLE'         // The ball faces a heading: forward, turn left, turn right
+};
+
+/**
+ * Moves the action panel offers in each movement mode
+ */
+export const MovementActions = {
+    [MovementMode.ABSOLUTE]: [ActionType.MOVE_UP, ActionType.MOVE_LEFT, ActionType.MOVE_DOWN, ActionType.MOVE_RIGHT],
+    [MovementMode.TURTLE]: [ActionType.TURN_LEFT, ActionType.FORWARD, ActionType.TURN_RIGHT]
+};
+
+/**
+ * Headings in clockwise order (a right turn moves one step on)
+ */
+export const Headings = ['UP', 'RIGHT', 'DOWN', 'LEFT'];
+
+/**
+ * Absolute move that goes the way each heading faces
+ */
+const HEADING_MOVES = {
+    UP: ActionType.MOVE_UP,
+    RIGHT: ActionType.MOVE_RIGHT,
+    DOWN: ActionType.MOVE_DOWN,
+    LEFT: ActionType.MOVE_LEFT
+};
+
+/**
+ * Quarter turns each turning action makes (+1 = clockwise)
+ */
+const TURNS = {
+    [ActionType.TURN_LEFT]: -1,
+    [ActionType.TURN_RIGHT]: 1
+};
+
+/**
+ * Get the heading after turning
+ * @param {string} heading - One of Headings
+ * @param {number} turn - Quarter turns (+1 = right, -1 = left)
+ * @returns {string} New heading
+ */
+export function turnHeading(heading, turn) {
+    const index = Headings.indexOf(heading);
+    return Headings[(index + turn + Headings.length * 4) % Headings.length];
+}
+
 /**
  * Direction vectors for each movement action
  */
@@ -27,6 +80,29 @@ export const DirectionVectors = {
     [ActionType.WAIT]: { dx: 0, dy: 0 }
 };
 
+/**
+ * Direction vector of each heading
+ */
+export const HeadingVectors = Object.fromEntries(
+    Headings.map(heading => [heading, DirectionVectors[HEADING_MOVES[heading]]])
+);
+
+/**
+ * Get the direction vector of a side of the ball: a board direction, or
+ * for FORWARD and the turns, the way the ball would face after the move
+ * (the sides conditions look at on turtle levels)
+ * @param {string} side - ActionType value
+ * @param {string|null} heading - Way the ball faces
+ * @returns {{dx: number, dy: number}} Direction vector
+ */
+export function getSideVector(side, heading) {
+    if (side === ActionType.FORWARD || side in TURNS) {
+        if (!heading) return { dx: 0, dy: 0 };
+        return HeadingVectors[turnHeading(heading, TURNS[side] || 0)];
+    }
+    return DirectionVectors[side] || { dx: 0, dy: 0 };
+}
+
 /**
  * Action icons for UI display
  */
@@ -35,6 +111,9 @@ export const ActionIcons = {
     [ActionType.MOVE_DOWN]: '↓',
     [ActionType.MOVE_LEFT]: '←',
     [ActionType.MOVE_RIGHT]: '→',
+    [ActionType.FORWARD]: '⇧',
+    [ActionType.TURN_LEFT]: '↺',
+    [ActionType.TURN_RIGHT]: '↻',
     [ActionType.WAIT]: '◇'
 };
 
@@ -52,6 +131,10 @@ export class Action {
         this.duration = duration;
         this.id = Action.generateId();
         
+        // Parameter slot this action fills inside a block, like "X" (null for a fixed move).
+        // The type is then only the default, used when no argument is bound
+        this.param = null;
+        
         // Execution state
         this.isExecuting = false;
         this.isComplete = false;
@@ -68,17 +151,30 @@ export class Action {
 
     /**
      * Get direction vector for this action
+     * @param {string|null} heading - Way the ball faces (FORWARD goes that way)
      * @returns {{dx: number, dy: number}} Direction vector
      */
-    getDirection() {
+    getDirection(heading = null) {
+        if (this.type === ActionType.FORWARD) {
+            return HeadingVectors[heading] || { dx: 0, dy: 0 };
+        }
         return DirectionVectors[this.type] || { dx: 0, dy: 0 };
     }
 
+    /**
+     * Get the quarter turns this action makes
+     * @returns {number} +1 for a right turn, -1 for a left turn, 0 otherwise
+     */
+    getTurn() {
+        return TURNS[this.type] || 0;
+    }
+
     /**
      * Get icon for this action
      * @returns {string} Icon character
      */
     getIcon() {
+        if (this.param) return this.param;
         return ActionIcons[this.type] || '?';
     }
 
@@ -135,7 +231,9 @@ export class Action {
      * @returns {Action} New action with same type
      */
     clone() {
-        return new Action(this.type, this.duration);
+        const cloned = new Action(this.type, this.duration);
+        cloned.param = this.param;
+        return cloned;
     }
 
     /**
@@ -143,10 +241,14 @@ export class Action {
      * @returns {Object} Serialized action
      */
     toJSON() {
-        return {
+        const data = {
             type: this.type,
             duration: this.duration
         };
+        if (this.param) {
+            data.param = this.param;
+        }
+        return data;
     }
 
     /**
@@ -155,6 +257,8 @@ export class Action {
      * @returns {Action} New action instance
      */
     static fromJSON(data) {
-        return new Action(data.type, data.duration);
+        const action = new Action(data.type, data.duration);
+        action.param = data.param || null;
+        return action;
     }
 }
@@ -1,6 +1,8 @@
 /**
  * ActionGroup Class
  * Represents a reusable group of actions (like a function)
+ * A block can also call other blocks; calls are live, so editing the
+ * called block changes every block that calls it
  */
 
 import { Action, ActionType, ActionIcons } from './Action.js';
@@ -20,6 +22,20 @@ export const GroupColors = [
     '#A8D8EA'   // Light Blue
 ];
 
+/**
+ * Names of direction parameter slots, in the order clicking a move cycles them
+ */
+export const PARAM_NAMES = ['X', 'Y'];
+
+/**
+ * Moves an argument cycles through: board directions, or turtle moves
+ * for blocks recorded on turtle levels
+ */
+const ARG_CYCLES = [
+    [ActionType.MOVE_RIGHT, ActionType.MOVE_DOWN, ActionType.MOVE_LEFT, ActionType.MOVE_UP],
+    [ActionType.FORWARD, ActionType.TURN_LEFT, ActionType.TURN_RIGHT]
+];
+
 export class ActionGroup {
     /**
      * Create a new ActionGroup
@@ -30,7 +46,7 @@ export class ActionGroup {
         this.id = ActionGroup.generateId();
         this.name = name || 'Block';
         this.color = color || GroupColors[ActionGroup.groupCount % GroupColors.length];
-        this.actions = [];
+        this.actions = []; // Actions and GroupReferences to other blocks
         this.icon = '▣';
         
         ActionGroup.groupCount++;
@@ -50,11 +66,49 @@ export class ActionGroup {
     }
 
     /**
-     * Add action to group
-     * @param {Action} action - Action to add
+     * Add action (or a call to another block) to group
+     * @param {Action|GroupReference} action - Action or call to add
+     * @returns {boolean} True if added, false if the call would make the block call itself
      */
     addAction(action) {
+        if (action.isGroupReference && action.isGroupReference() && !this.canCall(action.group)) {
+            console.warn(`Block ${this.name} can't call a block that calls it`);
+            return false;
+        }
         this.actions.push(action.clone());
+        return true;
+    }
+
+    /**
+     * Get the blocks this block calls directly
+     * @returns {ActionGroup[]} Called blocks, each once
+     */
+    getCalledGroups() {
+        const called = [];
+        this.actions.forEach(item => {
+            if (item.isGroupReference && item.isGroupReference() && !called.includes(item.group)) {
+                called.push(item.group);
+            }
+        });
+        return called;
+    }
+
+    /**
+     * Check if this block calls a block, directly or through other blocks
+     * @param {ActionGroup} group - Block to look for
+     * @returns {boolean}
+     */
+    calls(group) {
+        return this.getCalledGroups().some(called => called === group || called.calls(group));
+    }
+
+    /**
+     * Check if this block may call a block without creating a cycle
+     * @param {ActionGroup} group - Block to call
+     * @returns {boolean}
+     */
+    canCall(group) {
+        return group !== this && !group.calls(this);
     }
 
     /**
@@ -76,21 +130,81 @@ export class ActionGroup {
     }
 
     /**
-     * Get all actions (cloned for execution)
+     * Turn a move into the next parameter slot: fixed → X → Y → fixed
+     * @param {number} index - Index of the action
+     * @returns {boolean} True if changed, false if the action can't be a slot
+     */
+    toggleParam(index) {
+        const action = this.actions[index];
+        if (!(action instanceof Action) || !action.isMovement()) {
+            return false;
+        }
+        
+        const names = [null, ...PARAM_NAMES];
+        action.param = names[(names.indexOf(action.param) + 1) % names.length];
+        return true;
+    }
+
+    /**
+     * Get the parameter names used by the block's slots
+     * @returns {string[]} Names in PARAM_NAMES order
+     */
+    get params() {
+        return PARAM_NAMES.filter(name => this.actions.some(a => a.param === name));
+    }
+
+    /**
+     * Get the argument used when a call does not bind one:
+     * the direction the first slot with each name was recorded with
+     * @returns {Object} Map of parameter name to ActionType
+     */
+    getDefaultArgs() {
+        const args = {};
+        this.actions.forEach(action => {
+            if (action.param && !(action.param in args)) {
+                args[action.param] = action.type;
+            }
+        });
+        return args;
+    }
+
+    /**
+     * Get all actions (cloned for execution), with parameter slots filled in
+     * and calls to other blocks expanded
+     * @param {Object} args - Map of parameter name to ActionType (missing ones use the default)
      * @returns {Action[]} Array of cloned actions
      */
-    getActions() {
-        return this.actions.map(action => action.clone());
+    getActions(args = {}) {
+        return this.actions.flatMap(action => {
+            if (action.isGroupReference && action.isGroupReference()) {
+                return action.getActions();
+            }
+            
+            const cloned = action.clone();
+            if (action.param) {
+                cloned.type = args[action.param] || action.type;
+                cloned.param = null;
+            }
+            return cloned;
+        });
     }
 
     /**
      * Get action count
-     * @returns {number} Number of actions
+     * @returns {number} Number of actions (a call counts as one)
      */
     get size() {
         return this.actions.length;
     }
 
+    /**
+     * Get the number of actions that run, with calls expanded
+     * @returns {number}
+     */
+    get actionCount() {
+        return this.getActions().length;
+    }
+
     /**
      * Check if group is empty
      * @returns {boolean} True if empty
@@ -104,7 +218,7 @@ export class ActionGroup {
      * @returns {string} Compact string like "↑↑→↓"
      */
     getCompactView() {
-        return this.actions.map(a => a.getIcon()).join('');
+        return this.actions.map(a => a.isGroupReference && a.isGroupReference() ? this.icon : a.getIcon()).join('');
     }
 
     /**
@@ -148,12 +262,21 @@ export class ActionGroup {
     /**
      * Create group from serialized data
      * @param {Object} data - Serialized data
+     * @param {ActionGroup[]} groups - Blocks its calls may refer to (only ones read before it)
      * @returns {ActionGroup} New group instance
+     * @throws {Error} If a called block is missing
      */
-    static fromJSON(data) {
+    static fromJSON(data, groups = []) {
         const group = new ActionGroup(data.name, data.color);
         group.id = data.id;
         data.actions.forEach(actionData => {
+            if (actionData.type === 'GroupReference') {
+                group.actions.push(GroupReference.fromJSON(actionData, groups));
+                return;
+            }
+            if (actionData.param && !PARAM_NAMES.includes(actionData.param)) {
+                throw new Error(`Unknown parameter "${actionData.param}"`);
+            }
             group.actions.push(Action.fromJSON(actionData));
         });
         return group;
@@ -167,6 +290,24 @@ export class ActionGroup {
     }
 }
 
+/**
+ * Order blocks so every block comes after the blocks it calls,
+ * which lets them be read back one by one
+ * Called blocks missing from the list are added
+ * @param {ActionGroup[]} groups - Blocks
+ * @returns {ActionGroup[]} Ordered blocks
+ */
+export function orderByCalls(groups) {
+    const ordered = [];
+    const visit = group => {
+        if (ordered.includes(group)) return;
+        group.getCalledGroups().forEach(visit);
+        ordered.push(group);
+    };
+    groups.forEach(visit);
+    return ordered;
+}
+
 /**
  * GroupReference Class
  * Represents a reference to an ActionGroup in the queue
@@ -176,11 +317,13 @@ export class GroupReference {
     /**
      * Create a new GroupReference
      * @param {ActionGroup} group - The referenced group
+     * @param {Object} args - Arguments for the group's parameters, like { X: 'MOVE_DOWN' }
      */
-    constructor(group) {
+    constructor(group, args = {}) {
         this.id = GroupReference.generateId();
         this.groupId = group.id;
         this.group = group;
+        this.args = { ...args };
         
         // Execution state
         this.isExecuting = false;
@@ -197,11 +340,46 @@ export class GroupReference {
     }
 
     /**
-     * Get all actions from the group
+     * Get the arguments for the group's current parameters
+     * Slots added to the block after this call was placed use their default
+     * @returns {Object} Map of parameter name to ActionType
+     */
+    getArgs() {
+        const defaults = this.group.getDefaultArgs();
+        const args = {};
+        this.group.params.forEach(name => {
+            args[name] = this.args[name] || defaults[name];
+        });
+        return args;
+    }
+
+    /**
+     * Bind a parameter to the next move of the same kind
+     * @param {string} name - Parameter name
+     */
+    cycleArg(name) {
+        const current = this.getArgs()[name];
+        const cycle = ARG_CYCLES.find(moves => moves.includes(current)) || ARG_CYCLES[0];
+        const index = cycle.indexOf(current);
+        this.args[name] = cycle[(index + 1) % cycle.length];
+    }
+
+    /**
+     * Get the bound arguments as text, like "X=→ Y=↓"
+     * @returns {string} Empty for a block without parameters
+     */
+    getArgsLabel() {
+        return Object.entries(this.getArgs())
+            .map(([name, type]) => `${name}=${ActionIcons[type]}`)
+            .join(' ');
+    }
+
+    /**
+     * Get all actions from the group, with the arguments bound
      * @returns {Action[]} Array of actions
      */
     getActions() {
-        return this.group.getActions();
+        return this.group.getActions(this.getArgs());
     }
 
     /**
@@ -242,6 +420,43 @@ export class GroupReference {
      * @returns {GroupReference} New reference to same group
      */
     clone() {
-        return new GroupReference(this.group);
+        return new GroupReference(this.group, this.args);
+    }
+
+    /**
+     * Serialize reference for storage (the group is stored separately)
+     * @returns {Object} Serialized reference
+     */
+    toJSON() {
+        const data = {
+            type: 'GroupReference',
+            groupId: this.groupId
+        };
+        if (Object.keys(this.args).length > 0) {
+            data.args = { ...this.args };
+        }
+        return data;
+    }
+
+    /**
+     * Create reference from serialized data
+     * @param {Object} data - Serialized data
+     * @param {ActionGroup[]} groups - Groups to look the reference up in
+     * @returns {GroupReference} New reference instance
+     * @throws {Error} If the group is missing
+     */
+    static fromJSON(data, groups) {
+        const group = groups.find(g => g.id === data.groupId);
+        if (!group) {
+            throw new Error(`Block ${data.groupId} not found`);
+        }
+        
+        const args = data.args || {};
+        Object.entries(args).forEach(([name, type]) => {
+            if (!PARAM_NAMES.includes(name) || !ARG_CYCLES.some(moves => moves.includes(type))) {
+                throw new Error(`Bad argument ${name}=${type}`);
+            }
+        });
+        return new GroupReference(group, args);
     }
 }
@@ -1,13 +1,14 @@
 /**
  * ActionQueue Class
  * Manages a queue of actions for sequential execution
- * Supports individual actions, group references, and repeat blocks
+ * Supports individual actions, group references, repeat blocks, nests and conditional blocks
  */
 
 import { Action, ActionType } from './Action.js';
 import { GroupReference } from './ActionGroup.js';
-import { RepeatBlock } from './RepeatBlock.js';
-import { RecursiveReference } from './RecursiveGroup.js';
+import { RepeatBlock, MAX_UNTIL_ITERATIONS } from './RepeatBlock.js';
+import { RecursiveReference, MAX_CALL_DEPTH } from './RecursiveGroup.js';
+import { ConditionalBlock } from './ConditionalBlock.js';
 import { CONFIG } from './config.js';
 
 /**
@@ -35,6 +36,13 @@ export class ActionQueue {
         this.expandedActions = [];  // Flattened actions for execution
         this.expandedIndex = 0;
         
+        // Playback speed
+        this.speed = 1;             // Multiplies the time passed to actions
+        this.instant = false;       // Run the whole queue in a single update
+        
+        // Answers a conditional block's condition: (condition) => boolean
+        this.sensor = null;
+        
         // Callbacks
         this.onActionStart = null;
         this.onActionComplete = null;
@@ -48,6 +56,8 @@ export class ActionQueue {
         this.onRecursionStart = null;
         this.onRecursionDepthChange = null;
         this.onRecursionComplete = null;
+        this.onStackOverflow = null;
+        this.onConditionChecked = null;
     }
 
     /**
@@ -78,6 +88,50 @@ export class ActionQueue {
         return true;
     }
 
+    /**
+     * Insert item at a position in the queue
+     * @param {number} index - Position (items from there on move right)
+     * @param {Action|GroupReference|RepeatBlock|RecursiveReference|ConditionalBlock} item - Item to insert
+     * @returns {boolean} True if item was inserted
+     */
+    insertAt(index, item) {
+        if (this.items.length >= this.maxSize) {
+            console.warn('Action queue is full');
+            return false;
+        }
+
+        if (this.state === QueueState.RUNNING) {
+            console.warn('Cannot add items while running');
+            return false;
+        }
+
+        this.items.splice(Math.max(0, Math.min(index, this.items.length)), 0, item);
+        this.notifyChange();
+        return true;
+    }
+
+    /**
+     * Move an item to another position
+     * @param {number} from - Current index
+     * @param {number} to - Index it ends up at
+     * @returns {boolean} True if the item moved
+     */
+    moveItem(from, to) {
+        if (this.state === QueueState.RUNNING) {
+            console.warn('Cannot move items while running');
+            return false;
+        }
+
+        if (from < 0 || from >= this.items.length || to < 0 || to >= this.items.length || from === to) {
+            return false;
+        }
+
+        const [item] = this.items.splice(from, 1);
+        this.items.splice(to, 0, item);
+        this.notifyChange();
+        return true;
+    }
+
     /**
      * Add action by type
      * @param {string} actionType - ActionType enum value
@@ -91,10 +145,11 @@ export class ActionQueue {
     /**
      * Add group reference to queue
      * @param {ActionGroup} group - Group to reference
+     * @param {Object} args - Arguments for the group's parameters (missing ones use the default)
      * @returns {boolean} True if added
      */
-    addGroupReference(group) {
-        const ref = new GroupReference(group);
+    addGroupReference(group, args = {}) {
+        const ref = new GroupReference(group, args);
         return this.add(ref);
     }
 
@@ -110,10 +165,11 @@ export class ActionQueue {
     /**
      * Add recursive reference to queue
      * @param {RecursiveGroup} group - Recursive group to reference
+     * @param {number|null} depth - Depth argument (null uses the group's depth)
      * @returns {boolean} True if added
      */
-    addRecursiveReference(group) {
-        const ref = new RecursiveReference(group);
+    addRecursiveReference(group, depth = null) {
+        const ref = new RecursiveReference(group, depth);
         return this.add(ref);
     }
 
@@ -168,42 +224,14 @@ export class ActionQueue {
         this.expandedActions = [];
         
         this.items.forEach((item, itemIndex) => {
-            if (item.isRepeatBlock && item.isRepeatBlock()) {
+            if (item.isRepeatBlock && item.isRepeatBlock() && item.isUntilLoop) {
+                // Placeholder - iterations are added by resolveConditions() while the condition fails
+                this.expandedActions.push(this.createLoopCheck(item, itemIndex, 0));
+            } else if (item.isRepeatBlock && item.isRepeatBlock()) {
                 // Expand repeat block
-                const expandedRepeat = item.getExpandedActions();
-                let lastIteration = -1;
-                
-                expandedRepeat.forEach((expandedItem, actionIndex) => {
-                    const isNewIteration = expandedItem.iteration !== lastIteration;
-                    const isLastAction = actionIndex === expandedRepeat.length - 1;
-                    
-                    this.expandedActions.push({
-                        action: expandedItem.action,
-                        itemIndex: itemIndex,
-                        isFromGroup: false,
-                        isFromRepeat: true,
-                        isFromRecursion: false,
-                        repeatBlock: item,
-                        recursiveRef: null,
-                        recursionDepth: 0,
-                        recursionPhase: null,
-                        iteration: expandedItem.iteration,
-                        totalIterations: item.count,
-                        isFirstInIteration: isNewIteration,
-                        isLastInIteration: actionIndex === expandedRepeat.length - 1 || 
-                            (expandedRepeat[actionIndex + 1]?.iteration !== expandedItem.iteration),
-                        isFirstInRepeat: actionIndex === 0,
-                        isLastInRepeat: isLastAction,
-                        groupRef: null,
-                        actionIndexInGroup: -1,
-                        isFirstInGroup: false,
-                        isLastInGroup: false
-                    });
-                    
-                    lastIteration = expandedItem.iteration;
-                });
+                this.expandedActions.push(...this.createRepeatEntries(item, itemIndex, item.getExpandedActions()));
             } else if (item.isGroupReference && item.isGroupReference()) {
-                // Expand group into individual actions
+                // Expand group into individual actions, with the call's arguments in its slots
                 const actions = item.getActions();
                 actions.forEach((action, actionIndex) => {
                     this.expandedActions.push({
@@ -228,45 +256,48 @@ export class ActionQueue {
                         isLastInGroup: actionIndex === actions.length - 1
                     });
                 });
+            } else if (item.isRecursiveReference && item.isRecursiveReference() && item.group.hasStopCondition) {
+                // Placeholder - calls are added by resolveConditions() until the stop condition holds
+                this.expandedActions.push({
+                    ...this.createCallCheck(item, itemIndex, 0),
+                    isFirstInRecursion: true,
+                    isLastInRecursion: true
+                });
             } else if (item.isRecursiveReference && item.isRecursiveReference()) {
-                // Expand recursive group
+                // Expand recursive group to the call's depth
                 const expandedRecursive = item.getExpandedActions();
-                let lastDepth = -1;
                 
                 expandedRecursive.forEach((expandedItem, actionIndex) => {
-                    const isNewDepth = expandedItem.depth !== lastDepth;
-                    const isLastAction = actionIndex === expandedRecursive.length - 1;
-                    const isFirstAction = actionIndex === 0;
-                    
                     this.expandedActions.push({
-                        action: expandedItem.action,
-                        itemIndex: itemIndex,
-                        isFromGroup: false,
-                        isFromRepeat: false,
-                        isFromRecursion: true,
-                        repeatBlock: null,
-                        recursiveRef: item,
-                        recursionDepth: expandedItem.depth,
-                        recursionPhase: expandedItem.phase,
-                        recursionMaxDepth: item.getMaxDepth(),
-                        isBaseCase: expandedItem.isBaseCase,
-                        isFirstAtDepth: expandedItem.isFirstAtDepth,
-                        isLastAtDepth: expandedItem.isLastAtDepth,
-                        iteration: 0,
-                        totalIterations: 1,
-                        isFirstInIteration: false,
-                        isLastInIteration: false,
-                        isFirstInRepeat: false,
-                        isLastInRepeat: false,
-                        isFirstInRecursion: isFirstAction,
-                        isLastInRecursion: isLastAction,
-                        groupRef: null,
-                        actionIndexInGroup: -1,
-                        isFirstInGroup: false,
-                        isLastInGroup: false
+                        ...this.createRecursionEntry(item, itemIndex, expandedItem, item.getMaxDepth()),
+                        isFirstInRecursion: actionIndex === 0,
+                        isLastInRecursion: actionIndex === expandedRecursive.length - 1
                     });
-                    
-                    lastDepth = expandedItem.depth;
+                });
+            } else if (item.isConditionalBlock && item.isConditionalBlock()) {
+                // Placeholder - replaced by a branch in resolveConditions()
+                this.expandedActions.push({
+                    action: null,
+                    itemIndex: itemIndex,
+                    isCondition: true,
+                    conditional: item,
+                    isFromGroup: false,
+                    isFromRepeat: false,
+                    isFromRecursion: false,
+                    repeatBlock: null,
+                    recursiveRef: null,
+                    recursionDepth: 0,
+                    recursionPhase: null,
+                    iteration: 0,
+                    totalIterations: 1,
+                    isFirstInIteration: false,
+                    isLastInIteration: false,
+                    isFirstInRepeat: false,
+                    isLastInRepeat: false,
+                    groupRef: null,
+                    actionIndexInGroup: -1,
+                    isFirstInGroup: false,
+                    isLastInGroup: false
                 });
             } else {
                 // Regular action
@@ -295,6 +326,353 @@ export class ActionQueue {
         });
     }
 
+    /**
+     * Create expanded entries for repeat block actions
+     * Until loops get one iteration at a time, so none of their entries ends the repeat
+     * @param {RepeatBlock} repeatBlock - Repeat block
+     * @param {number} itemIndex - Queue item index
+     * @param {Array} expandedRepeat - Actions from getExpandedActions / getIterationActions
+     * @returns {Array} Expanded entries
+     */
+    createRepeatEntries(repeatBlock, itemIndex, expandedRepeat) {
+        const isUntilLoop = repeatBlock.isUntilLoop;
+        
+        return expandedRepeat.map((expandedItem, actionIndex) => {
+            const previous = expandedRepeat[actionIndex - 1];
+            const next = expandedRepeat[actionIndex + 1];
+            
+            return {
+                action: expandedItem.action,
+                itemIndex: itemIndex,
+                isCondition: !!expandedItem.conditional,
+                conditional: expandedItem.conditional || null,
+                isLoopCheck: !!expandedItem.loop,
+                loop: expandedItem.loop || null,
+                loopIteration: expandedItem.loopIteration || 0,
+                isFromGroup: false,
+                isFromRepeat: true,
+                isFromRecursion: false,
+                repeatBlock: repeatBlock,
+                recursiveRef: null,
+                recursionDepth: 0,
+                recursionPhase: null,
+                iteration: expandedItem.iteration,
+                totalIterations: isUntilLoop ? null : repeatBlock.count,
+                isFirstInIteration: previous?.iteration !== expandedItem.iteration,
+                isLastInIteration: next?.iteration !== expandedItem.iteration,
+                isFirstInRepeat: actionIndex === 0 && expandedItem.iteration === 0,
+                isLastInRepeat: !isUntilLoop && !next,
+                groupRef: null,
+                actionIndexInGroup: -1,
+                isFirstInGroup: false,
+                isLastInGroup: false
+            };
+        });
+    }
+
+    /**
+     * Create the placeholder that checks an until loop's condition before an iteration
+     * @param {RepeatBlock} repeatBlock - Until loop
+     * @param {number} itemIndex - Queue item index
+     * @param {number} iteration - Iteration that runs if the condition does not hold yet
+     * @returns {Object} Expanded entry
+     */
+    createLoopCheck(repeatBlock, itemIndex, iteration) {
+        return {
+            action: null,
+            itemIndex: itemIndex,
+            isLoopCheck: true,
+            loop: repeatBlock,
+            loopIteration: iteration,
+            isFromGroup: false,
+            isFromRepeat: true,
+            isFromRecursion: false,
+            repeatBlock: repeatBlock,
+            recursiveRef: null,
+            recursionDepth: 0,
+            recursionPhase: null,
+            iteration: iteration,
+            totalIterations: null,
+            isFirstInIteration: false,
+            isLastInIteration: false,
+            isFirstInRepeat: false,
+            isLastInRepeat: false,
+            groupRef: null,
+            actionIndexInGroup: -1,
+            isFirstInGroup: false,
+            isLastInGroup: false
+        };
+    }
+
+    /**
+     * Create the expanded entry for one action of a nest
+     * @param {RecursiveReference} recursiveRef - Nest call in the queue
+     * @param {number} itemIndex - Queue item index
+     * @param {Object} expandedItem - Action from getExpandedActions / getCallActions
+     * @param {number|null} maxDepth - Calls the recursion makes (null while a stop condition has not held yet)
+     * @returns {Object} Expanded entry
+     */
+    createRecursionEntry(recursiveRef, itemIndex, expandedItem, maxDepth) {
+        return {
+            action: expandedItem.action,
+            itemIndex: itemIndex,
+            isFromGroup: false,
+            isFromRepeat: false,
+            isFromRecursion: true,
+            repeatBlock: null,
+            recursiveRef: recursiveRef,
+            recursionDepth: expandedItem.depth,
+            recursionPhase: expandedItem.phase,
+            recursionMaxDepth: maxDepth,
+            recursionActionIndex: expandedItem.actionIndex,
+            isBaseCase: expandedItem.isBaseCase,
+            isFirstAtDepth: expandedItem.isFirstAtDepth,
+            isLastAtDepth: expandedItem.isLastAtDepth,
+            iteration: 0,
+            totalIterations: 1,
+            isFirstInIteration: false,
+            isLastInIteration: false,
+            isFirstInRepeat: false,
+            isLastInRepeat: false,
+            isFirstInRecursion: false,
+            isLastInRecursion: false,
+            groupRef: null,
+            actionIndexInGroup: -1,
+            isFirstInGroup: false,
+            isLastInGroup: false
+        };
+    }
+
+    /**
+     * Create the placeholder that checks a nest's stop condition at the start of a call
+     * @param {RecursiveReference} recursiveRef - Nest call in the queue
+     * @param {number} itemIndex - Queue item index
+     * @param {number} depth - Recursion depth of the call
+     * @returns {Object} Expanded entry
+     */
+    createCallCheck(recursiveRef, itemIndex, depth) {
+        return {
+            ...this.createRecursionEntry(recursiveRef, itemIndex, {
+                action: null,
+                depth: depth,
+                phase: 'call',
+                actionIndex: -1,
+                isBaseCase: false,
+                isFirstAtDepth: false,
+                isLastAtDepth: false
+            }, null),
+            isCallCheck: true
+        };
+    }
+
+    /**
+     * Replace conditional placeholders at a position with the branch they pick,
+     * until loop checks with the next iteration (or nothing once the loop ends)
+     * and nest call checks with the next call (or nothing at the base case)
+     * Conditions are checked only when execution gets there, since the answer
+     * depends on where the ball is at that moment
+     * @param {number} index - Position in expandedActions (defaults to the current one)
+     */
+    resolveConditions(index = this.expandedIndex) {
+        let info = this.expandedActions[index];
+        
+        while (info && (info.isCondition || info.isLoopCheck || info.isCallCheck)) {
+            if (info.isLoopCheck) {
+                this.resolveLoopCheck(index);
+                info = this.expandedActions[index];
+                continue;
+            }
+            
+            if (info.isCallCheck) {
+                this.resolveCallCheck(index);
+                info = this.expandedActions[index];
+                continue;
+            }
+            
+            const conditional = info.conditional;
+            const result = !!this.sensor?.(conditional.condition);
+            conditional.lastResult = result;
+            this.onConditionChecked?.(conditional, result, info.itemIndex);
+            
+            const branch = conditional.getBranch(result);
+            const entries = branch.map((action, actionIndex) => {
+                const isFirst = actionIndex === 0;
+                const isLast = actionIndex === branch.length - 1;
+                return {
+                    ...info,
+                    action: action.clone(),
+                    isCondition: false,
+                    isFromCondition: true,
+                    conditionResult: result,
+                    actionIndexInCondition: actionIndex,
+                    isFirstInCondition: isFirst,
+                    isLastInCondition: isLast,
+                    isFirstInIteration: info.isFirstInIteration && isFirst,
+                    isLastInIteration: info.isLastInIteration && isLast,
+                    isFirstInRepeat: info.isFirstInRepeat && isFirst,
+                    isLastInRepeat: info.isLastInRepeat && isLast
+                };
+            });
+            
+            if (entries.length === 0) {
+                this.skipPlaceholder(index);
+            } else {
+                this.expandedActions.splice(index, 1, ...entries);
+            }
+            
+            info = this.expandedActions[index];
+        }
+    }
+
+    /**
+     * Check an until loop's condition: queue one more iteration
+     * (followed by the next check) or end the loop
+     * A loop inside another repeat runs within the outer repeat's current
+     * iteration, so its entries belong to the outer repeat
+     * @param {number} index - Position of the loop check
+     */
+    resolveLoopCheck(index) {
+        const info = this.expandedActions[index];
+        const { loop, repeatBlock } = info;
+        const isNested = loop !== repeatBlock;
+        const isDone = !!this.sensor?.(loop.until);
+        
+        if (isDone || info.loopIteration >= MAX_UNTIL_ITERATIONS) {
+            loop.reachedCap = !isDone;
+            if (isNested) {
+                repeatBlock.reachedCap = repeatBlock.reachedCap || loop.reachedCap;
+                this.skipPlaceholder(index);
+                return;
+            }
+            
+            // Remove the check before notifying, so listeners see the queue without it
+            this.expandedActions.splice(index, 1);
+            repeatBlock.isComplete = true;
+            repeatBlock.isExecuting = false;
+            this.onRepeatComplete?.(repeatBlock, info.itemIndex);
+            return;
+        }
+        
+        const next = this.createLoopCheck(loop, info.itemIndex, info.loopIteration + 1);
+        let entries;
+        
+        if (isNested) {
+            const iterationActions = loop.getIterationActions(info.loopIteration)
+                .map(entry => ({ ...entry, iteration: info.iteration, repeatBlock }));
+            
+            // Only the outer repeat's markers count, and they stay where the check was
+            entries = this.createRepeatEntries(repeatBlock, info.itemIndex, iterationActions)
+                .map(entry => ({
+                    ...entry,
+                    totalIterations: info.totalIterations,
+                    isFirstInIteration: false,
+                    isLastInIteration: false,
+                    isFirstInRepeat: false,
+                    isLastInRepeat: false
+                }));
+            Object.assign(next, {
+                repeatBlock,
+                iteration: info.iteration,
+                totalIterations: info.totalIterations,
+                isLastInIteration: info.isLastInIteration,
+                isLastInRepeat: info.isLastInRepeat
+            });
+            
+            const first = entries[0] || next;
+            first.isFirstInIteration = info.isFirstInIteration;
+            first.isFirstInRepeat = info.isFirstInRepeat;
+        } else {
+            entries = this.createRepeatEntries(repeatBlock, info.itemIndex,
+                repeatBlock.getIterationActions(info.iteration));
+            
+            // An earlier iteration that ran no actions leaves the start to this one
+            if (info.isFirstInRepeat && entries.length > 0) {
+                entries[0].isFirstInRepeat = true;
+            }
+        }
+        
+        entries.push(next);
+        this.expandedActions.splice(index, 1, ...entries);
+    }
+
+    /**
+     * Check a nest's stop condition at the start of a call: return at once
+     * if it holds (the base case), otherwise queue the call's IN actions,
+     * the check for the next call and the OUT actions
+     * A call past MAX_CALL_DEPTH overflows the stack, which drops the rest of the queue
+     * @param {number} index - Position of the call check
+     */
+    resolveCallCheck(index) {
+        const info = this.expandedActions[index];
+        const ref = info.recursiveRef;
+        const depth = info.recursionDepth;
+        
+        if (this.sensor?.(ref.group.stopWhen)) {
+            // Remove the check before notifying, so listeners see the queue without it
+            this.expandedActions.splice(index, 1);
+            
+            // Now the number of calls is known
+            const rest = this.expandedActions.slice(index).filter(entry => entry.recursiveRef === ref);
+            rest.forEach(entry => {
+                entry.recursionMaxDepth = depth;
+            });
+            
+            if (rest.length > 0) {
+                rest[0].isBaseCase = true;
+                rest[0].isFirstInRecursion = rest[0].isFirstInRecursion || info.isFirstInRecursion;
+            } else if (info.isLastInRecursion) {
+                ref.isComplete = true;
+                ref.isExecuting = false;
+                this.onRecursionComplete?.(ref, info.itemIndex);
+            }
+            return;
+        }
+        
+        if (depth >= MAX_CALL_DEPTH) {
+            this.expandedActions.splice(index);
+            ref.isExecuting = false;
+            this.onStackOverflow?.(ref, depth);
+            return;
+        }
+        
+        const { pre, post } = ref.group.getCallActions(depth);
+        const toEntry = expandedItem => this.createRecursionEntry(ref, info.itemIndex, expandedItem, null);
+        const entries = [
+            ...pre.map(toEntry),
+            this.createCallCheck(ref, info.itemIndex, depth + 1),
+            ...post.map(toEntry)
+        ];
+        entries[0].isFirstInRecursion = info.isFirstInRecursion;
+        entries[entries.length - 1].isLastInRecursion = info.isLastInRecursion;
+        
+        this.expandedActions.splice(index, 1, ...entries);
+    }
+
+    /**
+     * Drop a placeholder that runs no actions (an empty branch or a finished
+     * inner loop), handing its repeat markers on so the repeat callbacks still fire
+     * @param {number} index - Position of the placeholder
+     */
+    skipPlaceholder(index) {
+        const info = this.expandedActions[index];
+        const next = this.expandedActions[index + 1];
+        this.expandedActions.splice(index, 1);
+        
+        if (!info.repeatBlock) {
+            info.conditional.isComplete = true;
+        } else if (next && next.repeatBlock === info.repeatBlock && next.itemIndex === info.itemIndex) {
+            next.isFirstInRepeat = next.isFirstInRepeat || info.isFirstInRepeat;
+            if (next.iteration === info.iteration) {
+                next.isFirstInIteration = next.isFirstInIteration || info.isFirstInIteration;
+            }
+        } else if (info.isLastInRepeat) {
+            // Everything else in the repeat has already run
+            info.repeatBlock.isComplete = true;
+            info.repeatBlock.isExecuting = false;
+            this.onRepeatComplete?.(info.repeatBlock, info.itemIndex);
+        }
+    }
+
     /**
      * Get current action being executed
      * @returns {Action|null} Current action or null
@@ -332,9 +710,13 @@ export class ActionQueue {
 
         // Expand items into flat action list
         this.expandItems();
+        this.resolveConditions();
         
         if (this.expandedActions.length === 0) {
+            // Nothing ran (empty branches, a base case or stack overflow right away)
             console.warn('No actions to execute');
+            this.state = QueueState.COMPLETE;
+            this.onQueueComplete?.();
             return;
         }
 
@@ -372,6 +754,11 @@ export class ActionQueue {
                 this.onGroupStart?.(currentInfo.groupRef, currentInfo.itemIndex);
             }
             
+            // Check if starting a conditional branch
+            if (currentInfo.isFirstInCondition && !currentInfo.repeatBlock) {
+                currentInfo.conditional.isExecuting = true;
+            }
+            
             this.onActionStart?.(currentInfo.action, this.expandedIndex, currentInfo);
         }
         
@@ -419,12 +806,40 @@ export class ActionQueue {
         });
     }
 
+    /**
+     * Set playback speed
+     * @param {number} speed - Speed multiplier (1 = normal)
+     * @param {boolean} instant - Run the whole queue in one update
+     */
+    setSpeed(speed, instant = false) {
+        this.speed = speed > 0 ? speed : 1;
+        this.instant = instant;
+    }
+
     /**
      * Update queue (called each frame)
      * @param {number} deltaTime - Time since last frame in ms
-     * @returns {Object} Update result
+     * @returns {Object} Update result (of the last action in instant mode)
      */
     update(deltaTime) {
+        if (!this.instant) {
+            return this.advance(deltaTime * this.speed);
+        }
+        
+        // Infinite delta completes one action per call, callbacks fire as usual
+        let result = this.advance(Infinity);
+        while (this.state === QueueState.RUNNING) {
+            result = this.advance(Infinity);
+        }
+        return result;
+    }
+
+    /**
+     * Advance the current action by some time
+     * @param {number} deltaTime - Action time in ms
+     * @returns {Object} Update result
+     */
+    advance(deltaTime) {
         const result = {
             action: null,
             progress: 0,
@@ -455,6 +870,11 @@ export class ActionQueue {
             result.actionComplete = true;
             this.onActionComplete?.(currentAction, this.expandedIndex, currentInfo);
             
+            // Execution may have been stopped from the callback (e.g. finish reached)
+            if (this.state !== QueueState.RUNNING) {
+                return result;
+            }
+            
             // Check if repeat iteration is complete
             if (currentInfo.isLastInIteration && currentInfo.repeatBlock) {
                 // Iteration complete - check if more iterations
@@ -481,8 +901,15 @@ export class ActionQueue {
                 this.onRecursionComplete?.(currentInfo.recursiveRef, currentInfo.itemIndex);
             }
             
+            // Check if conditional branch is complete
+            if (currentInfo.isLastInCondition && !currentInfo.repeatBlock) {
+                currentInfo.conditional.isComplete = true;
+                currentInfo.conditional.isExecuting = false;
+            }
+            
             // Move to next action
             this.expandedIndex++;
+            this.resolveConditions();
             
             const nextInfo = this.getCurrentItemInfo();
             if (nextInfo) {
@@ -516,6 +943,11 @@ export class ActionQueue {
                     this.onGroupStart?.(nextInfo.groupRef, nextInfo.itemIndex);
                 }
                 
+                // Check if starting a conditional branch
+                if (nextInfo.isFirstInCondition && !nextInfo.repeatBlock) {
+                    nextInfo.conditional.isExecuting = true;
+                }
+                
                 this.onActionStart?.(nextInfo.action, this.expandedIndex, nextInfo);
             } else {
                 // Queue complete
@@ -552,7 +984,7 @@ export class ActionQueue {
         let count = 0;
         this.items.forEach(item => {
             if (item.isGroupReference && item.isGroupReference()) {
-                count += item.group.size;
+                count += item.group.actionCount;
             } else {
                 count += 1;
             }
@@ -586,21 +1018,48 @@ export class ActionQueue {
 
     /**
      * Serialize queue for storage
-     * @returns {Array} Serialized actions
+     * Blocks and recursive groups are only referenced by id - see Program.js
+     * @returns {Array} Serialized items
      */
     toJSON() {
-        return this.actions.map(action => action.toJSON());
+        return this.items.map(item => item.toJSON());
     }
 
     /**
      * Load queue from serialized data
-     * @param {Array} data - Serialized actions
+     * @param {Array} data - Serialized items
+     * @param {Object} groups - { groups, recursiveGroups } the items refer to
      */
-    fromJSON(data) {
+    fromJSON(data, groups = {}) {
         this.clear();
-        data.forEach(actionData => {
-            const action = Action.fromJSON(actionData);
-            this.add(action);
+        data.forEach(itemData => {
+            this.add(itemFromJSON(itemData, groups));
         });
     }
 }
+
+/**
+ * Rebuild a queue item from serialized data
+ * @param {Object} data - Serialized item
+ * @param {Object} groups - { groups: ActionGroup[], recursiveGroups: RecursiveGroup[] }
+ * @returns {Action|GroupReference|RepeatBlock|RecursiveReference|ConditionalBlock} Queue item
+ * @throws {Error} If a referenced group is missing
+ */
+export function itemFromJSON(data, { groups = [], recursiveGroups = [] } = {}) {
+    switch (data.type) {
+        case 'GroupReference':
+            return GroupReference.fromJSON(data, groups);
+        case 'RepeatBlock':
+            return RepeatBlock.fromJSON(data, itemData =>
+                itemFromJSON(itemData, { groups, recursiveGroups }));
+        case 'RecursiveReference':
+            return RecursiveReference.fromJSON(data, recursiveGroups);
+        case 'ConditionalBlock':
+            return ConditionalBlock.fromJSON(data);
+        default:
+            if (!Object.values(ActionType).includes(data.type)) {
+                throw new Error(`Unknown queue item "${data.type}"`);
+            }
+            return Action.fromJSON(data);
+    }
+}
@@ -13,6 +13,7 @@ export const AnalyticsEvent = {
     LEVEL_FAIL: 'level_fail',
     LEVEL_RETRY: 'level_retry',
     LEVEL_SKIP: 'level_skip',
+    PACK_LOADED: 'pack_loaded',
     
     // Feature usage
     ACTION_ADDED: 'action_added',
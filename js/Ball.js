@@ -5,13 +5,34 @@
 
 import { CONFIG } from './config.js';
 
+/**
+ * Colors of each ball on levels with several balls (the first is the usual blue)
+ */
+export const BALL_COLORS = [
+    { main: CONFIG.colors.primary, light: '#4D5AFF', dark: '#0008AA', shadow: 'rgba(0, 15, 238, 0.3)' },
+    { main: '#E8590C', light: '#FF8F4D', dark: '#A33A00', shadow: 'rgba(232, 89, 12, 0.3)' },
+    { main: '#2B8A3E', light: '#5CD076', dark: '#185C26', shadow: 'rgba(43, 138, 62, 0.3)' },
+    { main: '#AE3EC9', light: '#D98BEB', dark: '#76208C', shadow: 'rgba(174, 62, 201, 0.3)' }
+];
+
+/**
+ * Pointer angle for each heading (radians, 0 = facing up)
+ */
+const HEADING_ANGLES = {
+    UP: 0,
+    RIGHT: Math.PI / 2,
+    DOWN: Math.PI,
+    LEFT: -Math.PI / 2
+};
+
 export class Ball {
     /**
      * Create a new Ball instance
      * @param {number} gridX - Grid X position (column)
      * @param {number} gridY - Grid Y position (row)
+     * @param {Object} colors - One of BALL_COLORS
      */
-    constructor(gridX = 0, gridY = 0) {
+    constructor(gridX = 0, gridY = 0, colors = BALL_COLORS[0]) {
         // Grid position (logical)
         this.gridX = gridX;
         this.gridY = gridY;
@@ -30,7 +51,10 @@ export class Ball {
         
         // Visual properties
         this.radius = 0;
-        this.color = CONFIG.colors.primary;
+        this.color = colors.main;
+        this.lightColor = colors.light;
+        this.darkColor = colors.dark;
+        this.shadowColor = colors.shadow;
         this.scale = 1;
         this.opacity = 1;
         
@@ -38,6 +62,19 @@ export class Ball {
         this.isAnimating = false;
         this.animationProgress = 0;
         
+        // Direction of a bump into a wall (0, 0 = normal move)
+        this.bumpX = 0;
+        this.bumpY = 0;
+        
+        // Cells passed in a move through several cells ({ x, y, jump })
+        this.path = [];
+        
+        // Way the ball faces on turtle levels (null = no heading, no pointer)
+        this.heading = null;
+        this.angle = 0;
+        this.startAngle = 0;
+        this.targetAngle = 0;
+        
         // Pulse animation for idle state
         this.pulsePhase = 0;
         this.pulseSpeed = 0.02;
@@ -116,6 +153,56 @@ export class Ball {
         this.addTrailPoint();
     }
 
+    /**
+     * Start moving through several cells in one move (slides, conveyors,
+     * teleports). Jump cells are reached in one hop halfway through their part.
+     * @param {Array<Object>} cells - Grid cells { x, y, jump } in order
+     */
+    startPath(cells) {
+        const last = cells[cells.length - 1];
+        this.startMove(last.x, last.y);
+        this.path = cells.length > 1 ? cells : [];
+    }
+
+    /**
+     * Start a bump: nudge towards a wall and spring back to the same cell
+     * @param {number} dx - Direction X
+     * @param {number} dy - Direction Y
+     */
+    startBump(dx, dy) {
+        this.startMove(this.gridX, this.gridY);
+        this.bumpX = dx;
+        this.bumpY = dy;
+    }
+
+    /**
+     * Face a heading straight away
+     * @param {string|null} heading - One of Headings, or null to hide the pointer
+     */
+    setHeading(heading) {
+        this.heading = heading;
+        this.angle = HEADING_ANGLES[heading] ?? 0;
+        this.startAngle = this.angle;
+        this.targetAngle = this.angle;
+    }
+
+    /**
+     * Start turning on the spot to face a new heading (the short way round)
+     * @param {string} heading - One of Headings
+     */
+    startTurn(heading) {
+        let delta = HEADING_ANGLES[heading] - this.angle;
+        delta = Math.atan2(Math.sin(delta), Math.cos(delta));
+        
+        this.heading = heading;
+        this.startAngle = this.angle;
+        this.targetAngle = this.angle + delta;
+        this.startX = this.x;
+        this.startY = this.y;
+        this.isAnimating = true;
+        this.animationProgress = 0;
+    }
+
     /**
      * Add current position to trail
      */
@@ -144,6 +231,29 @@ export class Ball {
         this.x = this.startX + (targetPos.x - this.startX) * easedProgress;
         this.y = this.startY + (targetPos.y - this.startY) * easedProgress;
         
+        // Paths split the move into equal parts, one per cell
+        if (this.path.length > 0) {
+            const scaled = easedProgress * this.path.length;
+            const index = Math.min(this.path.length - 1, Math.floor(scaled));
+            const cell = this.path[index];
+            const previous = index === 0 ? { x: this.startX, y: this.startY } : this.gridToPixel(this.path[index - 1].x, this.path[index - 1].y);
+            const next = this.gridToPixel(cell.x, cell.y);
+            const t = cell.jump ? (scaled - index < 0.5 ? 0 : 1) : scaled - index;
+            
+            this.x = previous.x + (next.x - previous.x) * t;
+            this.y = previous.y + (next.y - previous.y) * t;
+        }
+        
+        // Bumps go a quarter cell out and come back
+        if (this.bumpX !== 0 || this.bumpY !== 0) {
+            const nudge = Math.sin(easedProgress * Math.PI) * this.cellSize * 0.25;
+            this.x += this.bumpX * nudge;
+            this.y += this.bumpY * nudge;
+        }
+        
+        // Turns rotate the pointer
+        this.angle = this.startAngle + (this.targetAngle - this.startAngle) * easedProgress;
+        
         // Add subtle bounce at the end
         if (easedProgress > 0.8) {
             const bounceProgress = (easedProgress - 0.8) / 0.2;
@@ -168,6 +278,10 @@ export class Ball {
         this.isAnimating = false;
         this.animationProgress = 0;
         this.scale = 1;
+        this.bumpX = 0;
+        this.bumpY = 0;
+        this.path = [];
+        this.setHeading(this.heading);
     }
 
     /**
@@ -219,7 +333,7 @@ export class Ball {
         ctx.globalAlpha = this.opacity;
         
         // Draw shadow
-        ctx.shadowColor = 'rgba(0, 15, 238, 0.3)';
+        ctx.shadowColor = this.shadowColor;
         ctx.shadowBlur = CONFIG.ball.shadowBlur;
         ctx.shadowOffsetX = 0;
         ctx.shadowOffsetY = CONFIG.ball.shadowOffsetY;
@@ -233,9 +347,9 @@ export class Ball {
             this.y,
             currentRadius
         );
-        gradient.addColorStop(0, '#4D5AFF');  // Lighter center
+        gradient.addColorStop(0, this.lightColor);  // Lighter center
         gradient.addColorStop(0.7, this.color);
-        gradient.addColorStop(1, '#0008AA');   // Darker edge
+        gradient.addColorStop(1, this.darkColor);   // Darker edge
         
         ctx.beginPath();
         ctx.arc(this.x, this.y, currentRadius, 0, Math.PI * 2);
@@ -263,6 +377,31 @@ export class Ball {
         ctx.fillStyle = highlightGradient;
         ctx.fill();
         
+        if (this.heading) {
+            this.renderPointer(ctx, currentRadius);
+        }
+        
+        ctx.restore();
+    }
+
+    /**
+     * Render the heading pointer: a white arrowhead on the ball's front
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     * @param {number} radius - Current ball radius
+     */
+    renderPointer(ctx, radius) {
+        ctx.save();
+        ctx.translate(this.x, this.y);
+        ctx.rotate(this.angle);
+        
+        ctx.beginPath();
+        ctx.moveTo(0, -radius * 0.75);
+        ctx.lineTo(radius * 0.4, -radius * 0.1);
+        ctx.lineTo(-radius * 0.4, -radius * 0.1);
+        ctx.closePath();
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.9)';
+        ctx.fill();
+        
         ctx.restore();
     }
 
@@ -299,13 +438,16 @@ export class Ball {
     }
 
     /**
-     * Reset ball to initial state
+     * Reset ball to initial state (the heading is kept)
      */
     reset() {
         this.scale = 1;
         this.opacity = 1;
         this.isAnimating = false;
         this.animationProgress = 0;
+        this.bumpX = 0;
+        this.bumpY = 0;
+        this.path = [];
         this.trail = [];
     }
 }
@@ -0,0 +1,346 @@
+/**
+ * BlockEditor Class
+ * Editor for saved blocks and nests: reorder, insert and delete their
+ * actions, rename and recolor them. Calls hold the block itself, so every
+ * call in the queue changes with it. Changes go into the game's undo
+ * history like any other program edit.
+ */
+
+import { GroupColors } from './ActionGroup.js';
+
+/**
+ * Longest name a block or nest can get
+ */
+export const MAX_NAME_LENGTH = 12;
+
+/**
+ * Stands for a nest's call to itself in the edited body
+ */
+const SELF_CALL = { isSelfCall: true, getIcon: () => '🌀' };
+
+export class BlockEditor {
+    /**
+     * Create the block editor
+     * @param {Game} game - Game instance
+     */
+    constructor(game) {
+        this.game = game;
+        this.isActive = false;
+        this.panel = null;
+
+        // Block (ActionGroup) or nest (RecursiveGroup) being edited
+        this.group = null;
+
+        // Body position new actions are inserted after (-1 = at the start)
+        this.selected = -1;
+    }
+
+    /**
+     * Start editing a block or nest
+     * @param {ActionGroup|RecursiveGroup} group - Group to edit
+     */
+    open(group) {
+        const game = this.game;
+        if (game.isPlaying || game.isRecording || game.isBuildingRepeat ||
+            game.isBuildingCondition || game.isBuildingRecursion) {
+            game.showMessage('Finish current action first', 'warning');
+            return;
+        }
+
+        this.isActive = true;
+        this.group = group;
+        this.selected = this.getBody().length - 1;
+
+        if (!this.panel) {
+            this.createPanel();
+        }
+        this.panel.style.display = '';
+        this.updatePanel();
+        game.showMessage(`✏️ Editing ${group.name} - moves and blocks you pick are inserted`, 'info');
+    }
+
+    /**
+     * Stop editing
+     */
+    close() {
+        if (!this.isActive) return;
+
+        this.isActive = false;
+        this.group = null;
+        this.panel.style.display = 'none';
+
+        // Drop the highlight from the edited block or nest
+        this.game.updateGroupsDisplay();
+        this.game.updateRecursiveGroupsDisplay();
+    }
+
+    /**
+     * Check if the group being edited is a nest
+     * @returns {boolean}
+     */
+    get isNest() {
+        return !!(this.group?.isRecursiveGroup && this.group.isRecursiveGroup());
+    }
+
+    /**
+     * Get the edited body: a block's actions, or a nest's IN actions,
+     * its self-call and its OUT actions
+     * @returns {Array} Actions, block calls and SELF_CALL
+     */
+    getBody() {
+        if (this.isNest) {
+            return [...this.group.preActions, SELF_CALL, ...this.group.postActions];
+        }
+        return [...this.group.actions];
+    }
+
+    /**
+     * Write an edited body back to the group
+     * @param {Array} body - Actions, block calls and SELF_CALL
+     */
+    setBody(body) {
+        if (this.isNest) {
+            const call = body.indexOf(SELF_CALL);
+            this.group.preActions = body.slice(0, call);
+            this.group.postActions = body.slice(call + 1);
+        } else {
+            this.group.actions = body;
+        }
+    }
+
+    /**
+     * Change the group (the queue update records it for undo)
+     * @param {Function} change - Makes the change, returns false if nothing changed
+     */
+    edit(change) {
+        if (change() === false) return;
+
+        this.game.sound.playClick();
+        this.refresh();
+    }
+
+    /**
+     * Undo the last program edit (sync() follows the rebuilt group)
+     */
+    undo() {
+        this.game.undo();
+    }
+
+    /**
+     * Redraw everything that shows the group (calls in the queue included)
+     */
+    refresh() {
+        const game = this.game;
+        game.updateGroupsDisplay();
+        game.updateRecursiveGroupsDisplay();
+        game.actionQueue.notifyChange();
+        this.updatePanel();
+    }
+
+    /**
+     * Insert an action or block call after the selected one
+     * @param {Action|GroupReference} item - Item to insert (cloned)
+     */
+    insert(item) {
+        const isCall = item.isGroupReference && item.isGroupReference();
+        if (isCall && !this.isNest && !this.group.canCall(item.group)) {
+            this.game.showMessage(`A block can't call itself or a block that calls it`, 'warning');
+            this.game.sound.playError();
+            return;
+        }
+
+        this.edit(() => {
+            const body = this.getBody();
+            body.splice(this.selected + 1, 0, item.clone());
+            this.setBody(body);
+            this.selected++;
+        });
+    }
+
+    /**
+     * Move the selected item one place left or right
+     * In a nest this moves it across the self-call too
+     * @param {number} delta - -1 or +1
+     */
+    move(delta) {
+        const body = this.getBody();
+        const target = this.selected + delta;
+        if (this.selected < 0 || target < 0 || target >= body.length) return;
+
+        this.edit(() => {
+            [body[this.selected], body[target]] = [body[target], body[this.selected]];
+            this.setBody(body);
+            this.selected = target;
+        });
+    }
+
+    /**
+     * Delete the selected item (a nest's self-call stays)
+     */
+    remove() {
+        const body = this.getBody();
+        const item = body[this.selected];
+        if (!item || item === SELF_CALL) return;
+
+        if (body.filter(i => i !== SELF_CALL).length === 1) {
+            this.game.showMessage('Keep at least one move!', 'warning');
+            this.game.sound.playError();
+            return;
+        }
+
+        this.edit(() => {
+            body.splice(this.selected, 1);
+            this.setBody(body);
+            this.selected--;
+        });
+    }
+
+    /**
+     * Rename the group
+     * @param {string} name - New name (markup characters are dropped)
+     */
+    rename(name) {
+        const clean = name.replace(/[<>&"']/g, '').trim().slice(0, MAX_NAME_LENGTH);
+        if (!clean || clean === this.group.name) {
+            this.updatePanel();
+            return;
+        }
+
+        this.edit(() => {
+            this.group.name = clean;
+        });
+    }
+
+    /**
+     * Recolor the group
+     * @param {string} color - One of GroupColors
+     */
+    recolor(color) {
+        this.edit(() => {
+            if (this.group.color === color) return false;
+            this.group.color = color;
+        });
+    }
+
+    /**
+     * Close the editor if its group was deleted, otherwise redraw it
+     * Called whenever the saved blocks or nests are redrawn
+     */
+    sync() {
+        if (!this.isActive) return;
+
+        // Undo and redo rebuild the groups - keep editing the same one
+        const { savedGroups, savedRecursiveGroups } = this.game;
+        const groups = this.isNest ? savedRecursiveGroups : savedGroups;
+        if (!groups.includes(this.group)) {
+            const rebuilt = groups.find(group => group.id === this.group.id);
+            if (!rebuilt) {
+                this.close();
+                return;
+            }
+            this.group = rebuilt;
+        }
+        this.updatePanel();
+    }
+
+    /**
+     * Create block editor panel
+     */
+    createPanel() {
+        const footer = document.querySelector('.game-footer');
+        if (!footer) return;
+
+        const swatches = GroupColors
+            .map(color => `<button class="block-editor-color" data-color="${color}" style="background-color: ${color}" title="Use this color" aria-label="Color ${color}"></button>`)
+            .join('');
+
+        this.panel = document.createElement('div');
+        this.panel.className = 'block-editor-panel';
+        this.panel.innerHTML = `
+            <div class="groups-header">
+                <span class="groups-label">✏️ Edit</span>
+                <button class="clear-all-btn" data-block-edit="close" title="Close editor">✕</button>
+            </div>
+            <div class="block-editor-fields">
+                <input type="text" class="block-editor-name" maxlength="${MAX_NAME_LENGTH}" aria-label="Name">
+                <div class="block-editor-colors" role="group" aria-label="Color">${swatches}</div>
+            </div>
+            <div class="block-editor-body" role="listbox" aria-label="Actions"></div>
+            <div class="debug-controls" role="toolbar" aria-label="Edit actions">
+                <button class="debug-btn" data-block-edit="left" title="Move left" aria-label="Move left">◀</button>
+                <button class="debug-btn" data-block-edit="right" title="Move right" aria-label="Move right">▶</button>
+                <button class="debug-btn" data-block-edit="remove" title="Delete" aria-label="Delete">🗑️</button>
+                <button class="debug-btn" data-block-edit="undo" title="Undo" aria-label="Undo">↩</button>
+            </div>
+            <div class="debug-tip">Click an action to select it · new moves go after it (or first if none is)</div>
+        `;
+
+        footer.insertBefore(this.panel, footer.querySelector('.controls'));
+
+        const actions = {
+            close: () => this.close(),
+            left: () => this.move(-1),
+            right: () => this.move(1),
+            remove: () => this.remove(),
+            undo: () => this.undo()
+        };
+        this.panel.querySelectorAll('[data-block-edit]').forEach(btn => {
+            btn.addEventListener('click', () => actions[btn.dataset.blockEdit]());
+        });
+
+        this.panel.querySelectorAll('.block-editor-color').forEach(btn => {
+            btn.addEventListener('click', () => this.recolor(btn.dataset.color));
+        });
+
+        const nameInput = this.panel.querySelector('.block-editor-name');
+        nameInput.addEventListener('change', () => this.rename(nameInput.value));
+    }
+
+    /**
+     * Show the group's name, color and actions in the panel
+     */
+    updatePanel() {
+        if (!this.panel || !this.group) return;
+
+        const group = this.group;
+        const body = this.getBody();
+        this.selected = Math.min(this.selected, body.length - 1);
+
+        this.panel.querySelector('.groups-label').textContent =
+            `✏️ Edit ${this.isNest ? 'nest' : 'block'} ${group.name}`;
+        this.panel.querySelector('.block-editor-name').value = group.name;
+        this.panel.querySelectorAll('.block-editor-color').forEach(btn => {
+            btn.classList.toggle('selected', btn.dataset.color === group.color);
+        });
+
+        const bodyEl = this.panel.querySelector('.block-editor-body');
+        bodyEl.innerHTML = '';
+        body.forEach((item, index) => {
+            const chip = document.createElement('button');
+            chip.className = 'block-editor-item';
+            chip.textContent = item.getIcon();
+            chip.setAttribute('role', 'option');
+            chip.setAttribute('aria-selected', String(index === this.selected));
+            if (index === this.selected) chip.classList.add('selected');
+            if (item === SELF_CALL) {
+                chip.classList.add('block-editor-self-call');
+                chip.title = 'Calls the nest itself - move it like any action';
+            } else if (item.isGroupReference && item.isGroupReference()) {
+                chip.style.backgroundColor = item.getColor();
+            }
+            // Clicking the selected item again selects none, so moves go first
+            chip.addEventListener('click', () => {
+                this.selected = index === this.selected ? -1 : index;
+                this.updatePanel();
+            });
+            bodyEl.appendChild(chip);
+        });
+
+        const selectedItem = body[this.selected];
+        this.panel.querySelector('[data-block-edit="left"]').disabled = this.selected <= 0;
+        this.panel.querySelector('[data-block-edit="right"]').disabled =
+            this.selected < 0 || this.selected >= body.length - 1;
+        this.panel.querySelector('[data-block-edit="remove"]').disabled = !selectedItem || selectedItem === SELF_CALL;
+        this.panel.querySelector('[data-block-edit="undo"]').disabled = !this.game.editHistory.canUndo;
+    }
+}
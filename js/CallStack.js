@@ -0,0 +1,194 @@
+/**
+ * CallStackView Class
+ * Live call stack for a running nest: one frame per recursion depth,
+ * showing the IN/OUT action that is executing and which frame is the
+ * base case. Built from the recursion metadata of expanded queue entries.
+ */
+
+/**
+ * Build the call stack for an expanded queue entry
+ * Frames below the current one are waiting for their nested call to return
+ * A nest with a stop condition has no base case frame of its own: its base
+ * case is the call that returned at once, shown on top while the deepest
+ * frame finishes
+ * @param {Object} entry - Expanded queue entry (see ActionQueue.expandItems)
+ * @returns {Object|null} { group, depth, maxDepth, reachedBaseCase, frames } or null outside a nest
+ */
+export function getCallStack(entry) {
+    if (!entry || !entry.isFromRecursion || !entry.recursiveRef) return null;
+
+    const { group } = entry.recursiveRef;
+    const frames = [];
+    for (let depth = 0; depth <= entry.recursionDepth; depth++) {
+        const isCurrent = depth === entry.recursionDepth;
+        frames.push({
+            depth,
+            isCurrent,
+            isBaseCase: !group.hasStopCondition && depth === entry.recursionMaxDepth - 1,
+            phase: isCurrent ? entry.recursionPhase : 'call',
+            actionIndex: isCurrent ? entry.recursionActionIndex : -1
+        });
+    }
+
+    if (group.hasStopCondition && entry.recursionDepth === entry.recursionMaxDepth - 1) {
+        frames.push({
+            depth: entry.recursionMaxDepth,
+            isCurrent: false,
+            isBaseCase: true,
+            phase: 'stop',
+            actionIndex: -1
+        });
+    }
+
+    return {
+        group,
+        depth: entry.recursionDepth,
+        maxDepth: entry.recursionMaxDepth,
+        reachedBaseCase: entry.isBaseCase,
+        // Innermost call on top
+        frames: frames.reverse()
+    };
+}
+
+export class CallStackView {
+    /**
+     * Create the call stack view (shown once mounted)
+     */
+    constructor() {
+        this.element = null;
+    }
+
+    /**
+     * Add the view to a panel
+     * @param {HTMLElement} container - Parent element
+     */
+    mount(container) {
+        this.element = document.createElement('div');
+        this.element.className = 'call-stack';
+        this.element.setAttribute('aria-label', 'Call stack');
+        this.element.style.display = 'none';
+        container.appendChild(this.element);
+    }
+
+    /**
+     * Show the call stack for an entry, or hide it outside a nest
+     * @param {Object|null} entry - Expanded queue entry
+     */
+    update(entry) {
+        if (!this.element) return;
+
+        const stack = getCallStack(entry);
+        this.element.innerHTML = '';
+
+        if (!stack) {
+            this.element.style.display = 'none';
+            return;
+        }
+        this.element.style.display = '';
+
+        const header = document.createElement('div');
+        header.className = 'call-stack-header';
+        header.textContent = stack.maxDepth === null
+            ? `Call stack · depth ${stack.depth + 1}`
+            : `Call stack · depth ${stack.depth + 1}/${stack.maxDepth}`;
+        this.element.appendChild(header);
+
+        stack.frames.forEach(frame => {
+            this.element.appendChild(this.createFrame(stack, frame));
+        });
+    }
+
+    /**
+     * Create the element for one frame
+     * @param {Object} stack - Call stack from getCallStack
+     * @param {Object} frame - Frame to draw
+     * @returns {HTMLElement}
+     */
+    createFrame(stack, frame) {
+        const { group } = stack;
+
+        const frameEl = document.createElement('div');
+        frameEl.className = 'call-frame';
+        frameEl.style.borderLeftColor = group.color;
+        frameEl.style.marginLeft = `${frame.depth * 6}px`;
+        if (frame.isCurrent) frameEl.classList.add('call-frame-current');
+        if (frame.isBaseCase) frameEl.classList.add('call-frame-base');
+
+        const name = document.createElement('span');
+        name.className = 'call-frame-name';
+        name.textContent = `${group.getShortLabel()} d${frame.depth}`;
+        frameEl.appendChild(name);
+
+        const actions = document.createElement('span');
+        actions.className = 'call-frame-actions';
+
+        const addStep = (icon, state) => {
+            const step = document.createElement('span');
+            step.className = `call-step call-step-${state}`;
+            step.textContent = icon;
+            actions.appendChild(step);
+        };
+
+        // The call that stopped on its condition ran nothing
+        if (frame.phase === 'stop') {
+            addStep(group.getDepthDisplay(), 'done');
+            frameEl.appendChild(actions);
+            frameEl.appendChild(this.createBaseCaseBadge('base case ↩'));
+            return frameEl;
+        }
+
+        // IN actions are done once the frame has moved past them
+        group.preActions.forEach((action, index) => {
+            addStep(action.getIcon(), this.getStepState(frame, 'pre', index));
+        });
+
+        // The base case does not call itself again
+        if (!frame.isBaseCase) {
+            addStep('🌀', frame.phase === 'call' ? 'active' : frame.phase === 'post' ? 'done' : 'pending');
+        }
+
+        group.postActions.forEach((action, index) => {
+            addStep(action.getIcon(), this.getStepState(frame, 'post', index));
+        });
+
+        frameEl.appendChild(actions);
+
+        if (frame.isBaseCase) {
+            frameEl.appendChild(this.createBaseCaseBadge(
+                frame.isCurrent && stack.reachedBaseCase ? 'base case ↩' : 'base case'));
+        }
+
+        return frameEl;
+    }
+
+    /**
+     * Create the badge marking the base case frame
+     * @param {string} text - Badge text
+     * @returns {HTMLElement}
+     */
+    createBaseCaseBadge(text) {
+        const badge = document.createElement('span');
+        badge.className = 'call-frame-badge';
+        badge.textContent = text;
+        return badge;
+    }
+
+    /**
+     * Get the state of one IN/OUT action in a frame
+     * @param {Object} frame - Frame
+     * @param {string} phase - 'pre' or 'post'
+     * @param {number} index - Action index in that phase
+     * @returns {string} 'done', 'active' or 'pending'
+     */
+    getStepState(frame, phase, index) {
+        if (phase === 'pre') {
+            if (frame.phase !== 'pre') return 'done';
+            if (index < frame.actionIndex) return 'done';
+            return index === frame.actionIndex ? 'active' : 'pending';
+        }
+
+        if (frame.phase !== 'post') return 'pending';
+        if (index < frame.actionIndex) return 'done';
+        return index === frame.actionIndex ? 'active' : 'pending';
+    }
+}
@@ -0,0 +1,291 @@
+/**
+ * ConditionalBlock Class
+ * An "if ... then ... else ..." queue item: senses the ball's surroundings
+ * and runs one of two action branches. The branch is only picked when the
+ * queue reaches the block, since it depends on where the ball is by then.
+ */
+
+import { Action, ActionType, ActionIcons, MovementMode } from './Action.js';
+
+/**
+ * Things a conditional block can sense
+ */
+export const ConditionType = {
+    BLOCKED: 'BLOCKED',       // Moving in a direction would not work (wall, edge, one-way tile)
+    AT_EDGE: 'AT_EDGE',       // The next cell in a direction is off the board
+    OBSTACLE: 'OBSTACLE',     // Moving in a direction would run into an AVOID target
+    ON_TARGET: 'ON_TARGET',   // The ball is on a collect or finish target
+    ON_FINISH: 'ON_FINISH'    // The ball is on the finish
+};
+
+/**
+ * Condition icons for UI display
+ */
+export const ConditionIcons = {
+    [ConditionType.BLOCKED]: '🧱',
+    [ConditionType.AT_EDGE]: '🔚',
+    [ConditionType.OBSTACLE]: '❌',
+    [ConditionType.ON_TARGET]: '🎯',
+    [ConditionType.ON_FINISH]: '🏁'
+};
+
+/**
+ * Sides conditions look at in each movement mode: board directions, or
+ * ahead, left and right of the way the ball faces on turtle levels
+ */
+export const ConditionSides = {
+    [MovementMode.ABSOLUTE]: [ActionType.MOVE_RIGHT, ActionType.MOVE_DOWN, ActionType.MOVE_LEFT, ActionType.MOVE_UP],
+    [MovementMode.TURTLE]: [ActionType.FORWARD, ActionType.TURN_LEFT, ActionType.TURN_RIGHT]
+};
+
+/**
+ * Words for the turtle sides in condition descriptions
+ */
+const SIDE_NAMES = {
+    [ActionType.FORWARD]: 'ahead',
+    [ActionType.TURN_LEFT]: 'on the left',
+    [ActionType.TURN_RIGHT]: 'on the right'
+};
+
+/**
+ * Every condition in the order the builder cycles through them
+ */
+export const CONDITIONS = [
+    ...[ConditionType.BLOCKED, ConditionType.AT_EDGE, ConditionType.OBSTACLE].flatMap(type => [
+        ...ConditionSides[MovementMode.ABSOLUTE],
+        ...ConditionSides[MovementMode.TURTLE]
+    ].map(direction => ({ type, direction }))),
+    { type: ConditionType.ON_TARGET, direction: null },
+    { type: ConditionType.ON_FINISH, direction: null }
+];
+
+/**
+ * Get the conditions offered in a movement mode
+ * @param {string} movementMode - MovementMode value
+ * @returns {Array<Object>} Conditions from CONDITIONS, in the same order
+ */
+export function getConditions(movementMode = MovementMode.ABSOLUTE) {
+    const sides = ConditionSides[movementMode] || ConditionSides[MovementMode.ABSOLUTE];
+    return CONDITIONS.filter(c => !c.direction || sides.includes(c.direction));
+}
+
+/**
+ * Find the CONDITIONS entry matching a condition
+ * @param {Object} condition - { type, direction }
+ * @returns {Object|null} Condition or null if it is unknown
+ */
+export function findCondition(condition) {
+    return CONDITIONS.find(c =>
+        c.type === condition?.type && c.direction === (condition?.direction ?? null)) || null;
+}
+
+/**
+ * Get the condition after this one among a movement mode's conditions (wrapping around)
+ * @param {Object} condition - { type, direction }
+ * @param {string} movementMode - MovementMode value
+ * @returns {Object} Next condition
+ */
+export function nextCondition(condition, movementMode = MovementMode.ABSOLUTE) {
+    const conditions = getConditions(movementMode);
+    const index = conditions.indexOf(findCondition(condition));
+    return { ...conditions[(index + 1) % conditions.length] };
+}
+
+/**
+ * Get short label for a condition, like "🧱→"
+ * @param {Object} condition - { type, direction }
+ * @returns {string}
+ */
+export function getConditionLabel({ type, direction }) {
+    return `${ConditionIcons[type]}${direction ? ActionIcons[direction] : ''}`;
+}
+
+/**
+ * Get a readable description of a condition
+ * @param {Object} condition - { type, direction }
+ * @returns {string}
+ */
+export function getConditionText({ type, direction }) {
+    const arrow = direction ? SIDE_NAMES[direction] || ActionIcons[direction] : '';
+    switch (type) {
+        case ConditionType.BLOCKED:
+            return `blocked ${arrow}`;
+        case ConditionType.AT_EDGE:
+            return `at edge ${arrow}`;
+        case ConditionType.OBSTACLE:
+            return `obstacle ${arrow}`;
+        case ConditionType.ON_FINISH:
+            return 'on the finish';
+        default:
+            return 'on a target';
+    }
+}
+
+/**
+ * Maximum actions in each branch
+ */
+export const MAX_ACTIONS_IN_BRANCH = 3;
+
+export class ConditionalBlock {
+    /**
+     * Create a new conditional block
+     * @param {Object} condition - { type, direction } (defaults to "blocked to the right")
+     */
+    constructor(condition = CONDITIONS[0]) {
+        this.id = ConditionalBlock.generateId();
+        this.condition = { type: condition.type, direction: condition.direction ?? null };
+        this.thenActions = [];  // Run when the condition holds
+        this.elseActions = [];  // Run otherwise
+
+        // Execution state
+        this.isExecuting = false;
+        this.isComplete = false;
+        this.lastResult = null; // Result of the last check (null = not checked yet)
+    }
+
+    /**
+     * Generate unique ID
+     * @returns {string} Unique ID
+     */
+    static generateId() {
+        return `if_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    }
+
+    /**
+     * Add action to a branch
+     * @param {Action} action - Action to add
+     * @param {boolean} toThen - True for the THEN branch, false for ELSE
+     * @returns {boolean} True if added, false if the branch is full
+     */
+    addAction(action, toThen = true) {
+        const branch = toThen ? this.thenActions : this.elseActions;
+        if (!(action instanceof Action) || branch.length >= MAX_ACTIONS_IN_BRANCH) {
+            return false;
+        }
+        branch.push(action.clone());
+        return true;
+    }
+
+    /**
+     * Switch to the next condition offered in a movement mode
+     * @param {string} movementMode - MovementMode value
+     */
+    nextCondition(movementMode = MovementMode.ABSOLUTE) {
+        this.condition = nextCondition(this.condition, movementMode);
+    }
+
+    /**
+     * Get the actions of one branch
+     * @param {boolean} result - Condition result
+     * @returns {Action[]}
+     */
+    getBranch(result) {
+        return result ? this.thenActions : this.elseActions;
+    }
+
+    /**
+     * Get short label for the condition, like "🧱→"
+     * @returns {string}
+     */
+    getConditionLabel() {
+        return getConditionLabel(this.condition);
+    }
+
+    /**
+     * Get a readable description of the condition
+     * @returns {string}
+     */
+    getConditionText() {
+        return getConditionText(this.condition);
+    }
+
+    /**
+     * Get icon representation
+     * @returns {string}
+     */
+    getIcon() {
+        return '❓';
+    }
+
+    /**
+     * Check if this is a conditional block
+     * @returns {boolean} Always true
+     */
+    isConditionalBlock() {
+        return true;
+    }
+
+    /**
+     * Check if this is a group reference (for compatibility)
+     * @returns {boolean} Always false
+     */
+    isGroupReference() {
+        return false;
+    }
+
+    /**
+     * Check if both branches are empty
+     * @returns {boolean}
+     */
+    get isEmpty() {
+        return this.thenActions.length === 0 && this.elseActions.length === 0;
+    }
+
+    /**
+     * Reset execution state
+     */
+    reset() {
+        this.isExecuting = false;
+        this.isComplete = false;
+        this.lastResult = null;
+
+        this.thenActions.forEach(a => a.reset());
+        this.elseActions.forEach(a => a.reset());
+    }
+
+    /**
+     * Clone this conditional block
+     * @returns {ConditionalBlock} New block with the same condition and branches
+     */
+    clone() {
+        const cloned = new ConditionalBlock(this.condition);
+        this.thenActions.forEach(a => cloned.thenActions.push(a.clone()));
+        this.elseActions.forEach(a => cloned.elseActions.push(a.clone()));
+        return cloned;
+    }
+
+    /**
+     * Serialize for storage
+     * @returns {Object} Serialized data
+     */
+    toJSON() {
+        return {
+            type: 'ConditionalBlock',
+            id: this.id,
+            condition: { ...this.condition },
+            thenActions: this.thenActions.map(a => a.toJSON()),
+            elseActions: this.elseActions.map(a => a.toJSON())
+        };
+    }
+
+    /**
+     * Create conditional block from serialized data
+     * @param {Object} data - Serialized data
+     * @returns {ConditionalBlock} New conditional block
+     * @throws {Error} If the condition is unknown
+     */
+    static fromJSON(data) {
+        const condition = findCondition(data.condition);
+        if (!condition) {
+            throw new Error(`Unknown condition "${data.condition?.type}"`);
+        }
+
+        const block = new ConditionalBlock(condition);
+        if (data.id) {
+            block.id = data.id;
+        }
+        (data.thenActions || []).forEach(actionData => block.thenActions.push(Action.fromJSON(actionData)));
+        (data.elseActions || []).forEach(actionData => block.elseActions.push(Action.fromJSON(actionData)));
+        return block;
+    }
+}
@@ -0,0 +1,474 @@
+/**
+ * Debugger Class
+ * Step-by-step mode for the action queue: step forward and back, run to a
+ * queue item or to the next breakpoint, and inspect each expanded entry
+ * together with the ball position. Board state comes from the game's
+ * Simulator, so stepping back restores it exactly from snapshots.
+ */
+
+import { TargetType } from './Level.js';
+
+/**
+ * Labels for recursion phases (same words as the nest builder)
+ */
+const PHASE_LABELS = {
+    pre: 'IN',
+    post: 'OUT'
+};
+
+export class Debugger {
+    /**
+     * Create the debugger
+     * @param {Game} game - Game instance
+     */
+    constructor(game) {
+        this.game = game;
+        this.isActive = false;
+        this.panel = null;
+
+        // Expanded queue entries (see ActionQueue.expandItems)
+        this.entries = [];
+
+        // Number of entries executed so far
+        this.position = 0;
+
+        // Simulator snapshot taken before each executed entry
+        this.history = [];
+
+        // Queue items to stop at (items, not indexes, so edits don't move them)
+        this.breakpoints = new Set();
+    }
+
+    /**
+     * Toggle debugger mode
+     */
+    toggle() {
+        if (this.isActive) {
+            this.close();
+        } else {
+            this.open();
+        }
+    }
+
+    /**
+     * Enter debugger mode at the start of the program
+     */
+    open() {
+        if (this.isActive) return;
+
+        if (this.game.actionQueue.isEmpty) {
+            this.game.showMessage('Add some actions first!', 'error');
+            return;
+        }
+        if (this.game.isPlaying) {
+            this.game.stop();
+        }
+
+        this.isActive = true;
+
+        if (!this.panel) {
+            this.createPanel();
+        }
+        this.panel.style.display = '';
+
+        this.rebuild(0);
+        this.game.showMessage('🐞 Step through your program', 'info');
+    }
+
+    /**
+     * Leave debugger mode and put the board back to the start
+     */
+    close() {
+        if (!this.isActive) return;
+
+        this.isActive = false;
+        this.panel.style.display = 'none';
+
+        this.entries = [];
+        this.history = [];
+        this.position = 0;
+
+        const game = this.game;
+        game.actionQueue.reset();
+        game.activeGroupRef = null;
+        game.activeRecursiveRef = null;
+        game.currentRecursionDepth = 0;
+        game.resetBoard();
+        game.resetBallPosition();
+
+        game.updateQueueDisplay();
+        game.updateGroupsDisplay();
+        game.updateRecursiveGroupsDisplay();
+    }
+
+    /**
+     * Expand the queue again and replay up to a position
+     * Called on open and whenever the queue changes while debugging
+     * @param {number} position - Entries to replay
+     */
+    rebuild(position = this.position) {
+        const queue = this.game.actionQueue;
+        if (queue.isEmpty) {
+            this.close();
+            return;
+        }
+
+        queue.reset();
+        queue.expandItems();
+        this.entries = queue.expandedActions;
+
+        // Forget breakpoints on items that were removed
+        this.breakpoints.forEach(item => {
+            if (!queue.items.includes(item)) {
+                this.breakpoints.delete(item);
+            }
+        });
+
+        this.game.resetBoard();
+        this.history = [];
+        this.position = 0;
+        while (this.position < position && this.canStep) {
+            this.execute();
+        }
+
+        this.sync();
+    }
+
+    /**
+     * Check if there is an entry left to run
+     * @returns {boolean}
+     */
+    get canStep() {
+        if (this.game.simulation.isStopped) return false;
+
+        // Conditional blocks pick their branch from the state the next entry runs in
+        this.game.actionQueue.resolveConditions(this.position);
+        return this.position < this.entries.length;
+    }
+
+    /**
+     * Get the entry that runs next
+     * @returns {Object|null} Expanded queue entry
+     */
+    getCurrentEntry() {
+        return this.canStep ? this.entries[this.position] : null;
+    }
+
+    /**
+     * Check if the next entry is the first one of its queue item
+     * @returns {boolean}
+     */
+    isAtItemStart() {
+        const entry = this.getCurrentEntry();
+        if (!entry) return false;
+        return this.position === 0 || this.entries[this.position - 1].itemIndex !== entry.itemIndex;
+    }
+
+    /**
+     * Run the next entry on the simulator
+     * @returns {Object} Trace step
+     */
+    execute() {
+        const entry = this.entries[this.position];
+        this.history.push(this.game.simulation.snapshot());
+        this.position++;
+        return this.game.simulation.applyAction(entry.action, entry);
+    }
+
+    /**
+     * Run one entry
+     * @returns {boolean} True if a step was taken
+     */
+    stepForward() {
+        if (!this.canStep) return false;
+
+        const step = this.execute();
+        this.showStepEffects(step);
+        this.sync();
+
+        if (!this.canStep) {
+            this.reportResult();
+        }
+        return true;
+    }
+
+    /**
+     * Undo the last entry
+     * @returns {boolean} True if a step was undone
+     */
+    stepBack() {
+        if (this.position === 0) return false;
+
+        this.position--;
+        this.game.simulation.restore(this.history.pop());
+        this.game.sound.playClick();
+        this.sync();
+        return true;
+    }
+
+    /**
+     * Go back to the start of the program
+     */
+    rewind() {
+        if (this.position === 0) return;
+
+        this.game.simulation.restore(this.history[0]);
+        this.history = [];
+        this.position = 0;
+        this.sync();
+    }
+
+    /**
+     * Run until a queue item is about to start (or the program ends)
+     * @param {number} itemIndex - Queue item index
+     */
+    runToItem(itemIndex) {
+        this.runUntil(() => this.isAtItemStart() && this.getCurrentEntry().itemIndex === itemIndex);
+    }
+
+    /**
+     * Run until an item with a breakpoint is about to start (or the program ends)
+     */
+    continue() {
+        const items = this.game.actionQueue.items;
+        this.runUntil(() => this.isAtItemStart() && this.breakpoints.has(items[this.getCurrentEntry().itemIndex]));
+    }
+
+    /**
+     * Run at least one entry, then keep going until a condition holds
+     * @param {Function} shouldStop - Checked before each further entry
+     */
+    runUntil(shouldStop) {
+        if (!this.canStep) return;
+
+        do {
+            this.execute();
+        } while (this.canStep && !shouldStop());
+
+        this.game.sound.playMove();
+        this.sync();
+
+        if (!this.canStep) {
+            this.reportResult();
+        }
+    }
+
+    /**
+     * Add or remove a breakpoint on a queue item
+     * @param {Object} item - Queue item
+     */
+    toggleBreakpoint(item) {
+        if (this.breakpoints.has(item)) {
+            this.breakpoints.delete(item);
+        } else {
+            this.breakpoints.add(item);
+        }
+        this.game.updateQueueDisplay();
+    }
+
+    /**
+     * Show the simulator state on the board, queue and panel
+     */
+    sync() {
+        const game = this.game;
+        const simulation = game.simulation;
+
+        // Board
+        simulation.targets.forEach((target, index) => {
+            if (game.targets[index]) {
+                game.targets[index].collected = target.collected;
+                game.targets[index].outOfOrder = target.outOfOrder;
+                game.targets[index].moveToStep(simulation.actionsUsed);
+            }
+        });
+        simulation.balls.forEach((state, i) => {
+            const ball = game.balls[i];
+            ball.setGridPosition(state.x, state.y);
+            ball.setHeading(game.initialBallHeading && state.heading);
+            ball.reset();
+        });
+        game.updateBallPosition();
+        game.actionsUsed = simulation.actionsUsed;
+
+        // Queue items are complete once all their entries have run
+        const lastEntry = new Map();
+        this.entries.forEach((entry, index) => lastEntry.set(entry.itemIndex, index));
+        game.actionQueue.items.forEach((item, itemIndex) => {
+            item.isComplete = lastEntry.has(itemIndex) && lastEntry.get(itemIndex) < this.position;
+        });
+
+        // Highlighting of the running block / nest
+        const entry = this.getCurrentEntry();
+        game.activeGroupRef = entry?.groupRef || null;
+        game.activeRecursiveRef = entry?.recursiveRef || null;
+        game.currentRecursionDepth = entry?.recursionDepth || 0;
+
+        game.updateQueueDisplay();
+        game.updateGroupsDisplay();
+        game.updateRecursiveGroupsDisplay();
+        this.updatePanel();
+    }
+
+    /**
+     * Play effects for a single step
+     * @param {Object} step - Trace step from the simulator
+     */
+    showStepEffects(step) {
+        const game = this.game;
+        game.sound.playMove();
+
+        step.balls.forEach(move => {
+            if (move.blocked || move.fell) {
+                const { x, y } = game.grid.gridToPixel(move.from.x, move.from.y);
+                game.effects.spawnErrorEffect(x, y);
+                game.sound.playError();
+            }
+        });
+
+        step.collected.forEach(targetIndex => {
+            const target = game.targets[targetIndex];
+            if (!target) return;
+
+            const { x, y } = game.grid.gridToPixel(target.x, target.y);
+            if (target.type === TargetType.AVOID || step.outOfOrder.includes(targetIndex)) {
+                game.effects.spawnErrorEffect(x, y);
+                game.sound.playError();
+            } else if (target.type === TargetType.FINISH) {
+                game.effects.spawnFinishEffect(x, y);
+            } else {
+                game.effects.spawnCollectEffect(x, y);
+                game.sound.playCollect();
+            }
+        });
+    }
+
+    /**
+     * Say whether the program would win (debug runs don't count as wins)
+     */
+    reportResult() {
+        const result = this.game.simulation.checkWinCondition();
+        if (result.won) {
+            this.game.showMessage('✅ It works! Press ▶ to play it for real', 'success');
+        } else {
+            this.game.showMessage(result.reason, 'error');
+        }
+    }
+
+    /**
+     * Describe an expanded entry
+     * @param {Object} entry - Expanded queue entry
+     * @returns {string}
+     */
+    describeEntry(entry) {
+        const parts = [`${entry.action.getIcon()} item ${entry.itemIndex + 1}`];
+
+        if (entry.isFromGroup) {
+            parts.push(`block ${entry.actionIndexInGroup + 1}/${entry.groupRef.group.actionCount}`);
+        }
+        if (entry.isFromRepeat) {
+            parts.push(`loop ${entry.iteration + 1}/${entry.totalIterations}`);
+        }
+        if (entry.isFromRecursion) {
+            parts.push(`depth ${entry.recursionDepth} ${PHASE_LABELS[entry.recursionPhase] || ''}`.trim());
+        }
+
+        return parts.join(' · ');
+    }
+
+    /**
+     * Create debugger panel
+     */
+    createPanel() {
+        const footer = document.querySelector('.game-footer');
+        if (!footer) return;
+
+        this.panel = document.createElement('div');
+        this.panel.className = 'debug-panel';
+        this.panel.innerHTML = `
+            <div class="groups-header">
+                <span class="groups-label">🐞 Debugger</span>
+                <button class="clear-all-btn" data-debug="close" title="Close debugger">✕</button>
+            </div>
+            <div class="debug-controls" role="toolbar" aria-label="Debugger">
+                <button class="debug-btn" data-debug="rewind" title="Back to the start" aria-label="Back to the start">⏮</button>
+                <button class="debug-btn" data-debug="back" title="Step back" aria-label="Step back">◀</button>
+                <button class="debug-btn" data-debug="forward" title="Step forward" aria-label="Step forward">▶</button>
+                <button class="debug-btn" data-debug="continue" title="Run to the next breakpoint" aria-label="Run to the next breakpoint">⏭</button>
+            </div>
+            <div class="debug-info" aria-live="polite">
+                <div class="debug-step"></div>
+                <div class="debug-entry"></div>
+                <div class="debug-ball"></div>
+            </div>
+            <div class="debug-tip">Click a queue item to run to it · right-click to set a breakpoint 🔴</div>
+        `;
+
+        footer.insertBefore(this.panel, footer.querySelector('.controls'));
+
+        const actions = {
+            close: () => this.close(),
+            rewind: () => this.rewind(),
+            back: () => this.stepBack(),
+            forward: () => this.stepForward(),
+            continue: () => this.continue()
+        };
+        this.panel.querySelectorAll('[data-debug]').forEach(btn => {
+            btn.addEventListener('click', () => actions[btn.dataset.debug]());
+        });
+    }
+
+    /**
+     * Show the current entry and ball position in the panel
+     */
+    updatePanel() {
+        if (!this.panel) return;
+
+        const simulation = this.game.simulation;
+        const entry = this.getCurrentEntry();
+
+        this.panel.querySelector('.debug-step').textContent =
+            `Step ${this.position} of ${this.entries.length}`;
+
+        let next = 'Done';
+        if (entry) {
+            next = `Next: ${this.describeEntry(entry)}`;
+        } else if (simulation.isFinished) {
+            next = '🏁 Finish reached';
+        } else if (simulation.hasFallen) {
+            next = '💥 Fell off the board';
+        }
+        this.panel.querySelector('.debug-entry').textContent = next;
+
+        const balls = simulation.balls;
+        this.panel.querySelector('.debug-ball').textContent = balls.length === 1
+            ? `Ball: column ${simulation.ballX + 1}, row ${simulation.ballY + 1}`
+            : balls.map((ball, i) => `Ball ${i + 1}: column ${ball.x + 1}, row ${ball.y + 1}`).join(' · ');
+
+        this.panel.querySelector('[data-debug="rewind"]').disabled = this.position === 0;
+        this.panel.querySelector('[data-debug="back"]').disabled = this.position === 0;
+        this.panel.querySelector('[data-debug="forward"]').disabled = !this.canStep;
+        this.panel.querySelector('[data-debug="continue"]').disabled = !this.canStep;
+    }
+
+    /**
+     * Add debugger controls to a queue item element
+     * @param {HTMLElement} element - Queue item element
+     * @param {Object} item - Queue item
+     * @param {number} index - Queue index
+     */
+    decorateQueueItem(element, item, index) {
+        if (this.breakpoints.has(item)) {
+            element.classList.add('queue-item-breakpoint');
+        }
+        element.title = 'Click: run to here · Right-click: breakpoint';
+
+        element.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.runToItem(index);
+        });
+        element.addEventListener('contextmenu', (e) => {
+            e.preventDefault();
+            this.toggleBreakpoint(item);
+        });
+    }
+}
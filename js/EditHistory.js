@@ -0,0 +1,85 @@
+/**
+ * EditHistory Class
+ * Undo/redo stacks for program edits. Each command keeps the program from
+ * before and after one edit, so undoing or redoing it restores the queue,
+ * blocks and nests exactly - whichever button or key made the change.
+ */
+
+/**
+ * Most edits kept for undo
+ */
+export const MAX_HISTORY = 100;
+
+export class EditHistory {
+    /**
+     * Create an empty history
+     * @param {number} limit - Most commands kept (oldest are dropped)
+     */
+    constructor(limit = MAX_HISTORY) {
+        this.limit = limit;
+        this.undoStack = [];
+        this.redoStack = [];
+    }
+
+    /**
+     * Record an edit; a new edit drops everything that could be redone
+     * @param {string} label - What the edit did, e.g. "add to queue"
+     * @param {string} before - Program snapshot before the edit
+     * @param {string} after - Program snapshot after the edit
+     */
+    record(label, before, after) {
+        this.undoStack.push({ label, before, after });
+        if (this.undoStack.length > this.limit) {
+            this.undoStack.shift();
+        }
+        this.redoStack = [];
+    }
+
+    /**
+     * Take back the last edit
+     * @returns {Object|null} Command { label, before, after } to restore `before` of, or null
+     */
+    undo() {
+        const command = this.undoStack.pop();
+        if (!command) return null;
+
+        this.redoStack.push(command);
+        return command;
+    }
+
+    /**
+     * Make the last undone edit again
+     * @returns {Object|null} Command { label, before, after } to restore `after` of, or null
+     */
+    redo() {
+        const command = this.redoStack.pop();
+        if (!command) return null;
+
+        this.undoStack.push(command);
+        return command;
+    }
+
+    /**
+     * Forget all edits
+     */
+    clear() {
+        this.undoStack = [];
+        this.redoStack = [];
+    }
+
+    /**
+     * Check if there is an edit to undo
+     * @returns {boolean}
+     */
+    get canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    /**
+     * Check if there is an edit to redo
+     * @returns {boolean}
+     */
+    get canRedo() {
+        return this.redoStack.length > 0;
+    }
+}
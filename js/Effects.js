@@ -284,6 +284,18 @@ export class EffectsManager {
         }
     }
 
+    /**
+     * Add a slowly fading point of a whole path (instant runs draw it at once)
+     * @param {number} x 
+     * @param {number} y 
+     * @param {string} color 
+     */
+    addPathPoint(x, y, color = '#000FEE') {
+        const point = new TrailPoint(x, y, color);
+        point.decay = 0.015;
+        this.trail.push(point);
+    }
+
     /**
      * Spawn level complete confetti
      * @param {number} width 
@@ -736,10 +748,65 @@ export const TUTORIALS = {
         title: 'Recursion',
         text: 'Create self-calling functions!',
         steps: [
-            'Tap 🔄 to create recursive block',
-            'Add moves + the block itself',
-            'Set depth to control repetitions',
-            'Like a function that calls itself!'
+            'Tap 🌀 and add the moves before the call',
+            'Tap the 🌀 in the nest to place its call to itself',
+            'Add the moves after it, tap ✅ to finish',
+            'Stop after ×N calls or at a 🛑 base case'
+        ]
+    },
+    conditions: {
+        icon: '❓',
+        title: 'If / Else',
+        text: 'Let the ball decide what to do!',
+        steps: [
+            'Tap ❓ and add the THEN moves',
+            'Tap ❓ again and add the ELSE moves',
+            'Tap ❓ to finish, tap the block to change its check',
+            '🧱 blocked, 🔚 edge, ❌ obstacle, 🎯 on a target'
+        ]
+    },
+    twins: {
+        icon: '👯',
+        title: 'Two Balls',
+        text: 'One program moves every ball at once!',
+        steps: [
+            'Each move is made by all balls together',
+            'A ball stops when it reaches its own 🏁',
+            'A ❓ check holds only if it holds for every ball still moving',
+            'Until loops and 🛑 base cases check every ball too'
+        ]
+    },
+    tiles: {
+        icon: '◎',
+        title: 'Special Tiles',
+        text: 'Some cells move the ball for you!',
+        steps: [
+            '◎ Portals send it to the portal of the same color',
+            '❄️ Ice keeps it sliding the same way',
+            '▶▶ Conveyors push it one more cell',
+            '▶ One-way cells only let it in from one side'
+        ]
+    },
+    timing: {
+        icon: '⏳',
+        title: 'Timing',
+        text: 'Some things change with every move!',
+        steps: [
+            '❌ Guards walk their dotted loop, one cell per move',
+            '▥ Gates open and close - the corner number counts down',
+            'Tap ◇ Wait to stay put for one move',
+            'Waiting counts as a move too'
+        ]
+    },
+    turtle: {
+        icon: '🐢',
+        title: 'Turtle Moves',
+        text: 'The ball faces one way and turns like a turtle!',
+        steps: [
+            '⇧ Forward moves one cell the way the ball faces',
+            '↺ and ↻ turn it left and right on the spot',
+            'After a turn, the same moves go a new way',
+            '❓ checks look ahead, left and right of the ball'
         ]
     }
 };
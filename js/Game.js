@@ -6,18 +6,65 @@
 import { CONFIG } from './config.js';
 import { Renderer } from './Renderer.js';
 import { Grid } from './Grid.js';
-import { Ball } from './Ball.js';
+import { Ball, BALL_COLORS } from './Ball.js';
 import { ActionQueue, QueueState } from './ActionQueue.js';
-import { Action, ActionType, ActionIcons } from './Action.js';
+import { Action, ActionType, ActionIcons, MovementMode, MovementActions } from './Action.js';
 import { ActionGroup, GroupReference, GroupColors } from './ActionGroup.js';
-import { RepeatBlock, MAX_REPETITIONS, DEFAULT_REPETITIONS, MAX_ITEMS_IN_REPEAT } from './RepeatBlock.js';
+import { RepeatBlock, MAX_REPETITIONS, DEFAULT_REPETITIONS, MAX_ITEMS_IN_REPEAT, MAX_UNTIL_ITERATIONS, MAX_REPEAT_NESTING } from './RepeatBlock.js';
 import { RecursiveGroup, RecursiveReference, MAX_RECURSION_DEPTH, DEFAULT_RECURSION_DEPTH } from './RecursiveGroup.js';
+import { ConditionalBlock, MAX_ACTIONS_IN_BRANCH, getConditions, findCondition, nextCondition, getConditionText } from './ConditionalBlock.js';
 import { LevelManager } from './LevelManager.js';
-import { TargetType, UnlockedFeatures } from './Level.js';
+import { Simulator } from './Simulator.js';
+import { checkLevels } from './Solver.js';
+import { SolverWorker, SolverTask } from './SolverWorker.js';
+import { Level, Difficulty, TargetType, TileType, UnlockedFeatures, EdgeMode, WallSide } from './Level.js';
 import { EffectsManager, SoundManager, TutorialManager, TUTORIALS } from './Effects.js';
 import { AchievementsManager } from './Achievements.js';
 import { AnalyticsManager, AnalyticsEvent } from './Analytics.js';
 import { AccessibilityManager } from './Accessibility.js';
+import { LevelEditor } from './LevelEditor.js';
+import { Debugger } from './Debugger.js';
+import { BlockEditor } from './BlockEditor.js';
+import { EditHistory } from './EditHistory.js';
+import { QueueDrag } from './QueueDrag.js';
+import { CallStackView } from './CallStack.js';
+import { loadPackFromUrl, loadPackFromFile } from './LevelPack.js';
+import { getDailySeed, GeneratorConcept } from './LevelGenerator.js';
+import { createShareUrl, decodeProgram, getProgramFromHash } from './ShareLink.js';
+import { serializeProgram, deserializeProgram } from './Program.js';
+
+/**
+ * Playback speed that runs the whole queue in one frame
+ */
+export const INSTANT_SPEED = 'instant';
+
+/**
+ * Storage key for the chosen playback speed
+ */
+const SPEED_STORAGE_KEY = 'startschool_speed';
+
+/**
+ * Depths a nest cycles through when clicked: 2 → 3 → 4 → 5 → 2
+ */
+const RECURSION_DEPTH_CYCLE = [2, 3, 4, 5];
+
+/**
+ * Action each arrow key adds in each movement mode
+ * (on turtle levels ↑ goes forward, ← and → turn)
+ */
+const ARROW_KEY_ACTIONS = {
+    [MovementMode.ABSOLUTE]: {
+        ArrowUp: ActionType.MOVE_UP,
+        ArrowDown: ActionType.MOVE_DOWN,
+        ArrowLeft: ActionType.MOVE_LEFT,
+        ArrowRight: ActionType.MOVE_RIGHT
+    },
+    [MovementMode.TURTLE]: {
+        ArrowUp: ActionType.FORWARD,
+        ArrowLeft: ActionType.TURN_LEFT,
+        ArrowRight: ActionType.TURN_RIGHT
+    }
+};
 
 export class Game {
     /**
@@ -28,7 +75,7 @@ export class Game {
         // Core components
         this.renderer = new Renderer(canvas);
         this.grid = new Grid();
-        this.ball = null;
+        this.balls = []; // One per start - all run the same program
         this.actionQueue = new ActionQueue();
         
         // Action Groups
@@ -39,6 +86,7 @@ export class Game {
         // Repeat Building Mode
         this.isBuildingRepeat = false;
         this.buildingRepeatBlock = null;
+        this.repeatBuildStack = []; // Outer repeats while a loop inside them is built
         this.repeatCount = DEFAULT_REPETITIONS;
         
         // Recursive Groups
@@ -51,9 +99,24 @@ export class Game {
         this.buildingRecursiveGroup = null;
         this.recursionPhase = null; // 'enter' or 'exit'
         
+        // Conditional Building Mode
+        this.isBuildingCondition = false;
+        this.buildingConditional = null;
+        this.conditionBranch = null; // 'then' or 'else'
+        
+        // Level whose program is autosaved (null while loading or in the editor)
+        this.autosaveLevelId = null;
+        
+        // Undo/redo of program edits (reset per level)
+        this.editHistory = new EditHistory();
+        this.lastProgramSnapshot = null; // Program as of the last recorded edit
+        this.editBatchDepth = 0; // Edits are recorded as one step while > 0
+        this.isRestoringEdit = false;
+        
         // Level System
         this.levelManager = new LevelManager();
-        this.targets = [];
+        this.simulation = null; // Headless board state for the current level
+        this.targets = [];      // Display copies of level targets
         this.actionsUsed = 0;
         this.levelComplete = false;
         
@@ -64,6 +127,7 @@ export class Game {
         
         // Engagement System
         this.achievements = new AchievementsManager();
+        this.achievements.setPack(this.levelManager.pack.id, this.levelManager.levels.length);
         this.levelAttempts = 0;
         this.levelStartTime = null;
         this.hitObstacleThisRun = false;
@@ -80,14 +144,14 @@ export class Game {
         this.timerInterval = null;
         this.timerVisible = true;
         
-        // Initial ball position
-        this.initialBallX = 0;
-        this.initialBallY = 0;
+        // Initial ball positions
+        this.ballStarts = [];
         
         // Game state
         this.currentLevel = 1;
         this.isPlaying = false;
         this.isPaused = false;
+        this.playbackSpeed = 1; // CONFIG.animation.speeds value or INSTANT_SPEED
         
         // Currently executing group (for highlighting)
         this.activeGroupRef = null;
@@ -96,10 +160,35 @@ export class Game {
         this.lastFrameTime = 0;
         this.animationFrameId = null;
         
+        // Solver results per level config (solving can take a moment)
+        this.hintCache = new Map();
+        this.solverWorker = new SolverWorker();
+        
+        // Level editor (panel is created when first opened)
+        this.levelEditor = new LevelEditor(this);
+        
+        // Step-by-step debugger (panel is created when first opened)
+        this.debugger = new Debugger(this);
+        
+        // Editor for saved blocks and nests (panel is created when first opened)
+        this.blockEditor = new BlockEditor(this);
+        
+        // Drag-and-drop editing of the queue
+        this.queueDrag = new QueueDrag(this);
+        
+        // Call stack of the running nest (mounted in the nest panel)
+        this.callStack = new CallStackView();
+        
         // UI Elements
         this.levelDisplay = document.getElementById('current-level');
         this.playButton = document.getElementById('btn-play');
         this.resetButton = document.getElementById('btn-reset');
+        this.hintButton = document.getElementById('btn-hint');
+        this.shareButton = document.getElementById('btn-share');
+        this.debugButton = document.getElementById('btn-debug');
+        this.speedButton = document.getElementById('btn-speed');
+        this.undoButton = document.getElementById('btn-undo');
+        this.redoButton = document.getElementById('btn-redo');
         this.actionPanel = null;
         this.queueDisplay = null;
         this.groupsPanel = null;
@@ -121,6 +210,7 @@ export class Game {
         
         // Set up action queue callbacks
         this.setupActionQueueCallbacks();
+        this.setPlaybackSpeed(this.loadPlaybackSpeed());
         
         // Create UI for actions
         this.createActionUI();
@@ -158,6 +248,10 @@ export class Game {
         // Show tutorial for current level
         this.showLevelTutorial();
         
+        // Level pack (?pack=...) and shared program (#play=...) links
+        this.loadLinkedContent();
+        window.addEventListener('hashchange', () => this.loadSharedProgramFromHash());
+        
         console.log('Game initialized - Phase 9: Analytics & Accessibility');
     }
 
@@ -168,21 +262,32 @@ export class Game {
         const level = this.levelManager.getCurrentLevel();
         if (!level) return;
         
+        // Leaving the previous level: stop saving into it and stop debugging it
+        this.autosaveLevelId = null;
+        if (this.debugger?.isActive) {
+            this.debugger.close();
+        }
+        
         // Update grid if level has different size
         this.grid.cols = level.gridCols;
         this.grid.rows = level.gridRows;
         const { width, height } = this.renderer.getDimensions();
         this.grid.calculateDimensions(width, height);
         
-        // Set ball start position
-        this.initialBallX = level.startX;
-        this.initialBallY = level.startY;
+        // Set ball start positions (and heading on turtle levels)
+        this.ballStarts = level.starts.map(start => ({ ...start }));
+        this.initialBallHeading = level.movementMode === MovementMode.TURTLE ? level.startHeading : null;
         
-        // Create ball
-        this.ball = new Ball(this.initialBallX, this.initialBallY);
+        // Create a ball on each start
+        this.balls = this.ballStarts.map((start, index) => {
+            const ball = new Ball(start.x, start.y, BALL_COLORS[index]);
+            ball.setHeading(this.initialBallHeading);
+            return ball;
+        });
         this.updateBallPosition();
         
-        // Copy targets from level
+        // Board logic runs in the simulator, targets are copied for display
+        this.simulation = new Simulator(level);
         this.targets = level.targets.map(t => t.clone());
         
         // Reset state
@@ -190,6 +295,17 @@ export class Game {
         this.levelComplete = false;
         this.currentLevel = level.id;
         
+        // Bring back the program from last time (undo starts over each level)
+        this.restoreProgram();
+        this.resetEditHistory();
+        
+        // Update UI
+        this.updateLevelDisplay();
+        this.updateFeatureVisibility();
+        
+        // Editor drafts are not tracked
+        if (this.levelManager.isCustomLevel) return;
+        
         // Reset run tracking
         this.levelAttempts = 0;
         this.hitObstacleThisRun = false;
@@ -208,10 +324,6 @@ export class Game {
         // Update accessibility
         this.accessibility?.updateLevelARIA(level);
         
-        // Update UI
-        this.updateLevelDisplay();
-        this.updateFeatureVisibility();
-        
         console.log(`Loaded level ${level.id}: ${level.name}`);
     }
 
@@ -240,6 +352,17 @@ export class Game {
         const needsBlocks = requiredFeatures.includes('BLOCKS');
         const needsRepeat = requiredFeatures.includes('REPEAT');
         const needsRecursion = requiredFeatures.includes('RECURSION');
+        const needsConditions = requiredFeatures.includes('CONDITIONS');
+        
+        // Only the moves of the level's movement mode are offered,
+        // and waiting only where gates or patrols change with time
+        const moves = [...MovementActions[currentLevel?.movementMode || MovementMode.ABSOLUTE]];
+        if (currentLevel?.hasTimedElements) {
+            moves.push(ActionType.WAIT);
+        }
+        this.actionPanel?.querySelectorAll('.action-btn[data-action]').forEach(btn => {
+            btn.style.display = moves.includes(btn.dataset.action) ? '' : 'none';
+        });
         
         // Show/hide record button (blocks)
         const recordBtn = document.getElementById('btn-record');
@@ -259,6 +382,12 @@ export class Game {
             recursionBtn.style.display = needsRecursion ? '' : 'none';
         }
         
+        // Show/hide condition button
+        const conditionBtn = document.getElementById('btn-condition');
+        if (conditionBtn) {
+            conditionBtn.style.display = needsConditions ? '' : 'none';
+        }
+        
         // Show/hide panels
         if (this.groupsPanel) {
             this.groupsPanel.style.display = needsBlocks ? '' : 'none';
@@ -272,34 +401,85 @@ export class Game {
      * Set up callbacks for action queue
      */
     setupActionQueueCallbacks() {
+        // Conditional blocks look at the live board when the queue reaches them
+        this.actionQueue.sensor = condition => this.simulation?.checkCondition(condition) ?? false;
+        
         this.actionQueue.onActionStart = (action, index, info) => {
             console.log(`Starting action ${index + 1}: ${action.type}`);
-            this.updateQueueDisplay();
-            
-            // Play move sound
-            this.sound.playMove();
             
-            // Calculate target position
-            const direction = action.getDirection();
-            const targetX = this.ball.gridX + direction.dx;
-            const targetY = this.ball.gridY + direction.dy;
-            
-            // Check if valid move
-            if (this.grid.isValidPosition(targetX, targetY)) {
-                this.ball.startMove(targetX, targetY);
+            // Instant runs only show the result, so skip per-move display and sound
+            if (!this.actionQueue.instant) {
+                this.updateQueueDisplay();
+                this.sound.playMove();
             }
+            
+            // Ask the simulator where this action leads each ball still going
+            // (falls and wraps head for the cell beyond the edge first)
+            this.simulation.balls.forEach((state, i) => {
+                if (state.finished) return;
+                
+                const ball = this.balls[i];
+                const move = this.simulation.resolveAction(action, state);
+                const cells = move.path.flatMap(cell => (cell.edge ? [cell.edge, cell] : [cell]));
+                if (move.fell) {
+                    cells.push(move.edge);
+                }
+                
+                if (cells.length > 0) {
+                    ball.startPath(cells);
+                } else if (move.blocked) {
+                    const { dx, dy } = action.getDirection(state.heading);
+                    ball.startBump(dx, dy);
+                } else if (move.heading !== state.heading) {
+                    ball.startTurn(move.heading);
+                }
+            });
         };
         
         this.actionQueue.onActionComplete = (action, index, info) => {
             console.log(`Completed action ${index + 1}: ${action.type}`);
-            this.ball.completeAnimation();
-            this.actionsUsed++;
+            // Balls already on their finish sit the rest of the program out
+            const going = this.simulation.balls.map(ball => !ball.finished);
+            const step = this.simulation.applyAction(action, info);
+            this.actionsUsed = this.simulation.actionsUsed;
+            this.targets.forEach(target => target.moveToStep(this.actionsUsed));
+            
+            step.balls.forEach((move, i) => {
+                if (!going[i]) return;
+                
+                const ball = this.balls[i];
+                ball.completeAnimation();
+                
+                // The ball stops early on its finish (a fall leaves it off the board)
+                if (!move.fell) {
+                    ball.setGridPosition(move.to.x, move.to.y);
+                    this.updateBallPosition();
+                }
+                if (move.teleported) {
+                    const exit = this.grid.gridToPixel(move.to.x, move.to.y);
+                    this.effects.spawnMoveEffect(exit.x, exit.y, '#8866dd');
+                }
+                
+                if (this.actionQueue.instant) {
+                    // Draw the path as a trail that fades after the run
+                    if (index === 0) {
+                        const from = this.grid.gridToPixel(move.from.x, move.from.y);
+                        this.effects.addPathPoint(from.x, from.y, ball.color);
+                    }
+                    const to = this.grid.gridToPixel(move.to.x, move.to.y);
+                    this.effects.addPathPoint(to.x, to.y, ball.color);
+                } else {
+                    // Spawn move effect
+                    this.effects.spawnMoveEffect(ball.x, ball.y, ball.color);
+                }
+            });
             
-            // Spawn move effect
-            this.effects.spawnMoveEffect(this.ball.pixelX, this.ball.pixelY, CONFIG.colors.primary);
+            // Show effects for any targets hit in this step
+            this.checkTargetCollision(step);
             
-            // Check if ball hit any targets
-            this.checkTargetCollision();
+            if (step.balls.some(move => move.blocked || move.fell)) {
+                this.handleBlockedMove(step);
+            }
             
             this.updateQueueDisplay();
         };
@@ -330,7 +510,10 @@ export class Game {
         };
         
         this.actionQueue.onRepeatComplete = (repeatBlock, itemIndex) => {
-            console.log(`Completed repeat block: ${repeatBlock.count}x`);
+            console.log(`Completed repeat block: ${repeatBlock.getCountDisplay()}`);
+            if (repeatBlock.reachedCap) {
+                this.showMessage(`🔁 Loop stopped after ${MAX_UNTIL_ITERATIONS} rounds`, 'warning');
+            }
             this.updateQueueDisplay();
         };
         
@@ -356,6 +539,19 @@ export class Game {
             this.updateQueueDisplay();
             this.updateRecursiveGroupsDisplay();
         };
+
+        // The rest of the queue is dropped, so the run ends with this as the reason
+        this.actionQueue.onStackOverflow = (recursiveRef, depth) => {
+            console.log(`Stack overflow: ${recursiveRef.group.name}() at depth ${depth}`);
+            this.simulation.hasOverflowed = true;
+            this.activeRecursiveRef = null;
+            this.currentRecursionDepth = 0;
+        };
+
+        // Conditional callbacks
+        this.actionQueue.onConditionChecked = (conditional, result, itemIndex) => {
+            console.log(`Condition ${conditional.getConditionText()}: ${result ? 'THEN' : 'ELSE'}`);
+        };
         
         this.actionQueue.onQueueComplete = () => {
             console.log('All actions complete!');
@@ -373,7 +569,16 @@ export class Game {
         };
         
         this.actionQueue.onQueueChange = () => {
+            // Edits while debugging replay the new program up to the same step
+            if (this.debugger.isActive && !this.actionQueue.isRunning) {
+                this.debugger.rebuild();
+            }
             this.updateQueueDisplay();
+            
+            // Execution progress also lands here - only edits need saving
+            if (!this.actionQueue.isRunning) {
+                this.programEdited();
+            }
         };
     }
 
@@ -392,6 +597,7 @@ export class Game {
                 <div class="queue-header">
                     <span class="queue-label">Queue:</span>
                     <span class="queue-max" id="queue-max"></span>
+                    <button class="clear-all-btn" id="btn-start-fresh" title="Start fresh: clear queue, blocks and nests">↺</button>
                     <button class="clear-all-btn" id="btn-clear-queue" title="Clear all">✕</button>
                 </div>
                 <div class="queue-items" id="queue-items"></div>
@@ -409,6 +615,18 @@ export class Game {
                 <button class="action-btn" data-action="${ActionType.MOVE_RIGHT}" aria-label="Move right">
                     ${ActionIcons[ActionType.MOVE_RIGHT]}
                 </button>
+                <button class="action-btn" data-action="${ActionType.TURN_LEFT}" aria-label="Turn left" style="display: none">
+                    ${ActionIcons[ActionType.TURN_LEFT]}
+                </button>
+                <button class="action-btn" data-action="${ActionType.FORWARD}" aria-label="Move forward" style="display: none">
+                    ${ActionIcons[ActionType.FORWARD]}
+                </button>
+                <button class="action-btn" data-action="${ActionType.TURN_RIGHT}" aria-label="Turn right" style="display: none">
+                    ${ActionIcons[ActionType.TURN_RIGHT]}
+                </button>
+                <button class="action-btn" data-action="${ActionType.WAIT}" aria-label="Wait one step" title="WAIT: Stay put for one step" style="display: none">
+                    ${ActionIcons[ActionType.WAIT]}
+                </button>
                 <div class="action-separator"></div>
                 <button class="action-btn record-btn" id="btn-record" aria-label="Record block" title="BLOCK: Save actions to reuse">
                     <span style="font-family: 'Segoe UI Emoji', 'Apple Color Emoji', 'Noto Color Emoji', sans-serif;">💾</span>
@@ -419,6 +637,9 @@ export class Game {
                 <button class="action-btn recursion-btn" id="btn-recursion" aria-label="Create nest pattern" title="NEST: IN→→→OUT pattern">
                     <span style="font-family: 'Segoe UI Emoji', 'Apple Color Emoji', 'Noto Color Emoji', sans-serif;">🌀</span>
                 </button>
+                <button class="action-btn condition-btn" id="btn-condition" aria-label="Start conditional block" title="IF: Click to start, add THEN actions, click for ELSE, click to finish">
+                    <span style="font-family: 'Segoe UI Emoji', 'Apple Color Emoji', 'Noto Color Emoji', sans-serif;">❓</span>
+                </button>
             </div>
         `;
         
@@ -439,6 +660,9 @@ export class Game {
                     this.addAction(actionType);
                 }
             });
+            
+            // Or drag the move into a queue slot or a loop
+            this.queueDrag.attach(btn, { kind: 'action', actionType: btn.dataset.action });
         });
         
         // Clear queue button
@@ -447,6 +671,12 @@ export class Game {
             clearBtn.addEventListener('click', () => this.clearQueue());
         }
         
+        // Start fresh button
+        const startFreshBtn = document.getElementById('btn-start-fresh');
+        if (startFreshBtn) {
+            startFreshBtn.addEventListener('click', () => this.startFresh());
+        }
+        
         // Record button
         const recordBtn = document.getElementById('btn-record');
         if (recordBtn) {
@@ -464,6 +694,15 @@ export class Game {
         if (recursionBtn) {
             recursionBtn.addEventListener('click', () => this.createRecursiveGroup());
         }
+        
+        // Condition button - THEN, ELSE, finish
+        const conditionBtn = document.getElementById('btn-condition');
+        if (conditionBtn) {
+            conditionBtn.addEventListener('click', () => this.toggleConditionMode());
+        }
+        
+        // Show a program restored before the UI existed
+        this.updateQueueDisplay();
     }
 
     /**
@@ -533,6 +772,7 @@ export class Game {
         footer.insertBefore(recursivePanel, groupsPanel);
         
         this.recursivePanel = recursivePanel;
+        this.callStack.mount(recursivePanel);
         this.updateRecursiveGroupsDisplay();
     }
 
@@ -546,7 +786,7 @@ export class Game {
             return;
         }
         
-        if (this.isRecording || this.isBuildingRepeat) {
+        if (this.isRecording || this.isBuildingRepeat || this.isBuildingCondition) {
             console.warn('Finish current action first');
             return;
         }
@@ -564,47 +804,66 @@ export class Game {
      * Start building recursive group
      */
     startRecursiveGroup() {
+        // The builder takes the moves from now on
+        this.blockEditor.close();
+        
         this.isBuildingRecursion = true;
         this.buildingRecursiveGroup = new RecursiveGroup();
         this.recursionPhase = 'enter'; // 'enter' or 'exit'
         
         this.updateRecursionBuildUI();
         this.updateQueueDisplay();
-        this.showMessage('🌀 Add ENTER actions, then click 🌀 for EXIT', 'info');
+        this.showMessage('🌀 Add moves and tap the nest\'s 🌀 to place its call, then ✅', 'info');
         console.log('Started building recursion - ENTER phase');
     }
     
     /**
-     * Switch to exit phase or finish
+     * Place the self-call after the moves so far (moves added after it are
+     * EXIT actions), or take it out again (its EXIT actions move before it)
      */
-    finishRecursiveGroup() {
+    toggleSelfCall() {
+        const group = this.buildingRecursiveGroup;
+        if (!group) return;
+        
         if (this.recursionPhase === 'enter') {
-            // Switch to exit phase
-            if (this.buildingRecursiveGroup.preActions.length === 0) {
-                this.showMessage('Add at least one ENTER action!', 'warning');
-                return;
-            }
+            // It may come first, before any move
             this.recursionPhase = 'exit';
-            this.updateRecursionBuildUI();
-            this.updateQueueDisplay();
-            this.showMessage('🌀 Add EXIT actions (optional), click 🌀 to finish', 'info');
+            this.showMessage('🌀 Self-call placed! Add moves after it (optional), click ✅ to finish', 'info');
             console.log('Recursion - switched to EXIT phase');
         } else {
-            // Finish building - OUT can be empty (just means no exit actions)
-            // Save the group
-            this.savedRecursiveGroups.push(this.buildingRecursiveGroup);
-            
-            console.log(`Created recursion: ${this.buildingRecursiveGroup.name}() - Enter: ${this.buildingRecursiveGroup.preActions.length}, Exit: ${this.buildingRecursiveGroup.postActions.length}`);
-            
-            // Reset state
-            this.isBuildingRecursion = false;
-            this.buildingRecursiveGroup = null;
-            this.recursionPhase = null;
-            
-            this.updateRecursionBuildUI();
-            this.updateRecursiveGroupsDisplay();
-            this.updateQueueDisplay();
+            group.postActions.forEach(action => group.addPreAction(action));
+            group.postActions = [];
+            this.recursionPhase = 'enter';
+            console.log('Recursion - switched back to ENTER phase');
+        }
+        
+        this.sound.playClick();
+        this.updateQueueDisplay();
+    }
+    
+    /**
+     * Finish the nest (a self-call that was not placed goes after all its moves)
+     */
+    finishRecursiveGroup() {
+        if (this.buildingRecursiveGroup.isEmpty) {
+            this.showMessage('Add at least one move!', 'warning');
+            return;
         }
+        
+        // OUT can be empty (just means no exit actions)
+        this.savedRecursiveGroups.push(this.buildingRecursiveGroup);
+        
+        console.log(`Created recursion: ${this.buildingRecursiveGroup.name}() - Enter: ${this.buildingRecursiveGroup.preActions.length}, Exit: ${this.buildingRecursiveGroup.postActions.length}`);
+        
+        // Reset state
+        this.isBuildingRecursion = false;
+        this.buildingRecursiveGroup = null;
+        this.recursionPhase = null;
+        
+        this.updateRecursionBuildUI();
+        this.updateRecursiveGroupsDisplay();
+        this.updateQueueDisplay();
+        this.programEdited();
     }
     
     /**
@@ -626,14 +885,9 @@ export class Game {
         if (!recursionBtn) return;
         
         if (this.isBuildingRecursion) {
-            if (this.recursionPhase === 'enter') {
-                recursionBtn.classList.add('building-recursion');
-                recursionBtn.innerHTML = '<span style="font-family: \'Segoe UI Emoji\', sans-serif;">➡️</span>';
-                recursionBtn.title = 'Click to switch to EXIT actions';
-            } else {
-                recursionBtn.innerHTML = '<span style="font-family: \'Segoe UI Emoji\', sans-serif;">✅</span>';
-                recursionBtn.title = 'Click to finish nest';
-            }
+            recursionBtn.classList.add('building-recursion');
+            recursionBtn.innerHTML = '<span style="font-family: \'Segoe UI Emoji\', sans-serif;">✅</span>';
+            recursionBtn.title = 'Click to finish nest';
         } else {
             recursionBtn.classList.remove('building-recursion');
             recursionBtn.innerHTML = '<span style="font-family: \'Segoe UI Emoji\', sans-serif;">🌀</span>';
@@ -645,6 +899,9 @@ export class Game {
     * Update recursive groups display
      */
     updateRecursiveGroupsDisplay() {
+        // The editor closes if its nest is gone
+        this.blockEditor.sync();
+        
         const recursiveList = document.getElementById('recursive-list');
         if (!recursiveList) return;
         
@@ -692,10 +949,22 @@ export class Game {
                     <span class="pattern-separator">→🌀→</span>
                     <span class="pattern-exit">${exitIcons}</span>
                 </span>
-                <span class="recursive-depth">×${group.maxDepth}</span>
+                <span class="recursive-depth">${group.getDepthDisplay()}</span>
+                <button class="item-edit-btn" title="Edit">✏️</button>
                 <button class="item-delete-btn" data-index="${index}" title="Delete">✕</button>
             `;
             
+            if (this.blockEditor.group === group) {
+                groupEl.classList.add('recursive-item-editing');
+            }
+            
+            // Edit button
+            groupEl.querySelector('.item-edit-btn').addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.blockEditor.open(group);
+                this.updateRecursiveGroupsDisplay();
+            });
+            
             // Delete button
             const deleteBtn = groupEl.querySelector('.item-delete-btn');
             if (deleteBtn) {
@@ -712,7 +981,7 @@ export class Game {
                 }
             });
             
-            // Right click to cycle depth
+            // Right click to cycle depth (or the stop condition)
             groupEl.addEventListener('contextmenu', (e) => {
                 e.preventDefault();
                 if (!this.isPlaying) {
@@ -731,6 +1000,11 @@ export class Game {
     addRecursiveGroupToQueue(group) {
         if (this.isPlaying) return;
         
+        if (this.blockEditor.isActive) {
+            this.showMessage('✏️ Nests go in the queue - close the editor first', 'warning');
+            return;
+        }
+        
         const success = this.actionQueue.addRecursiveReference(group);
         if (success) {
             // Track for achievements
@@ -756,26 +1030,73 @@ export class Game {
         
         const newDepth = Math.max(1, Math.min(MAX_RECURSION_DEPTH, this.buildingRecursiveGroup.maxDepth + delta));
         this.buildingRecursiveGroup.setMaxDepth(newDepth);
+        this.buildingRecursiveGroup.setStopCondition(null);
         console.log(`Recursion depth changed to: ${newDepth}`);
         
         this.updateQueueDisplay();
     }
 
+    /**
+     * Switch the nest being built from the depth counter to each stop
+     * condition in turn, then back to the depth counter
+     */
+    cycleRecursionStop() {
+        const group = this.buildingRecursiveGroup;
+        if (!group) return;
+        
+        const [first] = this.getLevelConditions();
+        if (!group.hasStopCondition) {
+            group.setStopCondition(first);
+        } else {
+            const next = nextCondition(group.stopWhen, this.getMovementMode());
+            group.setStopCondition(findCondition(next) === first ? null : next);
+        }
+        
+        this.sound.playClick();
+        this.updateQueueDisplay();
+    }
+
     /**
     * Cycle recursion depth
      * @param {RecursiveGroup} group - Group to modify
      * @param {number} index - Index in saved groups
      */
     cycleRecursionDepth(group, index) {
-        // Cycle through: 2 → 3 → 4 → 5 → 2
-        const cycleValues = [2, 3, 4, 5];
-        const currentIndex = cycleValues.indexOf(group.maxDepth);
-        const nextIndex = (currentIndex + 1) % cycleValues.length;
+        // Nests that stop on a condition cycle the condition instead
+        if (group.hasStopCondition) {
+            group.setStopCondition(nextCondition(group.stopWhen, this.getMovementMode()));
+            console.log(`Recursion stop changed to: ${group.getDepthDisplay()}`);
+            this.updateRecursiveGroupsDisplay();
+            this.actionQueue.notifyChange();
+            return;
+        }
+        
+        const currentIndex = RECURSION_DEPTH_CYCLE.indexOf(group.maxDepth);
+        const nextIndex = (currentIndex + 1) % RECURSION_DEPTH_CYCLE.length;
         
-        group.setMaxDepth(cycleValues[nextIndex]);
+        group.setMaxDepth(RECURSION_DEPTH_CYCLE[nextIndex]);
         console.log(`Recursion depth changed to: ${group.maxDepth}`);
         
         this.updateRecursiveGroupsDisplay();
+        this.programEdited();
+    }
+
+    /**
+     * Cycle the depth argument of one call in the queue
+     * The nest itself and its other calls keep their depth
+     * @param {RecursiveReference} ref - Call to change
+     */
+    cycleCallDepth(ref) {
+        // Calls of a nest that stops on a condition have no depth to set
+        if (ref.group.hasStopCondition) return;
+        
+        const currentIndex = RECURSION_DEPTH_CYCLE.indexOf(ref.getMaxDepth());
+        const nextIndex = (currentIndex + 1) % RECURSION_DEPTH_CYCLE.length;
+        
+        ref.setDepth(RECURSION_DEPTH_CYCLE[nextIndex]);
+        console.log(`${ref.group.name}() called with depth ${ref.depth}`);
+        
+        this.actionQueue.notifyChange();
     }
 
     /**
@@ -795,12 +1116,11 @@ export class Game {
         // Create new group from current queue
         const newGroup = new ActionGroup();
         
-        // Copy current queue actions to the group
+        // Copy current queue actions to the group - blocks stay calls,
+        // so changing them later changes this block too
         this.actionQueue.items.forEach(item => {
             if (item.isGroupReference && item.isGroupReference()) {
-                item.getActions().forEach(action => {
-                    newGroup.addAction(action);
-                });
+                newGroup.addAction(item);
             } else if (item instanceof Action) {
                 newGroup.addAction(item);
             }
@@ -844,14 +1164,9 @@ export class Game {
         this.isRecording = true;
         this.recordingGroup = new ActionGroup();
         
-        // Copy current queue actions to the group
+        // Copy current queue actions (and block calls) to the group
         this.actionQueue.items.forEach(item => {
-            if (item.isGroupReference && item.isGroupReference()) {
-                // Add each action from the group
-                item.getActions().forEach(action => {
-                    this.recordingGroup.addAction(action);
-                });
-            } else {
+            if (item.isGroupReference && item.isGroupReference() || item instanceof Action) {
                 this.recordingGroup.addAction(item);
             }
         });
@@ -924,6 +1239,9 @@ export class Game {
      * Update groups display
      */
     updateGroupsDisplay() {
+        // The editor closes if its block is gone
+        this.blockEditor.sync();
+        
         const groupsList = document.getElementById('groups-list');
         if (!groupsList) return;
         
@@ -948,13 +1266,44 @@ export class Game {
                 groupEl.classList.add('group-item-active');
             }
             
+            const actionSlots = group.actions.map((action, actionIndex) => {
+                // Calls to other blocks show in that block's color
+                if (action.isGroupReference && action.isGroupReference()) {
+                    return `<span class="group-action group-action-call" style="background-color: ${action.getColor()}" data-action-index="${actionIndex}">${action.getIcon()}</span>`;
+                }
+                return `<span class="group-action${action.param ? ' group-action-param' : ''}" data-action-index="${actionIndex}">${action.getIcon()}</span>`;
+            }).join('');
+            
             groupEl.innerHTML = `
                 <span class="group-icon" style="background-color: ${group.color}">${group.getShortLabel()}</span>
                 <span class="group-name">${group.name}</span>
+                <span class="group-actions" title="Click a move to make it a parameter (X, Y)">${actionSlots}</span>
                 <span class="group-count">${group.size}</span>
+                <button class="item-edit-btn" title="Edit">✏️</button>
                 <button class="item-delete-btn" data-index="${index}" title="Delete">✕</button>
             `;
             
+            if (this.blockEditor.group === group) {
+                groupEl.classList.add('group-item-editing');
+            }
+            
+            // Edit button
+            groupEl.querySelector('.item-edit-btn').addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.blockEditor.open(group);
+                this.updateGroupsDisplay();
+            });
+            
+            // Click a move to turn it into a parameter slot
+            groupEl.querySelectorAll('.group-action').forEach(slotEl => {
+                slotEl.addEventListener('click', (e) => {
+                    e.stopPropagation();
+                    if (!this.isPlaying && !this.isRecording) {
+                        this.toggleBlockParam(group, Number(slotEl.dataset.actionIndex));
+                    }
+                });
+            });
+            
             // Delete button
             const deleteBtn = groupEl.querySelector('.item-delete-btn');
             if (deleteBtn) {
@@ -979,17 +1328,90 @@ export class Game {
                 }
             });
             
+            // Drag into a queue slot or a loop
+            this.queueDrag.attach(groupEl, { kind: 'block', group });
+            
             groupsList.appendChild(groupEl);
         });
     }
 
+    /**
+     * Make a block's move a parameter slot, or a fixed move again
+     * @param {ActionGroup} group - Block to change
+     * @param {number} index - Index of the move in the block
+     */
+    toggleBlockParam(group, index) {
+        if (!group.toggleParam(index)) {
+            this.showMessage('Only moves can be parameters', 'warning');
+            return;
+        }
+        
+        const params = group.params;
+        console.log(`Block ${group.name} parameters: ${params.length > 0 ? params.join(', ') : 'none'}`);
+        
+        this.updateGroupsDisplay();
+        this.updateQueueDisplay();
+        this.programEdited();
+    }
+
+    /**
+     * Bind a block call's parameter to the next direction
+     * @param {GroupReference} ref - Call in the queue
+     * @param {string} name - Parameter name
+     */
+    cycleBlockArg(ref, name) {
+        ref.cycleArg(name);
+        console.log(`Block ${ref.group.name} called with ${ref.getArgsLabel()}`);
+        this.actionQueue.notifyChange();
+    }
+
     /**
      * Add group reference to queue
+     * Parameters start bound to the directions the block was recorded with
      * @param {ActionGroup} group - Group to add
      */
     addGroupToQueue(group) {
         if (this.isPlaying) return;
         
+        // While editing, the block is inserted into the edited block or nest
+        if (this.blockEditor.isActive) {
+            this.blockEditor.insert(new GroupReference(group));
+            return;
+        }
+        
+        // Branches hold plain moves only
+        if (this.isBuildingCondition) {
+            this.showMessage('❓ Branches take moves, not blocks', 'warning');
+            return;
+        }
+        
+        // If building recursion, call the block from the current phase
+        if (this.isBuildingRecursion && this.buildingRecursiveGroup) {
+            const ref = new GroupReference(group);
+            if (this.recursionPhase === 'enter') {
+                this.buildingRecursiveGroup.addPreAction(ref);
+            } else {
+                this.buildingRecursiveGroup.addPostAction(ref);
+            }
+            this.sound.playClick();
+            this.updateQueueDisplay();
+            console.log(`Added block ${group.name} to recursion ${this.recursionPhase === 'enter' ? 'ENTER' : 'EXIT'}`);
+            return;
+        }
+        
+        // If building repeat, call the block from the loop
+        if (this.isBuildingRepeat && this.buildingRepeatBlock) {
+            if (!this.buildingRepeatBlock.addItem(new GroupReference(group))) {
+                this.showMessage(`🔁 Max ${MAX_ITEMS_IN_REPEAT} in loop! Use 🌀 Recursion`, 'warning');
+                this.sound.playError();
+                return;
+            }
+            this.sound.playClick();
+            this.updateQueueDisplay();
+            console.log(`Added block ${group.name} to repeat block`);
+            return;
+        }
+        
         // Check queue size limit
         const level = this.levelManager.getCurrentLevel();
         if (level && level.maxQueueSize > 0 && this.actionQueue.items.length >= level.maxQueueSize) {
@@ -1019,6 +1441,11 @@ export class Game {
             return;
         }
         
+        if (this.isBuildingCondition) {
+            console.warn('Finish the conditional block first');
+            return;
+        }
+        
         if (this.isBuildingRepeat) {
             // Finish building repeat
             this.finishRepeatBlock();
@@ -1032,6 +1459,9 @@ export class Game {
      * Start building a repeat block
      */
     startRepeatBlock() {
+        // The builder takes the moves from now on
+        this.blockEditor.close();
+        
         this.isBuildingRepeat = true;
         this.buildingRepeatBlock = new RepeatBlock(this.repeatCount);
         this.updateRepeatUI();
@@ -1043,6 +1473,11 @@ export class Game {
      * Finish building repeat block and add to queue
      */
     finishRepeatBlock() {
+        if (this.repeatBuildStack.length > 0) {
+            this.finishNestedRepeat();
+            return;
+        }
+        
         if (!this.buildingRepeatBlock || this.buildingRepeatBlock.isEmpty) {
             console.warn('Add some actions to the repeat block first');
             this.isBuildingRepeat = false;
@@ -1085,18 +1520,61 @@ export class Game {
     }
     
     /**
-     * Cancel repeat building mode
+     * Start building a loop inside the loop being built
+     */
+    startNestedRepeat() {
+        if (!this.isBuildingRepeat || !this.buildingRepeatBlock || this.isBuildingCondition) return;
+        
+        if (this.buildingRepeatBlock.isFull) {
+            this.showMessage(`🔁 Max ${MAX_ITEMS_IN_REPEAT} in loop! Use 🌀 Recursion`, 'warning');
+            this.sound.playError();
+            return;
+        }
+        
+        if (this.repeatBuildStack.length + 1 >= MAX_REPEAT_NESTING) {
+            this.showMessage(`🔁 Loops can only be ${MAX_REPEAT_NESTING} deep`, 'warning');
+            this.sound.playError();
+            return;
+        }
+        
+        this.repeatBuildStack.push(this.buildingRepeatBlock);
+        this.buildingRepeatBlock = new RepeatBlock(this.repeatCount);
+        this.updateQueueDisplay();
+        this.showMessage('🔁 Loop inside a loop - click ✅ to close it', 'info');
+        console.log(`Started inner repeat block (depth ${this.repeatBuildStack.length + 1})`);
+    }
+    
+    /**
+     * Close the inner loop being built and add it to the loop around it
+     */
+    finishNestedRepeat() {
+        const inner = this.buildingRepeatBlock;
+        this.buildingRepeatBlock = this.repeatBuildStack.pop();
+        
+        if (inner.isEmpty) {
+            console.warn('Inner repeat block was empty - not added');
+        } else {
+            this.buildingRepeatBlock.addItem(inner);
+            console.log(`Added inner repeat block ${inner.getCountDisplay()} with ${inner.size} items`);
+        }
+        
+        this.updateQueueDisplay();
+    }
+    
+    /**
+     * Cancel repeat building mode (inner loops being built too)
      */
     cancelRepeatBlock() {
         this.isBuildingRepeat = false;
         this.buildingRepeatBlock = null;
+        this.repeatBuildStack = [];
         this.updateRepeatUI();
         this.updateQueueDisplay();
         console.log('Cancelled repeat block');
     }
     
     /**
-     * Change repeat count while building
+     * Change repeat count while building (back to a fixed count for until loops)
      */
     changeRepeatCount(delta) {
         if (!this.isBuildingRepeat) return;
@@ -1106,6 +1584,7 @@ export class Game {
         
         if (this.buildingRepeatBlock) {
             this.buildingRepeatBlock.count = newCount;
+            this.buildingRepeatBlock.setUntil(null);
         }
         
         this.updateRepeatUI();
@@ -1113,25 +1592,233 @@ export class Game {
     }
     
     /**
-     * Update repeat button UI to show current mode
+     * Switch the repeat being built from a count to each until condition in turn,
+     * then back to the count
      */
-    updateRepeatUI() {
-        const repeatBtn = document.getElementById('btn-repeat');
-        if (!repeatBtn) return;
+    cycleRepeatUntil() {
+        if (!this.isBuildingRepeat || !this.buildingRepeatBlock) return;
         
-        if (this.isBuildingRepeat) {
-            repeatBtn.classList.add('building-repeat');
-            repeatBtn.innerHTML = '<span style="font-family: \'Segoe UI Emoji\', sans-serif;">✅</span>';
-            repeatBtn.setAttribute('aria-label', 'Finish repeat block');
-            repeatBtn.title = 'Click to finish repeat block';
+        const block = this.buildingRepeatBlock;
+        const [first] = this.getLevelConditions();
+        if (!block.isUntilLoop) {
+            block.setUntil(first);
         } else {
-            repeatBtn.classList.remove('building-repeat');
-            repeatBtn.innerHTML = '<span style="font-family: \'Segoe UI Emoji\', sans-serif;">🔁</span>';
-            repeatBtn.setAttribute('aria-label', 'Start repeat block');
-            repeatBtn.title = 'LOOP: Click to start, add actions, click again to finish';
+            const next = nextCondition(block.until, this.getMovementMode());
+            block.setUntil(findCondition(next) === first ? null : next);
         }
+        
+        this.sound.playClick();
+        this.updateQueueDisplay();
     }
-
+    
+    /**
+     * Get how moves work on the current level
+     * @returns {string} MovementMode value
+     */
+    getMovementMode() {
+        return this.levelManager.getCurrentLevel()?.movementMode || MovementMode.ABSOLUTE;
+    }
+    
+    /**
+     * Get the conditions the builders offer on the current level
+     * (turtle levels look ahead, left and right of the ball)
+     * @returns {Array<Object>} Conditions
+     */
+    getLevelConditions() {
+        return getConditions(this.getMovementMode());
+    }
+    
+    /**
+     * Check if one program moves several balls on the current level
+     * @returns {boolean}
+     */
+    hasSeveralBalls() {
+        return (this.levelManager.getCurrentLevel()?.starts.length ?? 1) > 1;
+    }
+    
+    /**
+     * Describe a condition for tooltips - with several balls it has to hold
+     * for every ball still moving
+     * @param {Object} condition - { type, direction }
+     * @returns {string}
+     */
+    describeCondition(condition) {
+        const text = getConditionText(condition);
+        return this.hasSeveralBalls() ? `${text} (for every ball)` : text;
+    }
+    
+    /**
+     * Check if the current level allows conditions (if blocks and until loops)
+     * @returns {boolean}
+     */
+    canUseConditions() {
+        const requiredFeatures = this.levelManager.getCurrentLevel()?.requiredFeatures || [];
+        return requiredFeatures.includes('CONDITIONS');
+    }
+    
+    /**
+     * Update repeat button UI to show current mode
+     */
+    updateRepeatUI() {
+        const repeatBtn = document.getElementById('btn-repeat');
+        if (!repeatBtn) return;
+        
+        if (this.isBuildingRepeat) {
+            repeatBtn.classList.add('building-repeat');
+            repeatBtn.innerHTML = '<span style="font-family: \'Segoe UI Emoji\', sans-serif;">✅</span>';
+            repeatBtn.setAttribute('aria-label', 'Finish repeat block');
+            repeatBtn.title = 'Click to finish repeat block';
+        } else {
+            repeatBtn.classList.remove('building-repeat');
+            repeatBtn.innerHTML = '<span style="font-family: \'Segoe UI Emoji\', sans-serif;">🔁</span>';
+            repeatBtn.setAttribute('aria-label', 'Start repeat block');
+            repeatBtn.title = 'LOOP: Click to start, add actions, click again to finish';
+        }
+    }
+
+    /**
+     * Toggle conditional building mode
+     * First click starts the THEN branch, second switches to ELSE, third finishes
+     */
+    toggleConditionMode() {
+        if (this.isPlaying) {
+            console.warn('Cannot create conditional while playing');
+            return;
+        }
+        
+        if (this.isRecording || this.isBuildingRecursion) {
+            console.warn('Finish current action first');
+            return;
+        }
+        
+        if (this.isBuildingCondition) {
+            this.finishConditionalBlock();
+        } else {
+            this.startConditionalBlock();
+        }
+    }
+    
+    /**
+     * Start building a conditional block (inside the repeat being built, if any)
+     */
+    startConditionalBlock() {
+        if (this.isBuildingRepeat && this.buildingRepeatBlock?.isFull) {
+            this.showMessage(`🔁 Max ${MAX_ITEMS_IN_REPEAT} in loop! Use 🌀 Recursion`, 'warning');
+            this.sound.playError();
+            return;
+        }
+        
+        // The builder takes the moves from now on
+        this.blockEditor.close();
+        
+        this.isBuildingCondition = true;
+        this.buildingConditional = new ConditionalBlock(this.getLevelConditions()[0]);
+        this.conditionBranch = 'then';
+        
+        this.updateConditionUI();
+        this.updateQueueDisplay();
+        this.showMessage(this.hasSeveralBalls()
+            ? '❓ A check holds only if it holds for every ball - add THEN actions, then click ❓'
+            : '❓ Add THEN actions, then click ❓ for ELSE', 'info');
+        console.log('Started building conditional - THEN branch');
+    }
+    
+    /**
+     * Switch to the ELSE branch, or finish and add the block
+     */
+    finishConditionalBlock() {
+        if (this.conditionBranch === 'then') {
+            if (this.buildingConditional.thenActions.length === 0) {
+                this.showMessage('Add at least one THEN action!', 'warning');
+                return;
+            }
+            this.conditionBranch = 'else';
+            this.updateConditionUI();
+            this.updateQueueDisplay();
+            this.showMessage('❓ Add ELSE actions (optional), click ❓ to finish', 'info');
+            console.log('Conditional - switched to ELSE branch');
+            return;
+        }
+        
+        const conditional = this.buildingConditional;
+        
+        if (this.isBuildingRepeat && this.buildingRepeatBlock) {
+            // Part of the loop being built
+            this.buildingRepeatBlock.addItem(conditional);
+        } else {
+            // Check queue size limit
+            const level = this.levelManager.getCurrentLevel();
+            if (level && level.maxQueueSize > 0 && this.actionQueue.items.length >= level.maxQueueSize) {
+                console.warn(`Queue full! Max ${level.maxQueueSize} items allowed. Conditional not added.`);
+            } else {
+                this.actionQueue.add(conditional);
+            }
+        }
+        
+        console.log(`Created conditional: if ${conditional.getConditionText()} - then: ${conditional.thenActions.length}, else: ${conditional.elseActions.length}`);
+        
+        // Reset state
+        this.isBuildingCondition = false;
+        this.buildingConditional = null;
+        this.conditionBranch = null;
+        
+        this.updateConditionUI();
+        this.updateQueueDisplay();
+    }
+    
+    /**
+     * Cancel conditional building mode
+     */
+    cancelConditionalBlock() {
+        this.isBuildingCondition = false;
+        this.buildingConditional = null;
+        this.conditionBranch = null;
+        this.updateConditionUI();
+        this.updateQueueDisplay();
+        console.log('Cancelled conditional block');
+    }
+    
+    /**
+     * Switch a conditional block to the next condition
+     * @param {ConditionalBlock} conditional - Block in the queue or being built
+     */
+    cycleCondition(conditional) {
+        conditional.nextCondition(this.getMovementMode());
+        this.sound.playClick();
+        
+        if (conditional === this.buildingConditional) {
+            this.updateQueueDisplay();
+        } else {
+            this.actionQueue.notifyChange();
+        }
+    }
+    
+    /**
+     * Update condition button UI to show current branch
+     */
+    updateConditionUI() {
+        const conditionBtn = document.getElementById('btn-condition');
+        if (!conditionBtn) return;
+        
+        if (this.isBuildingCondition) {
+            conditionBtn.classList.add('building-condition');
+            if (this.conditionBranch === 'then') {
+                conditionBtn.innerHTML = '<span style="font-family: \'Segoe UI Emoji\', sans-serif;">➡️</span>';
+                conditionBtn.setAttribute('aria-label', 'Switch to ELSE actions');
+                conditionBtn.title = 'Click to switch to ELSE actions';
+            } else {
+                conditionBtn.innerHTML = '<span style="font-family: \'Segoe UI Emoji\', sans-serif;">✅</span>';
+                conditionBtn.setAttribute('aria-label', 'Finish conditional block');
+                conditionBtn.title = 'Click to finish conditional block';
+            }
+        } else {
+            conditionBtn.classList.remove('building-condition');
+            conditionBtn.innerHTML = '<span style="font-family: \'Segoe UI Emoji\', sans-serif;">❓</span>';
+            conditionBtn.setAttribute('aria-label', 'Start conditional block');
+            conditionBtn.title = 'IF: Click to start, add THEN actions, click for ELSE, click to finish';
+        }
+    }
+
     /**
      * Delete a saved group
      * @param {number} index - Index of group to delete
@@ -1142,6 +1829,7 @@ export class Game {
             this.savedGroups.splice(index, 1);
             console.log(`Deleted group: ${group.name}`);
             this.updateGroupsDisplay();
+            this.programEdited();
         }
     }
 
@@ -1155,6 +1843,7 @@ export class Game {
         
         this.savedGroups = [];
         this.updateGroupsDisplay();
+        this.programEdited();
         this.sound.playClick();
         console.log('Cleared all blocks');
         this.accessibility?.announcer?.announce('All blocks cleared');
@@ -1170,6 +1859,7 @@ export class Game {
             this.savedRecursiveGroups.splice(index, 1);
             console.log(`Deleted recursive group: ${group.name}`);
             this.updateRecursiveGroupsDisplay();
+            this.programEdited();
         }
     }
 
@@ -1183,6 +1873,7 @@ export class Game {
         
         this.savedRecursiveGroups = [];
         this.updateRecursiveGroupsDisplay();
+        this.programEdited();
         this.sound.playClick();
         console.log('Cleared all nest');
         this.accessibility?.announcer?.announce('All nest cleared');
@@ -1198,6 +1889,13 @@ export class Game {
             return;
         }
         
+        // While editing, the move is inserted into the edited block or nest
+        if (this.blockEditor.isActive) {
+            this.blockEditor.insert(new Action(actionType));
+            this.animateActionAdd(actionType);
+            return;
+        }
+        
         // Don't add to queue if recording - only record
         if (this.isRecording) {
             // Just show visual feedback
@@ -1206,6 +1904,21 @@ export class Game {
             return;
         }
         
+        // If building a conditional, add to the current branch
+        if (this.isBuildingCondition && this.buildingConditional) {
+            const toThen = this.conditionBranch === 'then';
+            if (!this.buildingConditional.addAction(new Action(actionType), toThen)) {
+                this.showMessage(`❓ Max ${MAX_ACTIONS_IN_BRANCH} actions per branch`, 'warning');
+                this.sound.playError();
+                return;
+            }
+            this.animateActionAdd(actionType);
+            this.sound.playClick();
+            this.updateQueueDisplay();
+            console.log(`Added ${actionType} to conditional ${toThen ? 'THEN' : 'ELSE'}`);
+            return;
+        }
+        
         // If building recursion, add to recursive group
         if (this.isBuildingRecursion && this.buildingRecursiveGroup) {
             const action = new Action(actionType);
@@ -1282,8 +1995,14 @@ export class Game {
         
         this.queueDisplay.innerHTML = '';
         
-        // Get info about currently executing action
-        const currentInfo = this.isPlaying ? this.actionQueue.getCurrentItemInfo() : null;
+        // Get info about currently executing action (or the next debugger step)
+        let currentInfo = this.isPlaying ? this.actionQueue.getCurrentItemInfo() : null;
+        if (this.debugger.isActive) {
+            currentInfo = this.debugger.getCurrentEntry();
+        }
+        
+        // Items can be edited only while nothing runs
+        const canEdit = !this.isPlaying && !this.isRecording && !this.debugger.isActive;
         
         this.actionQueue.items.forEach((queueItem, index) => {
             const item = document.createElement('div');
@@ -1296,19 +2015,26 @@ export class Game {
                 const repeatContent = document.createElement('div');
                 repeatContent.className = 'repeat-content';
                 
-                // Show items inside repeat
-                const itemsPreview = queueItem.items.slice(0, 3).map(i => {
-                    if (typeof i.getIcon === 'function') return i.getIcon();
-                    if (i.isGroupReference && i.isGroupReference()) return i.getIcon();
-                    return '?';
-                }).join('');
-                
-                const more = queueItem.items.length > 3 ? '...' : '';
                 repeatContent.innerHTML = `
-                    <span class="repeat-items">${itemsPreview}${more}</span>
-                    <span class="repeat-count">×${queueItem.count}</span>
+                    <span class="repeat-items"></span>
+                    <span class="repeat-count">${queueItem.getCountDisplay()}</span>
                 `;
                 
+                // Show items inside repeat, each can be dragged out of the loop
+                const itemsEl = repeatContent.querySelector('.repeat-items');
+                queueItem.items.forEach((i, innerIndex) => {
+                    const innerEl = document.createElement('span');
+                    innerEl.className = 'repeat-item';
+                    innerEl.textContent = i.isRepeatBlock && i.isRepeatBlock() ? i.getLabel() : i.getIcon();
+                    innerEl.dataset.queueIndex = index;
+                    innerEl.dataset.loopItem = innerIndex;
+                    if (canEdit) {
+                        innerEl.tabIndex = 0;
+                        this.queueDrag.attach(innerEl, { kind: 'loop', index, inner: innerIndex });
+                    }
+                    itemsEl.appendChild(innerEl);
+                });
+                
                 item.appendChild(repeatContent);
                 
                 // Highlight if executing
@@ -1317,7 +2043,9 @@ export class Game {
                     // Show current iteration
                     const countSpan = item.querySelector('.repeat-count');
                     if (countSpan) {
-                        countSpan.textContent = `${currentInfo.iteration + 1}/${currentInfo.totalIterations}`;
+                        countSpan.textContent = queueItem.isUntilLoop
+                            ? `${currentInfo.iteration + 1}${queueItem.getCountDisplay()}`
+                            : `${currentInfo.iteration + 1}/${currentInfo.totalIterations}`;
                     }
                 }
                 
@@ -1327,7 +2055,7 @@ export class Game {
                 }
                 
                 // Click to edit count (when not playing)
-                if (!this.isPlaying && !this.isRecording) {
+                if (canEdit) {
                     item.addEventListener('click', (e) => {
                         e.stopPropagation();
                         this.editRepeatCount(queueItem, index);
@@ -1346,6 +2074,22 @@ export class Game {
                 item.className = 'queue-item queue-item-group';
                 item.textContent = queueItem.getIcon();
                 item.style.borderColor = queueItem.getColor();
+                
+                // Arguments, clicked to bind the next direction
+                Object.entries(queueItem.getArgs()).forEach(([name, type]) => {
+                    const argEl = document.createElement('span');
+                    argEl.className = 'group-arg';
+                    argEl.textContent = `${name}=${ActionIcons[type]}`;
+                    if (canEdit) {
+                        argEl.title = `Click to change ${name}`;
+                        argEl.addEventListener('click', (e) => {
+                            e.stopPropagation();
+                            this.cycleBlockArg(queueItem, name);
+                        });
+                    }
+                    item.appendChild(argEl);
+                    item.classList.add('queue-item-group-args');
+                });
                 item.style.backgroundColor = queueItem.getColor() + '30';
                 
                 // Highlight if this group is currently executing
@@ -1359,7 +2103,7 @@ export class Game {
                 }
                 
                 // Click to remove (only when not playing)
-                if (!this.isPlaying && !this.isRecording) {
+                if (canEdit) {
                     item.addEventListener('click', () => {
                         this.actionQueue.removeAt(index);
                     });
@@ -1377,13 +2121,26 @@ export class Game {
                 recursiveContent.innerHTML = `
                     <span class="recursive-icon-small">🔄</span>
                     <span class="recursive-name-small">${queueItem.group.name}</span>
-                    <span class="recursive-depth-small">×${queueItem.getMaxDepth()}</span>
+                    <span class="recursive-depth-small">${queueItem.getDepthDisplay()}</span>
                 `;
                 
                 item.appendChild(recursiveContent);
                 item.style.borderColor = queueItem.getColor();
                 item.style.backgroundColor = queueItem.getColor() + '20';
                 
+                // The depth is an argument of this call
+                const depthArg = recursiveContent.querySelector('.recursive-depth-small');
+                depthArg.classList.toggle('recursive-depth-arg', queueItem.depth !== null);
+                if (queueItem.group.hasStopCondition) {
+                    depthArg.title = `Stops when ${this.describeCondition(queueItem.group.stopWhen)}`;
+                } else if (canEdit) {
+                    depthArg.title = 'Click to change the depth of this call';
+                    depthArg.addEventListener('click', (e) => {
+                        e.stopPropagation();
+                        this.cycleCallDepth(queueItem);
+                    });
+                }
+                
                 // Highlight if executing
                 if (currentInfo && currentInfo.isFromRecursion && currentInfo.itemIndex === index) {
                     item.classList.add('queue-item-active');
@@ -1400,12 +2157,45 @@ export class Game {
                 }
                 
                 // Click to remove (when not playing)
-                if (!this.isPlaying && !this.isRecording) {
+                if (canEdit) {
                     item.addEventListener('click', () => {
                         this.actionQueue.removeAt(index);
                     });
                     item.classList.add('queue-item-removable');
                 }
+            }
+            // Check if this is a conditional block
+            else if (queueItem.isConditionalBlock && queueItem.isConditionalBlock()) {
+                item.className = 'queue-item queue-item-condition';
+                
+                // Highlight if executing, with the branch that was picked
+                const isActive = currentInfo && currentInfo.isFromCondition &&
+                    !currentInfo.repeatBlock && currentInfo.itemIndex === index;
+                item.appendChild(this.createConditionContent(queueItem, isActive ? currentInfo.conditionResult : null));
+                
+                if (isActive) {
+                    item.classList.add('queue-item-active');
+                }
+                
+                // Mark completed
+                if (queueItem.isComplete) {
+                    item.classList.add('queue-item-complete');
+                }
+                
+                // Click to change the condition (when not playing)
+                if (canEdit) {
+                    item.addEventListener('click', (e) => {
+                        e.stopPropagation();
+                        this.cycleCondition(queueItem);
+                    });
+                    item.classList.add('queue-item-removable');
+                    
+                    // Right click to remove
+                    item.addEventListener('contextmenu', (e) => {
+                        e.preventDefault();
+                        this.actionQueue.removeAt(index);
+                    });
+                }
             } else {
                 // Regular action
                 item.className = 'queue-item';
@@ -1422,7 +2212,7 @@ export class Game {
                 }
                 
                 // Click to remove (only when not playing)
-                if (!this.isPlaying && !this.isRecording) {
+                if (canEdit) {
                     item.addEventListener('click', () => {
                         this.actionQueue.removeAt(index);
                     });
@@ -1430,6 +2220,17 @@ export class Game {
                 }
             }
             
+            // Drag to another slot or into a loop (Alt+arrows when focused)
+            item.dataset.queueIndex = index;
+            if (canEdit) {
+                item.tabIndex = 0;
+                this.queueDrag.attach(item, { kind: 'queue', index });
+            }
+            
+            if (this.debugger.isActive) {
+                this.debugger.decorateQueueItem(item, queueItem, index);
+            }
+            
             this.queueDisplay.appendChild(item);
         });
         
@@ -1442,22 +2243,39 @@ export class Game {
             builderContent.className = 'repeat-builder-content';
             
             // Show items being added (or placeholder if empty)
-            const itemsPreview = this.buildingRepeatBlock.items.length > 0
-                ? this.buildingRepeatBlock.items.map(i => {
-                    if (typeof i.getIcon === 'function') return i.getIcon();
-                    return '?';
-                }).join('')
-                : '➕';  // Placeholder when empty
+            const previewItems = block => block.items.map(i => {
+                if (i.isRepeatBlock && i.isRepeatBlock()) return i.getLabel();
+                if (typeof i.getIcon === 'function') return i.getIcon();
+                return '?';
+            }).join('');
+            const itemsPreview = previewItems(this.buildingRepeatBlock) || '➕';  // Placeholder when empty
+            
+            // Loops around the one being built, like "🔁×2(↓"
+            const outerPreview = this.repeatBuildStack
+                .map(block => `${block.getLabel()}(${previewItems(block)}`)
+                .join('');
+            const canNest = this.repeatBuildStack.length + 1 < MAX_REPEAT_NESTING;
             
             builderContent.innerHTML = `
+                ${outerPreview ? `<span class="repeat-builder-outer">${outerPreview}</span>` : ''}
                 <button class="repeat-count-btn minus" title="Decrease">−</button>
                 <span class="repeat-builder-items">${itemsPreview}</span>
-                <span class="repeat-builder-count">×${this.repeatCount}</span>
+                <span class="repeat-builder-count">${this.buildingRepeatBlock.getCountDisplay()}</span>
                 <button class="repeat-count-btn plus" title="Increase">+</button>
+                ${canNest ? '<button class="repeat-count-btn repeat-nest-btn" title="Loop inside this loop">🔁</button>' : ''}
             `;
             
             builderEl.appendChild(builderContent);
             
+            // Start a loop inside this one
+            const nestBtn = builderContent.querySelector('.repeat-nest-btn');
+            if (nestBtn) {
+                nestBtn.addEventListener('click', (e) => {
+                    e.stopPropagation();
+                    this.startNestedRepeat();
+                });
+            }
+            
             // Add event listeners for +/- buttons
             const minusBtn = builderContent.querySelector('.minus');
             const plusBtn = builderContent.querySelector('.plus');
@@ -1472,6 +2290,19 @@ export class Game {
                 this.changeRepeatCount(1);
             });
             
+            // Click the count to loop until a condition instead
+            if (this.canUseConditions()) {
+                const countEl = builderContent.querySelector('.repeat-builder-count');
+                countEl.classList.add('repeat-builder-until');
+                countEl.title = this.buildingRepeatBlock.isUntilLoop
+                    ? `Until ${this.describeCondition(this.buildingRepeatBlock.until)} - click to change`
+                    : 'Click to repeat until...';
+                countEl.addEventListener('click', (e) => {
+                    e.stopPropagation();
+                    this.cycleRepeatUntil();
+                });
+            }
+            
             // Click on builder to cancel
             builderEl.addEventListener('contextmenu', (e) => {
                 e.preventDefault();
@@ -1486,30 +2317,40 @@ export class Game {
             const builderEl = document.createElement('div');
             builderEl.className = 'queue-item queue-item-recursion-builder';
             
-            const enterActions = this.buildingRecursiveGroup.preActions.map(a => a.getIcon()).join('') || '➕';
-            const exitActions = this.buildingRecursiveGroup.postActions.map(a => a.getIcon()).join('') || '➕';
-            
+            const group = this.buildingRecursiveGroup;
             const isEnterPhase = this.recursionPhase === 'enter';
             
+            // Moves go before the self-call until it is placed, then after it
+            const enterActions = group.preActions.map(a => a.getIcon()).join('') || (isEnterPhase ? '➕' : '');
+            const exitActions = group.postActions.map(a => a.getIcon()).join('') || (isEnterPhase ? '' : '➕');
+            
             builderEl.innerHTML = `
                 <div class="recursion-builder-content">
                     <div class="recursion-phase ${isEnterPhase ? 'active' : ''}">
                         <span class="phase-label">IN:</span>
                         <span class="phase-actions">${enterActions}</span>
                     </div>
-                    <span class="recursion-arrow">→🌀→</span>
+                    <button class="recursion-self-call ${isEnterPhase ? '' : 'placed'}"
+                          title="${isEnterPhase ? 'Click to call the nest itself here' : 'The nest calls itself here - click to take it out'}"
+                          aria-label="${isEnterPhase ? 'Place the self-call' : 'Remove the self-call'}">🌀</button>
                     <div class="recursion-phase ${!isEnterPhase ? 'active' : ''}">
                         <span class="phase-label">OUT:</span>
                         <span class="phase-actions">${exitActions}</span>
                     </div>
                     <div class="recursion-depth-control">
                         <button class="recursion-count-btn minus" title="Decrease">−</button>
-                        <span class="recursion-depth">×${this.buildingRecursiveGroup.maxDepth}</span>
+                        <span class="recursion-depth">${group.getDepthDisplay()}</span>
                         <button class="recursion-count-btn plus" title="Increase">+</button>
                     </div>
                 </div>
             `;
             
+            // The self-call is placed like a move
+            builderEl.querySelector('.recursion-self-call').addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.toggleSelfCall();
+            });
+            
             // Depth control buttons
             const minusBtn = builderEl.querySelector('.recursion-count-btn.minus');
             const plusBtn = builderEl.querySelector('.recursion-count-btn.plus');
@@ -1524,6 +2365,17 @@ export class Game {
                 this.changeRecursionDepth(1);
             });
             
+            // Click the depth to stop on a condition (a base case) instead
+            const depthEl = builderEl.querySelector('.recursion-depth');
+            depthEl.classList.add('recursion-depth-stop');
+            depthEl.title = group.hasStopCondition
+                ? `Base case: ${this.describeCondition(group.stopWhen)} - click to change`
+                : 'Click to stop on a condition...';
+            depthEl.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.cycleRecursionStop();
+            });
+            
             // Right click to cancel
             builderEl.addEventListener('contextmenu', (e) => {
                 e.preventDefault();
@@ -1533,13 +2385,71 @@ export class Game {
             this.queueDisplay.appendChild(builderEl);
         }
         
+        // Show conditional builder if in building mode
+        if (this.isBuildingCondition && this.buildingConditional) {
+            const builderEl = document.createElement('div');
+            builderEl.className = 'queue-item queue-item-condition-builder';
+            
+            const content = this.createConditionContent(this.buildingConditional, null, this.conditionBranch);
+            builderEl.appendChild(content);
+            
+            // Click the condition to change it
+            content.querySelector('.condition-label').addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.cycleCondition(this.buildingConditional);
+            });
+            
+            // Right click to cancel
+            builderEl.addEventListener('contextmenu', (e) => {
+                e.preventDefault();
+                this.cancelConditionalBlock();
+            });
+            
+            this.queueDisplay.appendChild(builderEl);
+        }
+        
         // Show empty state
-        if (this.actionQueue.isEmpty && !this.isBuildingRepeat && !this.isBuildingRecursion) {
+        if (this.actionQueue.isEmpty && !this.isBuildingRepeat && !this.isBuildingRecursion && !this.isBuildingCondition) {
             const emptyMsg = document.createElement('div');
             emptyMsg.className = 'queue-empty';
             emptyMsg.textContent = this.savedGroups.length > 0 ? 'Click blocks or add →' : 'Add actions →';
             this.queueDisplay.appendChild(emptyMsg);
         }
+        
+        // The call stack follows the same entry as the queue highlight
+        this.callStack.update(currentInfo);
+    }
+
+    /**
+     * Create the content of a conditional block: condition, THEN and ELSE
+     * @param {ConditionalBlock} conditional - Block to show
+     * @param {boolean|null} taken - Branch being run (null = none)
+     * @param {string|null} building - Branch being built ('then' / 'else')
+     * @returns {HTMLElement}
+     */
+    createConditionContent(conditional, taken = null, building = null) {
+        const content = document.createElement('div');
+        content.className = 'condition-content';
+        content.title = `If ${this.describeCondition(conditional.condition)}`;
+        
+        const branchIcons = actions => actions.map(a => a.getIcon()).join('') || (building ? '➕' : '·');
+        
+        content.innerHTML = `
+            <span class="condition-label">❓${conditional.getConditionLabel()}</span>
+            <span class="condition-branch" data-branch="then"><span class="phase-label">✓</span>${branchIcons(conditional.thenActions)}</span>
+            <span class="condition-branch" data-branch="else"><span class="phase-label">✗</span>${branchIcons(conditional.elseActions)}</span>
+        `;
+        
+        const thenEl = content.querySelector('[data-branch="then"]');
+        const elseEl = content.querySelector('[data-branch="else"]');
+        if (taken !== null) {
+            (taken ? thenEl : elseEl).classList.add('active');
+        }
+        if (building) {
+            (building === 'then' ? thenEl : elseEl).classList.add('active');
+        }
+        
+        return content;
     }
 
     /**
@@ -1548,6 +2458,14 @@ export class Game {
      * @param {number} index - Index in queue
      */
     editRepeatCount(repeatBlock, index) {
+        // Until loops cycle their condition instead
+        if (repeatBlock.isUntilLoop) {
+            repeatBlock.setUntil(nextCondition(repeatBlock.until, this.getMovementMode()));
+            console.log(`Repeat until changed to: ${repeatBlock.getCountDisplay()}`);
+            this.actionQueue.notifyChange();
+            return;
+        }
+        
         // Cycle through common values: 2, 3, 4, 5, 10, then back to 2
         const cycleValues = [2, 3, 4, 5, 10];
         const currentIndex = cycleValues.indexOf(repeatBlock.count);
@@ -1555,8 +2473,7 @@ export class Game {
         
         repeatBlock.setCount(cycleValues[nextIndex]);
         console.log(`Repeat count changed to: ${repeatBlock.count}x`);
-        
-        this.updateQueueDisplay();
+        this.actionQueue.notifyChange();
     }
 
     /**
@@ -1605,6 +2522,42 @@ export class Game {
             });
         }
         
+        if (this.hintButton) {
+            this.hintButton.addEventListener('click', () => {
+                this.sound.playClick();
+                this.showHint();
+            });
+        }
+        
+        if (this.shareButton) {
+            this.shareButton.addEventListener('click', () => {
+                this.sound.playClick();
+                this.shareProgram();
+            });
+        }
+        
+        if (this.speedButton) {
+            this.speedButton.addEventListener('click', () => {
+                this.sound.playClick();
+                this.cycleSpeed();
+            });
+        }
+        
+        if (this.debugButton) {
+            this.debugButton.addEventListener('click', () => {
+                this.sound.playClick();
+                this.debugger.toggle();
+            });
+        }
+        
+        if (this.undoButton) {
+            this.undoButton.addEventListener('click', () => this.undo());
+        }
+        
+        if (this.redoButton) {
+            this.redoButton.addEventListener('click', () => this.redo());
+        }
+        
         // Keyboard controls
         document.addEventListener('keydown', (e) => this.handleKeyDown(e));
     }
@@ -1614,9 +2567,27 @@ export class Game {
      * @param {KeyboardEvent} event - Keyboard event
      */
     handleKeyDown(event) {
+        // Ignore typing in form fields (level editor)
+        if (['INPUT', 'TEXTAREA', 'SELECT'].includes(event.target.tagName)) return;
+        
         // Don't handle if playing
         const addingAllowed = !this.isPlaying;
         
+        // Ctrl+Z undoes, Ctrl+Y or Ctrl+Shift+Z redoes (Cmd on Mac)
+        const key = event.key.toLowerCase();
+        if ((event.ctrlKey || event.metaKey) && (key === 'z' || key === 'y')) {
+            event.preventDefault();
+            if (key === 'y' || event.shiftKey) {
+                this.redo();
+            } else {
+                this.undo();
+            }
+            return;
+        }
+        
+        // Moving or deleting a focused queue item
+        if (this.queueDrag.handleKey(event)) return;
+        
         switch (event.key) {
             case ' ':
             case 'Enter':
@@ -1630,6 +2601,12 @@ export class Game {
             case 'Escape':
                 this.stop();
                 break;
+            case 'w':
+            case 'W':
+                if (addingAllowed && this.levelManager.getCurrentLevel()?.hasTimedElements) {
+                    this.addAction(ActionType.WAIT);
+                }
+                break;
             case 'Backspace':
                 if (addingAllowed) {
                     event.preventDefault();
@@ -1637,49 +2614,39 @@ export class Game {
                 }
                 break;
             case 'ArrowUp':
-                if (addingAllowed) {
-                    event.preventDefault();
-                    this.addAction(ActionType.MOVE_UP);
-                }
-                break;
             case 'ArrowDown':
-                if (addingAllowed) {
-                    event.preventDefault();
-                    this.addAction(ActionType.MOVE_DOWN);
-                }
-                break;
             case 'ArrowLeft':
-                if (addingAllowed) {
-                    event.preventDefault();
-                    this.addAction(ActionType.MOVE_LEFT);
-                }
-                break;
-            case 'ArrowRight':
-                if (addingAllowed) {
+            case 'ArrowRight': {
+                const actionType = ARROW_KEY_ACTIONS[this.getMovementMode()][event.key];
+                if (addingAllowed && actionType) {
                     event.preventDefault();
-                    this.addAction(ActionType.MOVE_RIGHT);
+                    this.addAction(actionType);
                 }
                 break;
+            }
         }
     }
 
     /**
-     * Update ball's pixel position based on current grid
+     * Update the balls' pixel positions based on current grid
      */
     updateBallPosition() {
-        this.ball.updatePosition(
+        this.balls.forEach(ball => ball.updatePosition(
             this.grid.cellSize,
             this.grid.offsetX,
             this.grid.offsetY
-        );
+        ));
     }
 
     /**
-     * Reset ball to initial position
+     * Reset the balls to their initial positions
      */
     resetBallPosition() {
-        this.ball.setGridPosition(this.initialBallX, this.initialBallY);
-        this.ball.reset();
+        this.balls.forEach((ball, i) => {
+            ball.setGridPosition(this.ballStarts[i].x, this.ballStarts[i].y);
+            ball.setHeading(this.initialBallHeading);
+            ball.reset();
+        });
         this.updateBallPosition();
     }
 
@@ -1703,8 +2670,16 @@ export class Game {
             return;
         }
         
-        // Reset ball to start position before playing
+        if (this.debugger.isActive) {
+            this.debugger.close();
+        }
+        if (this.blockEditor.isActive) {
+            this.blockEditor.close();
+        }
+        
+        // Reset ball and board to start position before playing
         this.resetBallPosition();
+        this.resetBoard();
         
         this.isPlaying = true;
         this.actionQueue.start();
@@ -1722,6 +2697,72 @@ export class Game {
         this.updateQueueDisplay();
     }
 
+    /**
+     * Get the playback speed choices
+     * @returns {Array<number|string>} Speeds from CONFIG plus INSTANT_SPEED
+     */
+    getSpeedOptions() {
+        return [...CONFIG.animation.speeds, INSTANT_SPEED];
+    }
+
+    /**
+     * Get the label for a playback speed
+     * @param {number|string} speed - Playback speed
+     * @returns {string} Label like "2×" or "⚡"
+     */
+    getSpeedLabel(speed) {
+        return speed === INSTANT_SPEED ? '⚡' : `${speed}×`;
+    }
+
+    /**
+     * Set playback speed (takes effect right away, also while playing)
+     * @param {number|string} speed - CONFIG.animation.speeds value or INSTANT_SPEED
+     */
+    setPlaybackSpeed(speed) {
+        if (!this.getSpeedOptions().includes(speed)) {
+            speed = 1;
+        }
+        
+        this.playbackSpeed = speed;
+        const instant = speed === INSTANT_SPEED;
+        this.actionQueue.setSpeed(instant ? 1 : speed, instant);
+        
+        try {
+            localStorage.setItem(SPEED_STORAGE_KEY, String(speed));
+        } catch (e) {
+            console.warn('Could not save speed:', e);
+        }
+        
+        if (this.speedButton) {
+            const label = this.getSpeedLabel(speed);
+            this.speedButton.textContent = label;
+            this.speedButton.setAttribute('aria-label', `Playback speed ${instant ? 'instant' : label}`);
+        }
+    }
+
+    /**
+     * Switch to the next playback speed
+     */
+    cycleSpeed() {
+        const options = this.getSpeedOptions();
+        const next = options[(options.indexOf(this.playbackSpeed) + 1) % options.length];
+        this.setPlaybackSpeed(next);
+        
+        this.accessibility?.announcer?.announce(next === INSTANT_SPEED ? 'Instant speed' : `Speed ${next} times`);
+    }
+
+    /**
+     * Load the saved playback speed
+     * @returns {number|string} Playback speed
+     */
+    loadPlaybackSpeed() {
+        const saved = localStorage.getItem(SPEED_STORAGE_KEY);
+        if (saved === INSTANT_SPEED) return INSTANT_SPEED;
+        
+        const speed = parseFloat(saved);
+        return Number.isFinite(speed) ? speed : 1;
+    }
+
     /**
      * Update play button visual state
      */
@@ -1754,15 +2795,22 @@ export class Game {
         this.resetBallPosition();
         this.grid.reset();
         this.effects.clear(); // Clear effects
-        
-        // Reset all targets to uncollected state
-        this.targets.forEach(target => {
-            target.collected = false;
-        });
+        this.resetBoard();
         
         this.updateQueueDisplay();
     }
 
+    /**
+     * Reset simulation state and displayed targets for a new run
+     */
+    resetBoard() {
+        this.simulation?.reset();
+        this.actionsUsed = 0;
+        
+        // Reset all targets to uncollected state
+        this.targets.forEach(target => target.reset());
+    }
+
     /**
      * Start the game loop
      */
@@ -1799,21 +2847,23 @@ export class Game {
         if (this.isPlaying) {
             const result = this.actionQueue.update(deltaTime);
             
-            // Update ball animation
-            if (result.action && this.ball.isAnimating) {
-                this.ball.updateAnimation(result.progress);
-            }
+            // Update ball animations
+            this.balls.forEach(ball => {
+                if (result.action && ball.isAnimating) {
+                    ball.updateAnimation(result.progress);
+                }
+            });
         }
         
-        // Update ball and add trail
-        if (this.ball) {
-            this.ball.update(deltaTime);
+        // Update balls and add trails
+        this.balls.forEach(ball => {
+            ball.update(deltaTime);
             
             // Add trail point when ball is moving
-            if (this.ball.isMoving) {
-                this.effects.addTrailPoint(this.ball.pixelX, this.ball.pixelY, CONFIG.colors.primary);
+            if (ball.isMoving) {
+                this.effects.addTrailPoint(ball.pixelX, ball.pixelY, ball.color);
             }
-        }
+        });
         
         // Update effects
         this.effects.update();
@@ -1835,19 +2885,20 @@ export class Game {
         this.renderer.clear();
         this.renderer.fillBackground();
         
-        // Render grid
-        this.grid.render(ctx, true);
+        // Render grid (cell lines only while editing)
+        this.grid.render(ctx, this.levelEditor.isActive);
         
         // Render targets
         this.renderTargets(ctx);
         
+        // Render grid edges and walls
+        this.renderWalls(ctx);
+        
         // Render trail (Phase 7 - behind ball)
         this.effects.render(ctx);
         
-        // Render ball
-        if (this.ball) {
-            this.ball.render(ctx);
-        }
+        // Render balls
+        this.balls.forEach(ball => ball.render(ctx));
         
         // Render overlay effects
         this.effects.renderOverlay(ctx, width, height);
@@ -1863,6 +2914,15 @@ export class Game {
         const time = performance.now();
         const cellSize = this.grid.cellSize;
         
+        // Tiles and patrol routes go under the targets
+        this.renderTiles(ctx);
+        this.renderPatrols(ctx);
+        
+        // Levels collected in sequence show numbers and mark the next target
+        const level = this.simulation?.level;
+        const showOrder = !!level?.requireOrder;
+        const nextOrder = showOrder ? level.getNextOrder() : 0;
+        
         // First pass: render all targets as the "path/form" to complete
         this.targets.forEach(target => {
             const { x, y } = this.grid.gridToPixel(target.x, target.y);
@@ -1876,12 +2936,13 @@ export class Game {
             
             if (target.collected) {
                 // Collected - show as filled/completed
-                ctx.fillStyle = target.type === TargetType.AVOID ? '#ffcccc' : '#ccffcc';
+                const isMistake = target.type === TargetType.AVOID || target.outOfOrder;
+                ctx.fillStyle = isMistake ? '#ffcccc' : '#ccffcc';
                 ctx.globalAlpha = 0.5;
                 ctx.fillRect(x - halfSize, y - halfSize, squareSize, squareSize);
                 
                 // Checkmark for collected
-                if (target.type !== TargetType.AVOID) {
+                if (!isMistake) {
                     ctx.globalAlpha = 0.7;
                     ctx.strokeStyle = '#44aa44';
                     ctx.lineWidth = 3;
@@ -1899,8 +2960,8 @@ export class Game {
                         ctx.fillStyle = '#e8ffe8';
                         ctx.fillRect(x - halfSize, y - halfSize, squareSize, squareSize);
                         
-                        // Border
-                        ctx.strokeStyle = '#22aa22';
+                        // Border (in its ball's color when there are several)
+                        ctx.strokeStyle = this.balls.length > 1 ? BALL_COLORS[target.ball].main : '#22aa22';
                         ctx.lineWidth = 3;
                         ctx.strokeRect(x - halfSize, y - halfSize, squareSize, squareSize);
                         
@@ -1941,15 +3002,19 @@ export class Game {
                         ctx.fillStyle = '#f8f4ff';
                         ctx.fillRect(x - halfSize, y - halfSize, squareSize, squareSize);
                         
-                        // Border (the outline of the form)
+                        // Border (the outline of the form), thicker on the next numbered target
                         ctx.strokeStyle = '#8866dd';
-                        ctx.lineWidth = 2;
+                        ctx.lineWidth = showOrder && target.order === nextOrder ? 4 : 2;
                         ctx.strokeRect(x - halfSize, y - halfSize, squareSize, squareSize);
                         break;
                 }
             }
             
             ctx.restore();
+            
+            if (showOrder && target.order > 0 && target.type !== TargetType.AVOID) {
+                this.renderTargetOrder(ctx, target, x, y);
+            }
         });
         
         // Second pass: render start position indicator
@@ -1957,43 +3022,240 @@ export class Game {
     }
     
     /**
-     * Render start position marker
+     * Render movement tiles: ice, conveyors, one-way cells, teleporters and gates
      * @param {CanvasRenderingContext2D} ctx
      */
-    renderStartPosition(ctx) {
-        const { x, y } = this.grid.gridToPixel(this.initialBallX, this.initialBallY);
+    renderTiles(ctx) {
+        const level = this.simulation?.level;
+        if (!level || level.tiles.length === 0) return;
+        
         const cellSize = this.grid.cellSize;
-        const size = cellSize * 0.25;
+        const half = cellSize * 0.45;
+        const arrows = { UP: '▲', DOWN: '▼', LEFT: '◀', RIGHT: '▶' };
+        const channels = [...new Set(level.tiles.map(t => t.channel).filter(c => c !== null))];
+        
+        level.tiles.forEach(tile => {
+            const { x, y } = this.grid.gridToPixel(tile.x, tile.y);
+            
+            ctx.save();
+            ctx.textAlign = 'center';
+            ctx.textBaseline = 'middle';
+            
+            switch (tile.type) {
+                case TileType.ICE:
+                    ctx.fillStyle = '#e0f4ff';
+                    ctx.fillRect(x - half, y - half, half * 2, half * 2);
+                    ctx.globalAlpha = 0.6;
+                    ctx.font = `${cellSize * 0.3}px Arial`;
+                    ctx.fillText('❄️', x, y);
+                    break;
+                    
+                case TileType.CONVEYOR:
+                    ctx.fillStyle = '#eeeeee';
+                    ctx.fillRect(x - half, y - half, half * 2, half * 2);
+                    ctx.fillStyle = '#888888';
+                    ctx.font = `${cellSize * 0.25}px Arial`;
+                    ctx.fillText(arrows[tile.direction].repeat(2), x, y);
+                    break;
+                    
+                case TileType.ONE_WAY:
+                    ctx.fillStyle = '#fff6d8';
+                    ctx.fillRect(x - half, y - half, half * 2, half * 2);
+                    ctx.fillStyle = '#cc9900';
+                    ctx.font = `${cellSize * 0.35}px Arial`;
+                    ctx.fillText(arrows[tile.direction], x, y);
+                    break;
+                    
+                case TileType.TELEPORT:
+                    // Pairs share a color
+                    ctx.strokeStyle = GroupColors[channels.indexOf(tile.channel) % GroupColors.length];
+                    ctx.lineWidth = 3;
+                    ctx.beginPath();
+                    ctx.arc(x, y, half * 0.8, 0, Math.PI * 2);
+                    ctx.stroke();
+                    ctx.beginPath();
+                    ctx.arc(x, y, half * 0.45, 0, Math.PI * 2);
+                    ctx.stroke();
+                    break;
+                    
+                case TileType.GATE: {
+                    // Bars while closed, a dashed outline while open,
+                    // and the steps left until it changes in the corner
+                    const step = this.simulation.actionsUsed;
+                    const closed = tile.isClosedAt(step);
+                    const left = tile.period - ((step + tile.phase) % tile.period);
+                    ctx.strokeStyle = '#666666';
+                    ctx.lineWidth = 3;
+                    if (closed) {
+                        ctx.fillStyle = '#dddddd';
+                        ctx.fillRect(x - half, y - half, half * 2, half * 2);
+                        ctx.beginPath();
+                        [-0.5, 0, 0.5].forEach(bar => {
+                            ctx.moveTo(x + half * bar, y - half);
+                            ctx.lineTo(x + half * bar, y + half);
+                        });
+                        ctx.stroke();
+                    } else {
+                        ctx.setLineDash([4, 4]);
+                        ctx.strokeRect(x - half, y - half, half * 2, half * 2);
+                    }
+                    ctx.fillStyle = '#444444';
+                    ctx.font = `bold ${cellSize * 0.2}px Arial`;
+                    ctx.fillText(String(left), x + half * 0.7, y - half * 0.7);
+                    break;
+                }
+            }
+            
+            ctx.restore();
+        });
+    }
+
+    /**
+     * Render the route of each patrolling AVOID target as a dotted loop
+     * @param {CanvasRenderingContext2D} ctx
+     */
+    renderPatrols(ctx) {
+        const patrols = this.targets.filter(target => target.isMoving);
+        if (patrols.length === 0) return;
         
         ctx.save();
+        ctx.strokeStyle = 'rgba(204, 68, 68, 0.4)';
+        ctx.lineWidth = 2;
+        ctx.setLineDash([2, 6]);
+        ctx.lineCap = 'round';
         
-        // Small start indicator (if ball is not at start, show where start was)
-        if (this.ball && (this.ball.gridX !== this.initialBallX || this.ball.gridY !== this.initialBallY)) {
-            ctx.fillStyle = 'rgba(0, 15, 238, 0.2)';
+        patrols.forEach(target => {
+            ctx.beginPath();
+            target.getRoute().forEach((cell, index) => {
+                const { x, y } = this.grid.gridToPixel(cell.x, cell.y);
+                if (index === 0) {
+                    ctx.moveTo(x, y);
+                } else {
+                    ctx.lineTo(x, y);
+                }
+            });
+            ctx.closePath();
+            ctx.stroke();
+        });
+        
+        ctx.restore();
+    }
+
+    /**
+     * Render walls between cells, and the grid edge for levels where
+     * the ball falls off (red) or wraps around (dashed)
+     * @param {CanvasRenderingContext2D} ctx
+     */
+    renderWalls(ctx) {
+        const level = this.simulation?.level;
+        if (!level) return;
+        
+        const { cellSize, offsetX, offsetY } = this.grid;
+        
+        ctx.save();
+        ctx.lineCap = 'round';
+        
+        if (level.edgeMode !== EdgeMode.BLOCK) {
+            ctx.strokeStyle = level.edgeMode === EdgeMode.FALL ? '#cc4444' : '#66ccff';
+            ctx.lineWidth = 3;
+            if (level.edgeMode === EdgeMode.WRAP) {
+                ctx.setLineDash([cellSize * 0.2, cellSize * 0.15]);
+            }
+            ctx.strokeRect(offsetX, offsetY, level.gridCols * cellSize, level.gridRows * cellSize);
+            ctx.setLineDash([]);
+        }
+        
+        ctx.strokeStyle = '#333366';
+        ctx.lineWidth = Math.max(3, cellSize * 0.08);
+        level.walls.forEach(wall => {
+            const { dx, dy } = WallSide[wall.side];
+            
+            // Center of the shared edge, then half a cell either way along it
+            const cx = offsetX + (wall.x + 0.5 + dx / 2) * cellSize;
+            const cy = offsetY + (wall.y + 0.5 + dy / 2) * cellSize;
+            const half = cellSize / 2;
+            
+            ctx.beginPath();
+            ctx.moveTo(cx - dy * half, cy - dx * half);
+            ctx.lineTo(cx + dy * half, cy + dx * half);
+            ctx.stroke();
+        });
+        
+        ctx.restore();
+    }
+
+    /**
+     * Render the order number of a target
+     * Shown in the middle of an open COLLECT cell, in the corner otherwise
+     * @param {CanvasRenderingContext2D} ctx
+     * @param {Target} target - Target with an order number
+     * @param {number} x - Cell center X
+     * @param {number} y - Cell center Y
+     */
+    renderTargetOrder(ctx, target, x, y) {
+        const cellSize = this.grid.cellSize;
+        const inCorner = target.collected || target.type === TargetType.FINISH;
+        const offset = inCorner ? cellSize * 0.28 : 0;
+        
+        ctx.save();
+        ctx.globalAlpha = target.collected ? 0.6 : 1;
+        ctx.fillStyle = target.outOfOrder ? '#cc4444' : '#8866dd';
+        ctx.font = `bold ${cellSize * (inCorner ? 0.22 : 0.4)}px Arial`;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(String(target.order), x - offset, y - offset);
+        ctx.restore();
+    }
+    
+    /**
+     * Render start position markers
+     * @param {CanvasRenderingContext2D} ctx
+     */
+    renderStartPosition(ctx) {
+        const size = this.grid.cellSize * 0.25;
+        
+        ctx.save();
+        
+        // Small start indicator (if a ball is not at its start, show where start was)
+        this.balls.forEach((ball, i) => {
+            const start = this.ballStarts[i];
+            if (ball.gridX === start.x && ball.gridY === start.y) return;
+            
+            const { x, y } = this.grid.gridToPixel(start.x, start.y);
+            ctx.fillStyle = ball.color;
             ctx.beginPath();
             ctx.arc(x, y, size, 0, Math.PI * 2);
+            ctx.globalAlpha = 0.2;
             ctx.fill();
             
-            ctx.strokeStyle = 'rgba(0, 15, 238, 0.4)';
+            ctx.strokeStyle = ball.color;
             ctx.lineWidth = 2;
+            ctx.globalAlpha = 0.4;
             ctx.stroke();
-        }
+        });
         
         ctx.restore();
     }
 
     /**
-     * Check if ball hit any targets
+     * Show effects for targets hit during a simulation step
+     * @param {Object} step - Trace step from the simulator
      */
-    checkTargetCollision() {
-        this.targets.forEach(target => {
-            if (!target.collected && target.isAtPosition(this.ball.gridX, this.ball.gridY)) {
+    checkTargetCollision(step) {
+        step.collected.forEach(targetIndex => {
+            const target = this.targets[targetIndex];
+            if (target) {
                 target.collect();
+                target.outOfOrder = step.outOfOrder.includes(targetIndex);
                 
                 // Get pixel position for effects
                 const { x, y } = this.grid.gridToPixel(target.x, target.y);
                 
-                if (target.type === TargetType.AVOID) {
+                if (target.outOfOrder && target.type === TargetType.COLLECT) {
+                    this.showMessage(`🔢 Wrong order! Collect ${this.simulation.level.getNextOrder()} first`, 'error');
+                    this.effects.spawnErrorEffect(x, y);
+                    this.sound.playError();
+                } else if (target.type === TargetType.AVOID) {
                     console.log('Hit obstacle!');
                     this.showMessage('💥 Hit obstacle!', 'error');
                     this.effects.spawnErrorEffect(x, y);
@@ -2004,21 +3266,56 @@ export class Game {
                     this.effects.spawnCollectEffect(x, y);
                     this.sound.playCollect();
                 } else if (target.type === TargetType.FINISH) {
-                    console.log('Reached finish! Stopping execution.');
                     this.effects.spawnFinishEffect(x, y);
-                    
-                    // IMMEDIATELY stop queue execution and check win
-                    this.actionQueue.stop();
-                    this.isPlaying = false;
-                    this.updatePlayButton();
-                    
-                    // Check win condition right away
-                    this.checkWinCondition();
+                    // With several balls the run goes on until every ball is home
+                    if (step.finished) {
+                        console.log('Reached finish! Stopping execution.');
+                        this.endRun();
+                    }
                 }
             }
         });
     }
 
+    /**
+     * Show moves that hit a wall or went off the board
+     * A ball falling off ends the run
+     * @param {Object} step - Trace step from the simulator
+     */
+    handleBlockedMove(step) {
+        step.balls.forEach((move, i) => {
+            if (!move.blocked && !move.fell) return;
+            
+            const { x, y } = this.grid.gridToPixel(move.from.x, move.from.y);
+            this.effects.spawnErrorEffect(x, y);
+            if (move.fell) {
+                this.balls[i].opacity = 0.3;
+            }
+        });
+        this.sound.playError();
+        
+        if (step.balls.some(move => move.fell)) {
+            // The win check reports the fall
+            console.log('Fell off the board! Stopping execution.');
+            this.endRun();
+        }
+    }
+
+    /**
+     * Stop queue execution right away and check the win condition
+     */
+    endRun() {
+        this.actionQueue.stop();
+        this.isPlaying = false;
+        this.activeGroupRef = null;
+        this.activeRecursiveRef = null;
+        this.updatePlayButton();
+        this.updateGroupsDisplay();
+        this.updateRecursiveGroupsDisplay();
+        
+        this.checkWinCondition();
+    }
+
     /**
      * Check win condition at end of queue
      */
@@ -2029,14 +3326,19 @@ export class Game {
         // Increment attempts
         this.levelAttempts++;
         
-        // Sync collected state with level targets
-        this.targets.forEach((target, i) => {
-            if (level.targets[i]) {
-                level.targets[i].collected = target.collected;
-            }
-        });
+        const result = this.simulation.checkWinCondition();
         
-        const result = level.checkWinCondition(this.ball.gridX, this.ball.gridY, this.actionsUsed);
+        // Play-testing an editor draft or a generated level: report only, no progress
+        if (this.levelManager.isCustomLevel) {
+            const message = result.won && this.levelEditor.isActive ? '✅ Level works!' : result.reason;
+            this.showMessage(message, result.won ? 'success' : 'error');
+            if (result.won) {
+                this.sound.playWin();
+            } else {
+                this.sound.playError();
+            }
+            return;
+        }
         
         if (result.won) {
             this.levelComplete = true;
@@ -2089,10 +3391,10 @@ export class Game {
         const existing = document.querySelector('.level-complete-modal');
         if (existing) existing.remove();
         
-        const currentLevelId = this.levelManager.getCurrentLevel()?.id || 0;
+        const isLastLevel = this.levelManager.currentLevelIndex === this.levelManager.levels.length - 1;
         
-        // Special celebration for completing level 14 (final level)
-        if (currentLevelId === 14) {
+        // Special celebration for completing the final level of the pack
+        if (isLastLevel) {
             this.showGameCompleteModal();
             return;
         }
@@ -2139,14 +3441,14 @@ export class Game {
     }
 
     /**
-     * Show game complete modal with social sharing (final level 14)
+     * Show game complete modal with social sharing (final level of the pack)
      */
     showGameCompleteModal() {
         const modal = document.createElement('div');
         modal.className = 'level-complete-modal game-complete-modal';
         
         // Новый текст для шаринга и предпросмотра
-        const shareText = "Proud to share that I’ve completed all 14 levels of the StartSchool Logic Game 🧠✨ #startschoolriga #startschoolgame";
+        const shareText = this.getShareText();
         modal.innerHTML = `
             <div class="modal-content game-complete-content">
                 <div class="confetti-bg"></div>
@@ -2199,15 +3501,23 @@ export class Game {
         // Go back to level 1
         this.levelManager.goToLevel(0);
         this.loadCurrentLevel();
-        this.actionQueue.clear();
-        this.updateQueueDisplay();
+    }
+
+    /**
+     * Get share text for finishing the active level pack
+     * @returns {string}
+     */
+    getShareText() {
+        const { pack, levels } = this.levelManager;
+        const packName = pack.isDefault() ? '' : ` (${pack.name})`;
+        return `Proud to share that I’ve completed all ${levels.length} levels of the StartSchool Logic Game${packName} 🧠✨ #startschoolriga #startschoolgame`;
     }
 
     /**
      * Share to Facebook
      */
     shareToFacebook() {
-        const shareText = "Proud to share that I’ve completed all 14 levels of the StartSchool Logic Game 🧠✨ #startschoolriga #startschoolgame";
+        const shareText = this.getShareText();
         const url = `https://www.facebook.com/sharer/sharer.php?quote=${encodeURIComponent(shareText)}`;
         window.open(url, '_blank', 'width=600,height=400');
     }
@@ -2216,7 +3526,7 @@ export class Game {
      * Share to LinkedIn
      */
     shareToLinkedIn() {
-        const shareText = "Proud to share that I’ve completed all 14 levels of the StartSchool Logic Game 🧠✨ #startschoolriga #startschoolgame";
+        const shareText = this.getShareText();
         const url = `https://www.linkedin.com/sharing/share-offsite/?url=${encodeURIComponent(window.location.href)}&summary=${encodeURIComponent(shareText)}`;
         window.open(url, '_blank', 'width=600,height=400');
     }
@@ -2225,11 +3535,81 @@ export class Game {
      * Share to Twitter/X
      */
     shareToTwitter() {
-        const shareText = "Proud to share that I’ve completed all 14 levels of the StartSchool Logic Game 🧠✨ #startschoolriga #startschoolgame";
+        const shareText = this.getShareText();
         const url = `https://twitter.com/intent/tweet?text=${encodeURIComponent(shareText)}`;
         window.open(url, '_blank', 'width=600,height=400');
     }
 
+    /**
+     * Show the shortest program the solver finds for the current level
+     */
+    showHint() {
+        const level = this.levelManager.getCurrentLevel();
+        if (!level) return;
+
+        // The cache holds the search itself, so a second click waits for the same one
+        const config = level.toConfig();
+        const key = JSON.stringify(config);
+        let search = this.hintCache.get(key);
+        if (!search) {
+            this.showMessage('🤔 Thinking...', 'info');
+            search = this.solverWorker.run(SolverTask.HINT, config);
+            this.hintCache.set(key, search);
+        }
+
+        search.then(result => {
+            // The player may have moved on while the worker searched
+            const current = this.levelManager.getCurrentLevel();
+            if (current && JSON.stringify(current.toConfig()) === key) {
+                this.showHintOverlay(result);
+            }
+        }).catch(e => {
+            console.warn('Hint search failed:', e);
+            this.hintCache.delete(key);
+            this.showMessage('⚠️ The hint search failed', 'error');
+        });
+    }
+
+    /**
+     * Show solver result in the tutorial overlay
+     * @param {Object} result - Hint result from SolverWorker
+     */
+    showHintOverlay(result) {
+        if (!result.solvable) {
+            // The search only tries programs that stay near the targets
+            this.tutorial.createOverlay({
+                icon: '🤷',
+                title: 'No hint',
+                text: 'No solution found by the hint search - the level may still be solvable with a longer detour.'
+            });
+            return;
+        }
+
+        const { minItems, minSteps } = result;
+        const steps = minItems.itemDescriptions.map((description, i) => `${i + 1}. ${description}`);
+
+        if (minSteps && minSteps.steps < minItems.steps) {
+            steps.push(`Fewest moves (${minSteps.steps}): ${minSteps.description}`);
+        }
+
+        this.tutorial.createOverlay({
+            icon: '💡',
+            title: 'Hint',
+            text: `Solvable with ${minItems.itemCount} item${minItems.itemCount === 1 ? '' : 's'}:`,
+            steps
+        });
+    }
+
+    /**
+     * Check every level with the solver and print a report (for level authors)
+     * @returns {Array<Object>} Report rows
+     */
+    checkAllLevels() {
+        const report = checkLevels();
+        console.table(report);
+        return report;
+    }
+
     /**
      * Show temporary message
      * @param {string} text - Message text
@@ -2264,8 +3644,6 @@ export class Game {
         // Reset level
         this.levelManager.loadLevel(this.currentLevel);
         this.loadCurrentLevel();
-        this.actionQueue.clear();
-        this.updateQueueDisplay();
     }
 
     /**
@@ -2279,12 +3657,6 @@ export class Game {
         // Load next
         this.levelManager.nextLevel();
         this.loadCurrentLevel();
-        this.actionQueue.clear();
-        this.savedGroups = [];
-        this.savedRecursiveGroups = [];
-        this.updateQueueDisplay();
-        this.updateGroupsDisplay();
-        this.updateRecursiveGroupsDisplay();
     }
 
     /**
@@ -2324,9 +3696,10 @@ export class Game {
         if (!level) return;
         
         // Update level number
+        const isCustom = this.levelManager.isCustomLevel;
         const levelNum = document.getElementById('current-level');
         if (levelNum) {
-            levelNum.textContent = level.id;
+            levelNum.textContent = isCustom ? (this.levelEditor.isActive ? '✏️' : '🎲') : level.id;
         }
         
         // Update max actions display in queue
@@ -2335,12 +3708,16 @@ export class Game {
         // Update nav buttons
         const prevBtn = document.getElementById('btn-prev-level');
         const nextBtn = document.getElementById('btn-next-level');
+        const restartBtn = document.getElementById('btn-restart');
         
+        if (restartBtn) {
+            restartBtn.disabled = isCustom;
+        }
         if (prevBtn) {
-            prevBtn.disabled = level.id <= 1;
+            prevBtn.disabled = isCustom || level.id <= 1;
         }
         if (nextBtn) {
-            nextBtn.disabled = !this.levelManager.isLevelUnlocked(level.id + 1);
+            nextBtn.disabled = isCustom || !this.levelManager.isLevelUnlocked(level.id + 1);
         }
     }
 
@@ -2350,8 +3727,6 @@ export class Game {
     goToPrevLevel() {
         if (this.levelManager.previousLevel()) {
             this.loadCurrentLevel();
-            this.actionQueue.clear();
-            this.updateQueueDisplay();
         }
     }
 
@@ -2363,8 +3738,6 @@ export class Game {
         if (this.levelManager.isLevelUnlocked(nextId)) {
             this.levelManager.nextLevel();
             this.loadCurrentLevel();
-            this.actionQueue.clear();
-            this.updateQueueDisplay();
         }
     }
 
@@ -2385,6 +3758,7 @@ export class Game {
         this.updateQueueDisplay();
         this.updateGroupsDisplay();
         this.updateRecursiveGroupsDisplay();
+        this.programEdited();
         
         this.sound.playClick();
         console.log('Game restarted from Level 1');
@@ -2425,6 +3799,15 @@ export class Game {
                 <button class="engagement-btn" id="btn-stats" title="Stats (I)" aria-label="View statistics">
                     📊
                 </button>
+                <button class="engagement-btn" id="btn-packs" title="Level packs" aria-label="Choose level pack">
+                    📚
+                </button>
+                <button class="engagement-btn" id="btn-generator" title="New level" aria-label="Generate a level">
+                    🎲
+                </button>
+                <button class="engagement-btn" id="btn-editor" title="Level editor" aria-label="Open level editor">
+                    ✏️
+                </button>
                 <!-- Help button removed: no keyboard shortcuts -->
                 <!-- '?' removed as requested -->
             `;
@@ -2433,6 +3816,9 @@ export class Game {
             // Bind events
             document.getElementById('btn-achievements')?.addEventListener('click', () => this.showAchievementsModal());
             document.getElementById('btn-stats')?.addEventListener('click', () => this.showStatsModal());
+            document.getElementById('btn-packs')?.addEventListener('click', () => this.showPacksModal());
+            document.getElementById('btn-generator')?.addEventListener('click', () => this.showGeneratorModal());
+            document.getElementById('btn-editor')?.addEventListener('click', () => this.levelEditor.toggle());
             document.getElementById('btn-help')?.addEventListener('click', () => this.accessibility?.showHelpModal());
         }
 
@@ -2688,14 +4074,605 @@ export class Game {
         this.sound.playClick();
     }
 
+    /**
+     * Show level pack picker
+     */
+    showPacksModal() {
+        const existing = document.querySelector('.packs-modal');
+        if (existing) existing.remove();
+
+        const modal = document.createElement('div');
+        modal.className = 'packs-modal show';
+        modal.innerHTML = `
+            <div class="modal-content packs-content">
+                <h2>📚 Level Packs</h2>
+                <div class="packs-list"></div>
+                <div class="packs-load">
+                    <label class="pack-load-btn">
+                        📁 Load file
+                        <input type="file" accept=".json,application/json" hidden>
+                    </label>
+                    <div class="pack-url-row">
+                        <input type="url" class="pack-url-input" placeholder="https://…/pack.json" aria-label="Pack URL">
+                        <button class="pack-load-btn" data-pack-url>Load</button>
+                    </div>
+                </div>
+                <button class="modal-close-btn">Close</button>
+            </div>
+        `;
+
+        // Pack names come from files, so they are set as text
+        // While a generated level is played, the active pack can be picked to go back to it
+        const list = modal.querySelector('.packs-list');
+        this.levelManager.getPackSummaries().forEach(pack => {
+            const playing = pack.active && !this.levelManager.isCustomLevel;
+            const item = document.createElement('div');
+            item.className = `pack-item${pack.active ? ' active' : ''}`;
+            item.innerHTML = `
+                <div class="pack-info">
+                    <span class="pack-name"></span>
+                    <span class="pack-meta"></span>
+                </div>
+                <button class="pack-play-btn" ${playing ? 'disabled' : ''}>${playing ? 'Playing' : 'Play'}</button>
+                ${pack.removable ? '<button class="clear-all-btn" title="Remove pack">✕</button>' : ''}
+            `;
+            item.querySelector('.pack-name').textContent = pack.name;
+            item.querySelector('.pack-meta').textContent =
+                `${pack.levelCount} level${pack.levelCount === 1 ? '' : 's'}${pack.description ? ` · ${pack.description}` : ''}`;
+
+            item.querySelector('.pack-play-btn').addEventListener('click', () => {
+                modal.remove();
+                this.switchPack(pack.id);
+            });
+            item.querySelector('.clear-all-btn')?.addEventListener('click', () => {
+                this.removePack(pack.id);
+                this.showPacksModal();
+            });
+            list.appendChild(item);
+        });
+
+        // Loading
+        modal.querySelector('input[type="file"]').addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            if (file) {
+                modal.remove();
+                this.importPackFromFile(file);
+            }
+        });
+        modal.querySelector('[data-pack-url]').addEventListener('click', () => {
+            const url = modal.querySelector('.pack-url-input').value.trim();
+            if (url) {
+                modal.remove();
+                this.importPackFromUrl(url);
+            }
+        });
+        modal.querySelector('.modal-close-btn').addEventListener('click', () => modal.remove());
+
+        document.body.appendChild(modal);
+        this.sound.playClick();
+    }
+
+    /**
+     * Show level generator: today's level, or one for a chosen concept,
+     * difficulty and seed
+     */
+    showGeneratorModal() {
+        const existing = document.querySelector('.generator-modal');
+        if (existing) existing.remove();
+
+        const options = (values, selected) => values
+            .map(value => `<option value="${value}" ${value === selected ? 'selected' : ''}>${value.charAt(0) + value.slice(1).toLowerCase()}</option>`)
+            .join('');
+
+        const modal = document.createElement('div');
+        modal.className = 'generator-modal show';
+        modal.innerHTML = `
+            <div class="modal-content generator-content">
+                <h2>🎲 New Level</h2>
+                <button class="pack-play-btn generator-daily-btn" data-generate="daily">📅 Level of the day</button>
+                <div class="generator-fields">
+                    <label>Concept
+                        <select data-field="concept">${options(Object.values(GeneratorConcept), GeneratorConcept.REPEAT)}</select>
+                    </label>
+                    <label>Difficulty
+                        <select data-field="difficulty">${options(Object.values(Difficulty), Difficulty.MEDIUM)}</select>
+                    </label>
+                    <label>Seed
+                        <input type="text" class="pack-url-input" data-field="seed" maxlength="40" value="${getDailySeed()}">
+                    </label>
+                </div>
+                <div class="generator-tip">Same seed, same level - share it with your class</div>
+                <button class="pack-play-btn" data-generate="custom">Generate</button>
+                <button class="modal-close-btn">Close</button>
+            </div>
+        `;
+
+        const field = name => modal.querySelector(`[data-field="${name}"]`).value;
+        modal.querySelector('[data-generate="daily"]').addEventListener('click', () => {
+            modal.remove();
+            this.buildGeneratedLevel(SolverTask.DAILY, Date.now());
+        });
+        modal.querySelector('[data-generate="custom"]').addEventListener('click', () => {
+            const options = {
+                seed: field('seed').trim(),
+                concept: field('concept'),
+                difficulty: field('difficulty')
+            };
+            modal.remove();
+            this.buildGeneratedLevel(SolverTask.GENERATE, options);
+        });
+        modal.querySelector('.modal-close-btn').addEventListener('click', () => modal.remove());
+
+        document.body.appendChild(modal);
+        this.sound.playClick();
+    }
+
+    /**
+     * Generate a level in the solver worker and play it
+     * @param {string} task - SolverTask.GENERATE (with generator options) or SolverTask.DAILY (with a time)
+     * @param {*} data - Task input
+     */
+    buildGeneratedLevel(task, data) {
+        this.showMessage('🎲 Building a level...', 'info');
+        this.solverWorker.run(task, data)
+            .then(config => this.playGeneratedLevel(config))
+            .catch(e => {
+                console.warn('Level generator failed:', e);
+                this.showMessage('⚠️ The level generator failed', 'error');
+            });
+    }
+
+    /**
+     * Play a generated level (like editor levels, no progress is saved)
+     * @param {Object|null} config - Level config from the generator
+     */
+    playGeneratedLevel(config) {
+        if (!config) {
+            this.showMessage('No level found - try another seed', 'error');
+            return;
+        }
+        if (this.levelEditor.isActive) {
+            this.levelEditor.close();
+        }
+        if (this.isPlaying) {
+            this.stop();
+        }
+
+        this.levelManager.loadCustomLevel(new Level(config));
+        this.loadCurrentLevel();
+        this.showMessage(`${config.name} · fit it in ${config.maxQueueSize} item${config.maxQueueSize === 1 ? '' : 's'}`, 'info');
+    }
+
+    /**
+     * Switch to another level pack
+     * @param {string} packId - Pack id
+     * @returns {boolean} True if switched
+     */
+    switchPack(packId) {
+        if (this.levelEditor.isActive) {
+            this.levelEditor.close();
+        }
+        if (this.isPlaying) {
+            this.stop();
+        }
+
+        const pack = this.levelManager.switchPack(packId);
+        if (!pack) return false;
+
+        this.achievements.setPack(pack.id, this.levelManager.levels.length);
+        this.loadCurrentLevel();
+        this.showLevelTutorial();
+
+        this.showMessage(`📚 ${pack.name}`, 'info');
+        return true;
+    }
+
+    /**
+     * Remove an installed level pack
+     * @param {string} packId - Pack id
+     */
+    removePack(packId) {
+        const wasActive = this.levelManager.pack.id === packId;
+        if (!this.levelManager.removePack(packId)) return;
+
+        // Removing the active pack falls back to the built-in levels
+        if (wasActive) {
+            this.switchPack(this.levelManager.pack.id);
+        }
+    }
+
+    /**
+     * Install a level pack and start playing it
+     * @param {LevelPack} pack - Loaded pack
+     */
+    installPack(pack) {
+        this.levelManager.addPack(pack);
+        this.switchPack(pack.id);
+        this.analytics?.track(AnalyticsEvent.PACK_LOADED, { pack: pack.id, levels: pack.levels.length });
+    }
+
+    /**
+     * Load a level pack from a URL
+     * @param {string} url - URL of a pack JSON file
+     */
+    async importPackFromUrl(url) {
+        try {
+            this.installPack(await loadPackFromUrl(url));
+        } catch (e) {
+            console.warn('Could not load level pack:', e.details || e);
+            this.showMessage(`⚠️ ${e.message}`, 'error');
+        }
+    }
+
+    /**
+     * Load a level pack from a file
+     * @param {File} file - Pack JSON file
+     */
+    async importPackFromFile(file) {
+        try {
+            this.installPack(await loadPackFromFile(file));
+        } catch (e) {
+            console.warn('Could not load level pack:', e.details || e);
+            this.showMessage(`⚠️ ${e.message}`, 'error');
+        }
+    }
+
+    /**
+     * Load content linked from the page URL
+     * The pack (?pack=<url of pack JSON>) is loaded first, so a program link can use it
+     */
+    async loadLinkedContent() {
+        const packUrl = new URLSearchParams(window.location.search).get('pack');
+        if (packUrl) {
+            await this.importPackFromUrl(packUrl);
+        }
+        this.loadSharedProgramFromHash();
+    }
+
+    /**
+     * Get a link that opens the current level with the current program
+     * @returns {string} URL
+     */
+    getShareUrl() {
+        return createShareUrl({
+            packId: this.levelManager.pack.id,
+            levelId: this.levelManager.getCurrentLevel().id,
+            items: this.actionQueue.items,
+            groups: this.savedGroups,
+            recursiveGroups: this.savedRecursiveGroups
+        });
+    }
+
+    /**
+     * Copy a link to the current program
+     */
+    shareProgram() {
+        if (this.levelManager.isCustomLevel) {
+            this.showMessage('Export editor levels instead', 'error');
+            return;
+        }
+        if (this.actionQueue.isEmpty) {
+            this.showMessage('Add some actions first!', 'error');
+            return;
+        }
+
+        const url = this.getShareUrl();
+        const showLink = () => this.tutorial.createOverlay({
+            icon: '🔗',
+            title: 'Share your program',
+            text: url
+        });
+
+        if (navigator.clipboard) {
+            navigator.clipboard.writeText(url)
+                .then(() => this.showMessage('🔗 Link copied!', 'success'))
+                .catch(showLink);
+        } else {
+            showLink();
+        }
+    }
+
+    /**
+     * Load a shared program from the URL hash, then clear the hash
+     */
+    loadSharedProgramFromHash() {
+        const encoded = getProgramFromHash();
+        if (!encoded) return;
+
+        this.loadSharedProgram(encoded);
+        history.replaceState(null, '', window.location.pathname + window.location.search);
+    }
+
+    /**
+     * Open the level of a shared program and put the program in the queue
+     * @param {string} encoded - Encoded program
+     * @returns {boolean} True if loaded
+     */
+    loadSharedProgram(encoded) {
+        let program;
+        try {
+            program = decodeProgram(encoded);
+        } catch (e) {
+            console.warn('Could not read program link:', e);
+            this.showMessage(`⚠️ ${e.message}`, 'error');
+            return false;
+        }
+
+        if (program.packId !== this.levelManager.pack.id) {
+            if (!this.levelManager.packs.has(program.packId)) {
+                this.showMessage(`This link needs the "${program.packId}" level pack`, 'error');
+                return false;
+            }
+            this.switchPack(program.packId);
+        }
+
+        if (this.levelEditor.isActive) {
+            this.levelEditor.close();
+        }
+        if (this.isPlaying) {
+            this.stop();
+        }
+
+        // Shared links open the level even if the player has not unlocked it yet
+        if (!this.levelManager.loadLevel(program.levelId)) {
+            this.showMessage(`Level ${program.levelId} not found`, 'error');
+            return false;
+        }
+        this.loadCurrentLevel();
+        this.setProgram(program);
+
+        this.showMessage('📥 Program loaded - press ▶', 'info');
+        return true;
+    }
+
+    /**
+     * Replace the queue and saved blocks/nests with a program
+     * @param {Object} program - { items, groups, recursiveGroups }
+     */
+    setProgram({ items, groups, recursiveGroups }) {
+        this.batchEdits(() => {
+            this.actionQueue.clear();
+            this.savedGroups = groups;
+            this.savedRecursiveGroups = recursiveGroups;
+            items.forEach(item => this.actionQueue.add(item));
+
+            this.updateQueueDisplay();
+            this.updateGroupsDisplay();
+            this.updateRecursiveGroupsDisplay();
+        });
+    }
+
+    /**
+     * Called after every program edit: records it for undo and saves it
+     */
+    programEdited() {
+        this.recordEdit();
+        this.autosaveProgram();
+    }
+
+    /**
+     * Make several program changes a single undo step
+     * @param {Function} change - Makes the changes
+     */
+    batchEdits(change) {
+        this.editBatchDepth++;
+        try {
+            change();
+        } finally {
+            this.editBatchDepth--;
+        }
+        this.programEdited();
+    }
+
+    /**
+     * Capture the queue and the saved blocks and nests
+     * Calls hold blocks and nests that were deleted from the lists, so the
+     * snapshot also keeps which ones the lists show
+     * @returns {string} Program snapshot (JSON)
+     */
+    captureProgram() {
+        return JSON.stringify({
+            program: serializeProgram({
+                items: this.actionQueue.items,
+                groups: this.savedGroups,
+                recursiveGroups: this.savedRecursiveGroups
+            }),
+            groupIds: this.savedGroups.map(group => group.id),
+            nestIds: this.savedRecursiveGroups.map(group => group.id)
+        });
+    }
+
+    /**
+     * Put back a program captured by captureProgram
+     * @param {string} snapshot - Program snapshot (JSON)
+     */
+    applyProgramSnapshot(snapshot) {
+        const { program, groupIds, nestIds } = JSON.parse(snapshot);
+        const { items, groups, recursiveGroups } = deserializeProgram(program);
+        const pick = (list, ids) => ids.map(id => list.find(group => group.id === id)).filter(Boolean);
+
+        // Back to the start of the board, like after a reset
+        this.isRestoringEdit = true;
+        try {
+            this.reset();
+            this.setProgram({
+                items,
+                groups: pick(groups, groupIds),
+                recursiveGroups: pick(recursiveGroups, nestIds)
+            });
+        } finally {
+            this.isRestoringEdit = false;
+        }
+        this.lastProgramSnapshot = snapshot;
+        this.updateHistoryButtons();
+    }
+
+    /**
+     * Add an undo step if the program changed since the last one
+     */
+    recordEdit() {
+        if (this.isRestoringEdit || this.editBatchDepth > 0 || this.lastProgramSnapshot === null) return;
+
+        const snapshot = this.captureProgram();
+        if (snapshot === this.lastProgramSnapshot) return;
+
+        this.editHistory.record(this.describeEdit(this.lastProgramSnapshot, snapshot), this.lastProgramSnapshot, snapshot);
+        this.lastProgramSnapshot = snapshot;
+        this.updateHistoryButtons();
+    }
+
+    /**
+     * Name an edit for the undo/redo messages
+     * @param {string} before - Program snapshot before the edit
+     * @param {string} after - Program snapshot after the edit
+     * @returns {string} e.g. "delete block"
+     */
+    describeEdit(before, after) {
+        const a = JSON.parse(before);
+        const b = JSON.parse(after);
+        const compare = (x, y) => Math.sign(y.length - x.length);
+
+        const blocks = compare(a.groupIds, b.groupIds);
+        if (blocks !== 0) return blocks > 0 ? 'new block' : 'delete block';
+        const nests = compare(a.nestIds, b.nestIds);
+        if (nests !== 0) return nests > 0 ? 'new nest' : 'delete nest';
+        const items = compare(a.program.items, b.program.items);
+        if (items !== 0) return items > 0 ? 'add to queue' : 'remove from queue';
+        return 'change';
+    }
+
+    /**
+     * Start the undo history over from the current program
+     */
+    resetEditHistory() {
+        this.editHistory.clear();
+        this.lastProgramSnapshot = this.captureProgram();
+        this.updateHistoryButtons();
+    }
+
+    /**
+     * Check if the program can be swapped by undo/redo right now
+     * @returns {boolean}
+     */
+    canRestoreEdit() {
+        if (this.isPlaying || this.isRecording || this.isBuildingRepeat ||
+            this.isBuildingCondition || this.isBuildingRecursion) {
+            this.showMessage('Finish current action first', 'warning');
+            this.sound.playError();
+            return false;
+        }
+        return true;
+    }
+
+    /**
+     * Undo the last program edit
+     */
+    undo() {
+        if (!this.editHistory.canUndo || !this.canRestoreEdit()) return;
+
+        const command = this.editHistory.undo();
+        this.applyProgramSnapshot(command.before);
+        this.sound.playClick();
+        this.showMessage(`↩ Undid ${command.label}`, 'info');
+    }
+
+    /**
+     * Redo the last undone program edit
+     */
+    redo() {
+        if (!this.editHistory.canRedo || !this.canRestoreEdit()) return;
+
+        const command = this.editHistory.redo();
+        this.applyProgramSnapshot(command.after);
+        this.sound.playClick();
+        this.showMessage(`↪ Redid ${command.label}`, 'info');
+    }
+
+    /**
+     * Enable the undo/redo buttons when there is something to undo/redo
+     */
+    updateHistoryButtons() {
+        if (this.undoButton) {
+            this.undoButton.disabled = !this.editHistory.canUndo;
+        }
+        if (this.redoButton) {
+            this.redoButton.disabled = !this.editHistory.canRedo;
+        }
+    }
+
+    /**
+     * Save the program for the level being played
+     */
+    autosaveProgram() {
+        if (this.autosaveLevelId === null) return;
+        
+        const isEmpty = this.actionQueue.isEmpty &&
+            this.savedGroups.length === 0 &&
+            this.savedRecursiveGroups.length === 0;
+        
+        this.levelManager.saveProgram(this.autosaveLevelId, isEmpty ? null : serializeProgram({
+            items: this.actionQueue.items,
+            groups: this.savedGroups,
+            recursiveGroups: this.savedRecursiveGroups
+        }));
+    }
+
+    /**
+     * Load the saved program for the current level (or an empty one)
+     * Editor drafts keep whatever program is being play-tested
+     */
+    restoreProgram() {
+        const level = this.levelManager.getCurrentLevel();
+        
+        // Nothing is saved while the program is being swapped
+        this.autosaveLevelId = null;
+        if (this.levelManager.isCustomLevel) return;
+        
+        let program = { items: [], groups: [], recursiveGroups: [] };
+        const saved = this.levelManager.getSavedProgram(level.id);
+        if (saved) {
+            try {
+                program = deserializeProgram(saved);
+            } catch (e) {
+                console.warn('Could not restore program:', e);
+            }
+        }
+        
+        this.setProgram(program);
+        this.autosaveLevelId = level.id;
+        
+        if (program.items.length > 0 || program.groups.length > 0 || program.recursiveGroups.length > 0) {
+            this.showMessage('📂 Welcome back - your program is ready', 'info');
+        }
+    }
+
+    /**
+     * Start the current level over with no queue, blocks or nests
+     */
+    startFresh() {
+        if (this.isBuildingRepeat) {
+            this.cancelRepeatBlock();
+        }
+        if (this.isBuildingRecursion) {
+            this.cancelRecursiveGroup();
+        }
+        if (this.isBuildingCondition) {
+            this.cancelConditionalBlock();
+        }
+        
+        this.reset();
+        this.setProgram({ items: [], groups: [], recursiveGroups: [] });
+        
+        this.sound.playClick();
+        this.accessibility?.announcer?.announce('Started fresh');
+    }
+
     /**
      * Go to specific level
      */
     goToLevel(levelId) {
         if (this.levelManager.goToLevel(levelId)) {
             this.loadCurrentLevel();
-            this.actionQueue.clear();
-            this.updateQueueDisplay();
         }
     }
 
@@ -120,7 +120,23 @@ export class Grid {
             this.height
         );
         
-        // No grid lines or dots - form is the visual guide
+        // Grid lines only when asked (editor) - otherwise the form is the visual guide
+        if (showGrid) {
+            ctx.strokeStyle = CONFIG.colors.grid;
+            ctx.lineWidth = 1;
+            ctx.beginPath();
+            for (let col = 0; col <= this.cols; col++) {
+                const x = this.offsetX + col * this.cellSize;
+                ctx.moveTo(x, this.offsetY);
+                ctx.lineTo(x, this.offsetY + this.height);
+            }
+            for (let row = 0; row <= this.rows; row++) {
+                const y = this.offsetY + row * this.cellSize;
+                ctx.moveTo(this.offsetX, y);
+                ctx.lineTo(this.offsetX + this.width, y);
+            }
+            ctx.stroke();
+        }
         
         ctx.restore();
     }
@@ -1,5 +1,6 @@
 
 import { CONFIG } from './config.js';
+import { MovementMode, Headings } from './Action.js';
 
 /**
  * Target types for different gameplay elements
@@ -10,6 +11,75 @@ export const TargetType = {
     AVOID: 'AVOID'           // Must not touch
 };
 
+/**
+ * What happens when a move would leave the grid
+ */
+export const EdgeMode = {
+    BLOCK: 'BLOCK',          // Ball bumps into the edge and stays
+    FALL: 'FALL',            // Ball falls off and the run fails
+    WRAP: 'WRAP'             // Ball comes back on the opposite side
+};
+
+/**
+ * Cell sides a wall can be on, as the move that crosses it
+ */
+export const WallSide = {
+    UP: { dx: 0, dy: -1 },
+    DOWN: { dx: 0, dy: 1 },
+    LEFT: { dx: -1, dy: 0 },
+    RIGHT: { dx: 1, dy: 0 }
+};
+
+/**
+ * Cell types that change how the ball moves
+ */
+export const TileType = {
+    TELEPORT: 'TELEPORT',    // Jump to the other teleporter with the same channel
+    ONE_WAY: 'ONE_WAY',      // Can only be entered moving in its direction
+    ICE: 'ICE',              // Ball keeps sliding the same way
+    CONVEYOR: 'CONVEYOR',    // Ball is pushed one cell in its direction after landing
+    GATE: 'GATE'             // Closed for `period` steps, then open for `period` steps, and so on
+};
+
+/**
+ * Tile types that need a direction (one of the WallSide keys)
+ */
+const DIRECTED_TILES = [TileType.ONE_WAY, TileType.CONVEYOR];
+
+/**
+ * Get the smallest number both counts divide
+ * @param {number} a - Positive whole number
+ * @param {number} b - Positive whole number
+ * @returns {number}
+ */
+function leastCommonMultiple(a, b) {
+    let x = a;
+    let y = b;
+    while (y) {
+        [x, y] = [y, x % y];
+    }
+    return (a / x) * b;
+}
+
+/**
+ * Key for the edge between two neighbouring cells (same from both sides)
+ * @param {number} x1 - First cell X
+ * @param {number} y1 - First cell Y
+ * @param {number} x2 - Second cell X
+ * @param {number} y2 - Second cell Y
+ * @returns {string}
+ */
+function wallKey(x1, y1, x2, y2) {
+    const a = `${x1},${y1}`;
+    const b = `${x2},${y2}`;
+    return a < b ? `${a}|${b}` : `${b}|${a}`;
+}
+
+/**
+ * Most balls a level can have
+ */
+export const MAX_BALLS = 4;
+
 /**
  * Level difficulty tiers
  */
@@ -28,7 +98,8 @@ export const UnlockedFeatures = {
     BASIC_MOVES: 1,      // ↑↓←→
     BLOCKS: 3,           // Save as block (●)
     REPEAT: 5,           // Repeat loops (🔁)
-    RECURSION: 8         // Recursive functions (🔄)
+    RECURSION: 8,        // Recursive functions (🔄)
+    CONDITIONS: 16       // If / else blocks (❓)
 };
 
 /**
@@ -41,13 +112,21 @@ export class Target {
      * @param {number} y - Grid Y position
      * @param {string} type - TargetType enum value
      * @param {number} order - Collection order (0 = any order)
+     * @param {Object} options - { patrol, ball }: patrol lists the cells { x, y } an
+     *     AVOID target walks to after its start, one per step, before starting over;
+     *     ball is the index of the ball a FINISH is for
      */
-    constructor(x, y, type = TargetType.COLLECT, order = 0) {
+    constructor(x, y, type = TargetType.COLLECT, order = 0, options = {}) {
         this.x = x;
         this.y = y;
         this.type = type;
         this.order = order;
+        this.startX = x;
+        this.startY = y;
+        this.patrol = (options.patrol || []).map(cell => ({ x: cell.x, y: cell.y }));
+        this.ball = options.ball ?? 0;
         this.collected = false;
+        this.outOfOrder = false; // Reached before a lower numbered target
         this.pulsePhase = Math.random() * Math.PI * 2; // Random start phase for animation
     }
 
@@ -62,12 +141,39 @@ export class Target {
     }
 
     /**
-     * Mark as collected
+     * Check if this target walks a patrol
+     * @returns {boolean}
+     */
+    get isMoving() {
+        return this.patrol.length > 0;
+    }
+
+    /**
+     * Get every cell of the patrol, start included
+     * @returns {Array<Object>} Cells { x, y }
+     */
+    getRoute() {
+        return [{ x: this.startX, y: this.startY }, ...this.patrol];
+    }
+
+    /**
+     * Move along the patrol to where the target is after a number of steps
+     * @param {number} step - Actions executed so far
+     */
+    moveToStep(step) {
+        if (!this.isMoving) return;
+
+        const route = this.getRoute();
+        const cell = route[step % route.length];
+        this.x = cell.x;
+        this.y = cell.y;
+    }
+
+    /**
+     * Mark as collected (for AVOID targets this records the hit)
      */
     collect() {
-        if (this.type !== TargetType.AVOID) {
-            this.collected = true;
-        }
+        this.collected = true;
     }
 
     /**
@@ -75,6 +181,8 @@ export class Target {
      */
     reset() {
         this.collected = false;
+        this.outOfOrder = false;
+        this.moveToStep(0);
     }
 
     /**
@@ -82,10 +190,78 @@ export class Target {
      * @returns {Target}
      */
     clone() {
-        const cloned = new Target(this.x, this.y, this.type, this.order);
+        const cloned = new Target(this.startX, this.startY, this.type, this.order, this);
+        cloned.x = this.x;
+        cloned.y = this.y;
         cloned.collected = this.collected;
+        cloned.outOfOrder = this.outOfOrder;
         return cloned;
     }
+
+    /**
+     * Get the config object for this target
+     * @returns {Object}
+     */
+    toConfig() {
+        const config = { x: this.startX, y: this.startY, type: this.type, order: this.order };
+        if (this.isMoving) config.patrol = this.patrol.map(cell => ({ ...cell }));
+        if (this.ball > 0) config.ball = this.ball;
+        return config;
+    }
+}
+
+/**
+ * Tile - A grid cell that changes how the ball moves
+ */
+export class Tile {
+    /**
+     * Create a tile
+     * @param {number} x - Grid X position
+     * @param {number} y - Grid Y position
+     * @param {string} type - TileType enum value
+     * @param {Object} options - { direction, channel, period, phase }
+     */
+    constructor(x, y, type, options = {}) {
+        this.x = x;
+        this.y = y;
+        this.type = type;
+        this.direction = options.direction || null; // ONE_WAY, CONVEYOR: 'UP' | 'DOWN' | 'LEFT' | 'RIGHT'
+        this.channel = options.channel ?? null;     // TELEPORT: pairs teleporters
+        this.period = options.period ?? null;       // GATE: steps between opening and closing
+        this.phase = options.phase ?? 0;            // GATE: steps it is ahead in its cycle at the start
+    }
+
+    /**
+     * Check if a gate is closed after a number of steps
+     * (other tiles never close)
+     * @param {number} step - Actions executed so far
+     * @returns {boolean}
+     */
+    isClosedAt(step) {
+        if (this.type !== TileType.GATE) return false;
+        return Math.floor((step + this.phase) / this.period) % 2 === 0;
+    }
+
+    /**
+     * Get the move vector of a directed tile
+     * @returns {{dx: number, dy: number}|null}
+     */
+    getDirection() {
+        return WallSide[this.direction] || null;
+    }
+
+    /**
+     * Get the config object for this tile
+     * @returns {Object}
+     */
+    toConfig() {
+        const config = { x: this.x, y: this.y, type: this.type };
+        if (this.direction) config.direction = this.direction;
+        if (this.channel !== null) config.channel = this.channel;
+        if (this.period !== null) config.period = this.period;
+        if (this.phase) config.phase = this.phase;
+        return config;
+    }
 }
 
 /**
@@ -105,19 +281,41 @@ export class Level {
         this.gridCols = config.gridCols || CONFIG.grid.cols;
         this.gridRows = config.gridRows || CONFIG.grid.rows;
         
-        // Start position
-        this.startX = config.startX ?? Math.floor(this.gridCols / 2);
-        this.startY = config.startY ?? Math.floor(this.gridRows / 2);
+        // Start position of each ball ({ x, y }); levels with one ball
+        // give only startX / startY, levels with several list them in starts
+        this.starts = (config.starts?.length ? config.starts : [{
+            x: config.startX ?? Math.floor(this.gridCols / 2),
+            y: config.startY ?? Math.floor(this.gridRows / 2)
+        }]).map(start => ({ x: start.x, y: start.y }));
+        this.startX = this.starts[0].x;
+        this.startY = this.starts[0].y;
+        
+        // Absolute moves, or turtle moves from a start heading (one of Headings)
+        this.movementMode = config.movementMode || MovementMode.ABSOLUTE;
+        this.startHeading = config.startHeading || 'UP';
         
         // Targets
         this.targets = [];
         if (config.targets) {
             config.targets.forEach(t => {
-                this.targets.push(new Target(t.x, t.y, t.type || TargetType.COLLECT, t.order || 0));
+                this.targets.push(new Target(t.x, t.y, t.type || TargetType.COLLECT, t.order || 0, t));
             });
         }
         
-        // Win condition
+        // Tiles that change movement ({ x, y, type, direction?, channel?, period?, phase? })
+        this.tiles = (config.tiles || []).map(t => new Tile(t.x, t.y, t.type, t));
+        
+        // Grid edges and walls between cells ({ x, y, side: 'UP' | 'DOWN' | 'LEFT' | 'RIGHT' })
+        this.edgeMode = config.edgeMode || EdgeMode.BLOCK;
+        this.walls = (config.walls || [])
+            .filter(w => w.side in WallSide)
+            .map(w => ({ x: w.x, y: w.y, side: w.side }));
+        this.wallKeys = new Set(this.walls.map(w => {
+            const { dx, dy } = WallSide[w.side];
+            return wallKey(w.x, w.y, w.x + dx, w.y + dy);
+        }));
+        
+        // Win condition (requireOrder: targets with order > 0 are collected 1, 2, 3...)
         this.requireOrder = config.requireOrder || false;
         this.maxActions = config.maxActions || 0; // 0 = unlimited (base actions)
         this.maxQueueSize = config.maxQueueSize || 0; // 0 = unlimited (queue items)
@@ -153,21 +351,102 @@ export class Level {
     }
 
     /**
-     * Get finish target (if any)
+     * Get a ball's finish target (if any)
+     * @param {number} ball - Ball index
      * @returns {Target|null}
      */
-    getFinishTarget() {
-        return this.targets.find(t => t.type === TargetType.FINISH) || null;
+    getFinishTarget(ball = 0) {
+        return this.targets.find(t => t.type === TargetType.FINISH && t.ball === ball) || null;
+    }
+
+    /**
+     * Get the tile at a cell
+     * @param {number} x - Grid X
+     * @param {number} y - Grid Y
+     * @returns {Tile|null}
+     */
+    getTileAt(x, y) {
+        return this.tiles.find(t => t.x === x && t.y === y) || null;
+    }
+
+    /**
+     * Check if the level has gates or patrolling targets, so waiting matters
+     * @returns {boolean}
+     */
+    get hasTimedElements() {
+        return this.getTimeCycle() > 1;
+    }
+
+    /**
+     * Get the number of steps after which every gate and patrol is back
+     * where it started (1 if nothing on the level changes with time)
+     * @returns {number}
+     */
+    getTimeCycle() {
+        const lengths = [
+            ...this.tiles.filter(t => t.type === TileType.GATE).map(t => t.period * 2),
+            ...this.targets.filter(t => t.isMoving).map(t => t.getRoute().length)
+        ];
+        return lengths.reduce(leastCommonMultiple, 1);
+    }
+
+    /**
+     * Move patrolling targets to where they are after a number of steps
+     * @param {number} step - Actions executed so far
+     */
+    setTime(step) {
+        this.targets.forEach(t => t.moveToStep(step));
+    }
+
+    /**
+     * Get the teleporter paired with another one
+     * @param {Tile} tile - Teleporter the ball landed on
+     * @returns {Tile|null}
+     */
+    getTeleportExit(tile) {
+        return this.tiles.find(t => t !== tile && t.type === TileType.TELEPORT && t.channel === tile.channel) || null;
+    }
+
+    /**
+     * Check if a wall blocks a move (walls on the outer edge also stop wrapping)
+     * @param {number} x - Cell X
+     * @param {number} y - Cell Y
+     * @param {number} dx - Move X
+     * @param {number} dy - Move Y
+     * @returns {boolean}
+     */
+    hasWall(x, y, dx, dy) {
+        return this.wallKeys.has(wallKey(x, y, x + dx, y + dy));
+    }
+
+    /**
+     * Get the lowest order number not collected yet
+     * @returns {number} Order number (0 = none left)
+     */
+    getNextOrder() {
+        const pending = this.targets.filter(t => t.order > 0 && t.type !== TargetType.AVOID && !t.collected);
+        return pending.length > 0 ? Math.min(...pending.map(t => t.order)) : 0;
+    }
+
+    /**
+     * Check if a target may be collected now
+     * @param {Target} target - Target the ball reached
+     * @returns {boolean} False if a lower numbered target is still waiting
+     */
+    isInOrder(target) {
+        if (!this.requireOrder || target.order === 0 || target.type === TargetType.AVOID) {
+            return true;
+        }
+        return target.order === this.getNextOrder();
     }
 
     /**
      * Check win condition
-     * @param {number} ballX - Final ball X
-     * @param {number} ballY - Final ball Y
+     * @param {Array<Object>} balls - Final position { x, y } of each ball
      * @param {number} actionsUsed - Number of actions used
      * @returns {Object} { won: boolean, reason: string }
      */
-    checkWinCondition(ballX, ballY, actionsUsed) {
+    checkWinCondition(balls, actionsUsed) {
         // Check if hit any AVOID targets
         const avoided = this.targets.filter(t => t.type === TargetType.AVOID);
         const hitAvoid = avoided.some(t => t.collected);
@@ -175,15 +454,25 @@ export class Level {
             return { won: false, reason: 'Hit obstacle!' };
         }
 
+        // Check collection order
+        const early = this.targets.find(t => t.outOfOrder);
+        if (early) {
+            return { won: false, reason: `Wrong order! Target ${early.order} came too early` };
+        }
+
         // Check if all collectibles are collected
         if (!this.areAllCollected()) {
             return { won: false, reason: 'Collect all targets!' };
         }
 
-        // Check finish position if required
-        const finish = this.getFinishTarget();
-        if (finish && !finish.isAtPosition(ballX, ballY)) {
-            return { won: false, reason: 'Reach the finish!' };
+        // Check finish positions if required: every ball ends on its own finish
+        const missed = balls.findIndex((ball, index) => {
+            const finish = this.getFinishTarget(index);
+            return finish && !finish.isAtPosition(ball.x, ball.y);
+        });
+        if (missed >= 0) {
+            const reason = balls.length > 1 ? `Ball ${missed + 1} must reach its finish!` : 'Reach the finish!';
+            return { won: false, reason };
         }
 
         // Check action limit
@@ -219,11 +508,11 @@ export class Level {
     }
 
     /**
-     * Clone level
-     * @returns {Level}
+     * Get the config object this level was built from
+     * @returns {Object} Config accepted by new Level(config)
      */
-    clone() {
-        const config = {
+    toConfig() {
+        return {
             id: this.id,
             name: this.name,
             difficulty: this.difficulty,
@@ -231,30 +520,228 @@ export class Level {
             gridRows: this.gridRows,
             startX: this.startX,
             startY: this.startY,
-            targets: this.targets.map(t => ({ x: t.x, y: t.y, type: t.type, order: t.order })),
+            ...(this.starts.length > 1 && { starts: this.starts.map(start => ({ ...start })) }),
+            movementMode: this.movementMode,
+            startHeading: this.startHeading,
+            targets: this.targets.map(t => t.toConfig()),
+            tiles: this.tiles.map(t => t.toConfig()),
+            edgeMode: this.edgeMode,
+            walls: this.walls.map(w => ({ ...w })),
             requireOrder: this.requireOrder,
             maxActions: this.maxActions,
             maxQueueSize: this.maxQueueSize,
-            requiredFeatures: this.requiredFeatures,
+            requiredFeatures: [...this.requiredFeatures],
             hint: this.hint,
             tutorial: this.tutorial
         };
-        return new Level(config);
     }
+
+    /**
+     * Clone level
+     * @returns {Level}
+     */
+    clone() {
+        return new Level(this.toConfig());
+    }
+}
+
+/**
+ * Check a level config before building a Level from it
+ * @param {Object} config - Level configuration
+ * @returns {Array<string>} Problems found (empty if valid)
+ */
+export function validateLevelConfig(config) {
+    if (!config || typeof config !== 'object' || Array.isArray(config)) {
+        return ['Level config must be an object'];
+    }
+
+    const errors = [];
+    const isCount = value => value === undefined || (Number.isInteger(value) && value >= 0);
+
+    const cols = config.gridCols ?? CONFIG.grid.cols;
+    const rows = config.gridRows ?? CONFIG.grid.rows;
+    if (!Number.isInteger(cols) || cols < 1 || !Number.isInteger(rows) || rows < 1) {
+        errors.push('Grid size must be a positive whole number');
+        return errors;
+    }
+
+    const isInside = (x, y) => Number.isInteger(x) && Number.isInteger(y) &&
+        x >= 0 && x < cols && y >= 0 && y < rows;
+
+    if (config.id !== undefined && (!Number.isInteger(config.id) || config.id < 1)) {
+        errors.push('Level id must be a positive whole number');
+    }
+
+    const startX = config.startX ?? Math.floor(cols / 2);
+    const startY = config.startY ?? Math.floor(rows / 2);
+    if (!isInside(startX, startY)) {
+        errors.push(`Start (${startX}, ${startY}) is outside the ${cols}x${rows} grid`);
+    }
+
+    let ballCount = 1;
+    if (config.starts !== undefined) {
+        if (!Array.isArray(config.starts) || config.starts.length === 0 || config.starts.length > MAX_BALLS) {
+            errors.push(`starts must list 1 to ${MAX_BALLS} balls`);
+        } else {
+            ballCount = config.starts.length;
+            config.starts.forEach((start, i) => {
+                if (!isInside(start?.x, start?.y)) {
+                    errors.push(`Start of ball ${i + 1} is outside the grid`);
+                }
+            });
+        }
+    }
+
+    if (!Array.isArray(config.targets) || config.targets.length === 0) {
+        errors.push('Level needs at least one target');
+    } else {
+        config.targets.forEach((t, i) => {
+            if (!isInside(t?.x, t?.y)) {
+                errors.push(`Target ${i + 1} is outside the grid`);
+            }
+            if (t?.type !== undefined && !Object.values(TargetType).includes(t.type)) {
+                errors.push(`Target ${i + 1} has unknown type "${t.type}"`);
+            }
+            if (!isCount(t?.order)) {
+                errors.push(`Target ${i + 1} order must be 0 or more`);
+            }
+            if (t?.patrol !== undefined) {
+                const route = Array.isArray(t.patrol) ? [t, ...t.patrol] : [];
+                if (t.type !== TargetType.AVOID) {
+                    errors.push(`Target ${i + 1}: only AVOID targets can patrol`);
+                } else if (!route.every(cell => isInside(cell?.x, cell?.y))) {
+                    errors.push(`Target ${i + 1} patrol must be a list of cells inside the grid`);
+                } else if (route.some((cell, j) => {
+                    const next = route[(j + 1) % route.length];
+                    return Math.abs(next.x - cell.x) + Math.abs(next.y - cell.y) > 1;
+                })) {
+                    errors.push(`Target ${i + 1} patrol must move one cell per step and end next to its start`);
+                }
+            }
+        });
+
+        if (config.requireOrder && !config.targets.some(t => t?.order > 0 && t?.type !== TargetType.AVOID)) {
+            errors.push('requireOrder needs targets with an order number');
+        }
+
+        // One finish per ball at most; with several balls each needs its own
+        const finishes = config.targets.filter(t => t?.type === TargetType.FINISH);
+        config.targets.forEach((t, i) => {
+            if (t?.ball === undefined) return;
+            if (t.type !== TargetType.FINISH) {
+                errors.push(`Target ${i + 1}: only a FINISH can belong to a ball`);
+            } else if (!Number.isInteger(t.ball) || t.ball < 0 || t.ball >= ballCount) {
+                errors.push(`Target ${i + 1}: ball must be a start index from 0 to ${ballCount - 1}`);
+            }
+        });
+        for (let ball = 0; ball < ballCount; ball++) {
+            const count = finishes.filter(t => (t.ball ?? 0) === ball).length;
+            if (count > 1) {
+                errors.push(ballCount > 1 ? `Ball ${ball + 1} can have only one FINISH` : 'Level can have only one FINISH');
+            } else if (count === 0 && ballCount > 1) {
+                errors.push(`Ball ${ball + 1} needs its own FINISH`);
+            }
+        }
+
+        const goals = config.targets.filter(t => t?.type !== TargetType.AVOID);
+        if (goals.length === 0) {
+            errors.push('Level needs a COLLECT or FINISH target');
+        }
+    }
+
+    if (!isCount(config.maxActions)) errors.push('maxActions must be 0 or more');
+    if (!isCount(config.maxQueueSize)) errors.push('maxQueueSize must be 0 or more');
+    if (config.tiles !== undefined) {
+        if (!Array.isArray(config.tiles)) {
+            errors.push('tiles must be a list');
+        } else {
+            const cells = new Set();
+            const channels = {};
+
+            config.tiles.forEach((t, i) => {
+                if (!isInside(t?.x, t?.y)) {
+                    errors.push(`Tile ${i + 1} is outside the grid`);
+                } else if (cells.has(`${t.x},${t.y}`)) {
+                    errors.push(`Tile ${i + 1} is on a cell that already has a tile`);
+                }
+                cells.add(`${t?.x},${t?.y}`);
+
+                if (!(t?.type in TileType)) {
+                    errors.push(`Tile ${i + 1} has unknown type "${t?.type}"`);
+                } else if (DIRECTED_TILES.includes(t.type) && !(t.direction in WallSide)) {
+                    errors.push(`Tile ${i + 1} needs a direction (UP, DOWN, LEFT or RIGHT)`);
+                } else if (t.type === TileType.TELEPORT) {
+                    channels[t.channel] = (channels[t.channel] || 0) + 1;
+                } else if (t.type === TileType.GATE && (!Number.isInteger(t.period) || t.period < 1 || !isCount(t.phase))) {
+                    errors.push(`Tile ${i + 1} needs a period of 1 or more steps (and a phase of 0 or more)`);
+                }
+            });
+
+            Object.entries(channels)
+                .filter(([, count]) => count !== 2)
+                .forEach(([channel]) => errors.push(`Teleport channel "${channel}" needs exactly 2 teleporters`));
+        }
+    }
+
+    if (config.edgeMode !== undefined && !(config.edgeMode in EdgeMode)) {
+        errors.push(`Unknown edge mode "${config.edgeMode}"`);
+    }
+
+    if (config.movementMode !== undefined && !(config.movementMode in MovementMode)) {
+        errors.push(`Unknown movement mode "${config.movementMode}"`);
+    }
+    if (config.startHeading !== undefined && !Headings.includes(config.startHeading)) {
+        errors.push('Start heading must be UP, DOWN, LEFT or RIGHT');
+    }
+
+    if (config.walls !== undefined) {
+        if (!Array.isArray(config.walls)) {
+            errors.push('walls must be a list');
+        } else {
+            config.walls.forEach((w, i) => {
+                if (!isInside(w?.x, w?.y)) {
+                    errors.push(`Wall ${i + 1} is outside the grid`);
+                }
+                if (!(w?.side in WallSide)) {
+                    errors.push(`Wall ${i + 1} has unknown side "${w?.side}"`);
+                }
+            });
+        }
+    }
+
+    if (config.requireOrder !== undefined && typeof config.requireOrder !== 'boolean') {
+        errors.push('requireOrder must be true or false');
+    }
+
+    if (config.requiredFeatures !== undefined) {
+        if (!Array.isArray(config.requiredFeatures)) {
+            errors.push('requiredFeatures must be a list');
+        } else {
+            config.requiredFeatures
+                .filter(f => !(f in UnlockedFeatures))
+                .forEach(f => errors.push(`Unknown feature "${f}"`));
+        }
+    }
+
+    return errors;
 }
 
 /**
- * Helper function to center a shape in an 8x8 grid
+ * Helper function to center a shape in the level grid (8x8 by default)
  * @param {Object} levelConfig - Level configuration
  * @returns {Object} - Centered level configuration
  */
-function centerShape(levelConfig) {
-    const gridSize = 8;
+export function centerShape(levelConfig) {
+    const cols = levelConfig.gridCols || CONFIG.grid.cols;
+    const rows = levelConfig.gridRows || CONFIG.grid.rows;
     
-    // Get all points (targets + start)
+    // Get all points (targets + starts + patrols + tiles)
+    const starts = levelConfig.starts || [{ x: levelConfig.startX, y: levelConfig.startY }];
     const allPoints = [
-        { x: levelConfig.startX, y: levelConfig.startY },
-        ...levelConfig.targets.map(t => ({ x: t.x, y: t.y }))
+        ...starts,
+        ...levelConfig.targets.map(t => ({ x: t.x, y: t.y })),
+        ...levelConfig.targets.flatMap(t => t.patrol || []),
+        ...(levelConfig.tiles || [])
     ];
     
     // Find bounding box
@@ -268,15 +755,29 @@ function centerShape(levelConfig) {
     const shapeHeight = maxY - minY + 1;
     
     // Calculate offset to center
-    const offsetX = Math.floor((gridSize - shapeWidth) / 2) - minX;
-    const offsetY = Math.floor((gridSize - shapeHeight) / 2) - minY;
+    const offsetX = Math.floor((cols - shapeWidth) / 2) - minX;
+    const offsetY = Math.floor((rows - shapeHeight) / 2) - minY;
     
     // Apply offset
     return {
         ...levelConfig,
-        startX: levelConfig.startX + offsetX,
-        startY: levelConfig.startY + offsetY,
+        startX: starts[0].x + offsetX,
+        startY: starts[0].y + offsetY,
+        ...(levelConfig.starts && {
+            starts: starts.map(start => ({ x: start.x + offsetX, y: start.y + offsetY }))
+        }),
         targets: levelConfig.targets.map(t => ({
+            ...t,
+            x: t.x + offsetX,
+            y: t.y + offsetY,
+            ...(t.patrol && { patrol: t.patrol.map(cell => ({ x: cell.x + offsetX, y: cell.y + offsetY })) })
+        })),
+        walls: (levelConfig.walls || []).map(w => ({
+            ...w,
+            x: w.x + offsetX,
+            y: w.y + offsetY
+        })),
+        tiles: (levelConfig.tiles || []).map(t => ({
             ...t,
             x: t.x + offsetX,
             y: t.y + offsetY
@@ -285,7 +786,7 @@ function centerShape(levelConfig) {
 }
 
 /**
- * Predefined levels - 14 levels with fun shapes!
+ * Predefined levels - 20 levels with fun shapes!
  * All levels solvable in 5-10 actions with programming concepts
  */
 export const LEVELS = [
@@ -645,5 +1146,182 @@ export const LEVELS = [
         hint: '🌀₁ IN:[→] OUT:[↓←] ×2, 🌀₂ IN:[→] OUT:[↓] ×2, ←↓←🏁',
         maxQueueSize: 4,
         requiredFeatures: ['BLOCKS', 'RECURSION']
+    }),
+    
+    // ===== ORDER - Targets collected by number (15) =====
+    centerShape({
+        id: 15,
+        name: '🔢 Compass',
+        difficulty: Difficulty.EXPERT,
+        startX: 3,
+        startY: 3,
+        targets: [
+            //       ①             (3,2)
+            //   ③   S   ④   🏁    (2,3) (3,3) (4,3) (5,3)
+            //       ②             (3,4)
+            //
+            // Numbers first, then the finish:
+            // ↑ ↓ ↓ ↑ ← → → →  (blocks: [↑↓] [↓↑←] [→→→])
+            { x: 3, y: 2, type: TargetType.COLLECT, order: 1 },
+            { x: 3, y: 4, type: TargetType.COLLECT, order: 2 },
+            { x: 2, y: 3, type: TargetType.COLLECT, order: 3 },
+            { x: 4, y: 3, type: TargetType.COLLECT, order: 4 },
+            { x: 5, y: 3, type: TargetType.FINISH }
+        ],
+        requireOrder: true,
+        hint: 'Follow the numbers! A=[↑↓] B=[↓↑←] C=[→→→]',
+        maxQueueSize: 4,
+        requiredFeatures: ['BLOCKS']
+    }),
+    
+    // ===== CONDITIONS - If / else unlock (16) =====
+    centerShape({
+        id: 16,
+        name: '🧱 Bumpy Stairs',
+        difficulty: Difficulty.EXPERT,
+        startX: 0,
+        startY: 0,
+        targets: [
+            // S → ● |            (0,0) (2,0)
+            //     ↓ ● |          (2,1) (3,1)
+            //       ↓ ● ● |      (3,2) (4,2) (5,2)
+            //           🏁       (5,3)
+            //
+            // Right until a wall, then down: 🔁[❓🧱→[↓:→]]×8
+            { x: 2, y: 0, type: TargetType.COLLECT },
+            { x: 3, y: 1, type: TargetType.COLLECT },
+            { x: 4, y: 2, type: TargetType.COLLECT },
+            { x: 5, y: 2, type: TargetType.COLLECT },
+            { x: 5, y: 3, type: TargetType.FINISH }
+        ],
+        walls: [
+            { x: 2, y: 0, side: 'RIGHT' },
+            { x: 3, y: 1, side: 'RIGHT' },
+            { x: 5, y: 2, side: 'RIGHT' }
+        ],
+        hint: 'Loop: if 🧱→ then ↓ else → ×8',
+        tutorial: 'conditions',
+        maxQueueSize: 1,
+        requiredFeatures: ['REPEAT', 'CONDITIONS']
+    }),
+    
+    // ===== TWO BALLS - One program moves both (17) =====
+    centerShape({
+        id: 17,
+        name: '👯 Twins',
+        difficulty: Difficulty.MEDIUM,
+        startX: 0,
+        startY: 1,
+        starts: [
+            { x: 0, y: 1 },
+            { x: 0, y: 3 }
+        ],
+        targets: [
+            // S₁ ● 🏁₁           (0,1) (1,1) (2,1)
+            //
+            // S₂ ● ● ● 🏁₂       (0,3) (1,3) (2,3) (3,3) (4,3)
+            //
+            // Ball 1 stops on its finish, ball 2 keeps going: 🔁[→]×4
+            { x: 1, y: 1, type: TargetType.COLLECT },
+            { x: 2, y: 1, type: TargetType.FINISH },
+            { x: 1, y: 3, type: TargetType.COLLECT },
+            { x: 2, y: 3, type: TargetType.COLLECT },
+            { x: 3, y: 3, type: TargetType.COLLECT },
+            { x: 4, y: 3, type: TargetType.FINISH, ball: 1 }
+        ],
+        hint: 'One program moves both balls! Each stops on its own 🏁',
+        tutorial: 'twins',
+        maxQueueSize: 1,
+        requiredFeatures: ['REPEAT']
+    }),
+    
+    // ===== TILES - Portals and ice (18) =====
+    centerShape({
+        id: 18,
+        name: '◎ Portals',
+        difficulty: Difficulty.MEDIUM,
+        startX: 0,
+        startY: 0,
+        targets: [
+            // S ● ◎              (0,0) (1,0) (2,0)
+            //
+            //
+            // ◎ ❄ ❄ ●            (0,3) (1,3) (2,3) (3,3)
+            //       🏁           (3,4)
+            //
+            // The portal and the slide are one move each: 🔁[→]×3 ↓
+            { x: 1, y: 0, type: TargetType.COLLECT },
+            { x: 3, y: 3, type: TargetType.COLLECT },
+            { x: 3, y: 4, type: TargetType.FINISH }
+        ],
+        tiles: [
+            { x: 2, y: 0, type: TileType.TELEPORT, channel: 1 },
+            { x: 0, y: 3, type: TileType.TELEPORT, channel: 1 },
+            { x: 1, y: 3, type: TileType.ICE },
+            { x: 2, y: 3, type: TileType.ICE }
+        ],
+        hint: 'A portal jump or an ice slide is still one move',
+        tutorial: 'tiles',
+        maxQueueSize: 2,
+        requiredFeatures: ['REPEAT']
+    }),
+    
+    // ===== TIMING - A guard and a gate (19) =====
+    centerShape({
+        id: 19,
+        name: '⏳ Night Watch',
+        difficulty: Difficulty.HARD,
+        startX: 0,
+        startY: 1,
+        targets: [
+            //     ❌                  (2,0)
+            // S ● ↕ ● ▥ 🏁          (0,1) (1,1) (2,1) (3,1) (4,1) (5,1)
+            //     ❌                  (2,2)
+            //
+            // The guard walks (2,1) (2,2) (2,1) (2,0); wait once so it has
+            // gone by, and the gate is open again when the ball gets there:
+            // ◇ 🔁[→]×5
+            { x: 1, y: 1, type: TargetType.COLLECT },
+            { x: 3, y: 1, type: TargetType.COLLECT },
+            { x: 5, y: 1, type: TargetType.FINISH },
+            { x: 2, y: 1, type: TargetType.AVOID, patrol: [{ x: 2, y: 2 }, { x: 2, y: 1 }, { x: 2, y: 0 }] }
+        ],
+        tiles: [
+            { x: 4, y: 1, type: TileType.GATE, period: 2, phase: 2 }
+        ],
+        hint: 'Wait ◇ once to let the guard pass',
+        tutorial: 'timing',
+        maxQueueSize: 2,
+        maxActions: 6,
+        requiredFeatures: ['REPEAT']
+    }),
+    
+    // ===== TURTLE - Forward and turns (20) =====
+    centerShape({
+        id: 20,
+        name: '🐢 Turtle Turn',
+        difficulty: Difficulty.MEDIUM,
+        startX: 0,
+        startY: 0,
+        movementMode: MovementMode.TURTLE,
+        startHeading: 'RIGHT',
+        targets: [
+            // S ● ●              (0,0) (1,0) (2,0)
+            //     ●              (2,1)
+            // 🏁 ● ●             (0,2) (1,2) (2,2)
+            //
+            // Board moves need a loop per side; forward twice and a
+            // turn repeat all the way round: A=[⇧⇧↻] 🔁[A]×3
+            { x: 1, y: 0, type: TargetType.COLLECT },
+            { x: 2, y: 0, type: TargetType.COLLECT },
+            { x: 2, y: 1, type: TargetType.COLLECT },
+            { x: 2, y: 2, type: TargetType.COLLECT },
+            { x: 1, y: 2, type: TargetType.COLLECT },
+            { x: 0, y: 2, type: TargetType.FINISH }
+        ],
+        hint: 'Save [⇧⇧↻] as a block and loop it ×3',
+        tutorial: 'turtle',
+        maxQueueSize: 1,
+        requiredFeatures: ['BLOCKS', 'REPEAT']
     })
 ];
@@ -0,0 +1,646 @@
+/**
+ * LevelEditor Class
+ * Editor mode on the game canvas: click cells to place the start and
+ * targets, set level options, play-test with the normal queue and
+ * export/import the config object that new Level(config) accepts
+ */
+
+import { Level, TargetType, TileType, EdgeMode, centerShape, validateLevelConfig } from './Level.js';
+import { MovementMode, Headings } from './Action.js';
+import { TUTORIALS } from './Effects.js';
+
+/**
+ * Tools for clicking on the grid
+ */
+export const EditorTool = {
+    START: 'START',
+    COLLECT: TargetType.COLLECT,
+    FINISH: TargetType.FINISH,
+    AVOID: TargetType.AVOID,
+    TELEPORT: TileType.TELEPORT,
+    ICE: TileType.ICE,
+    CONVEYOR: TileType.CONVEYOR,
+    ONE_WAY: TileType.ONE_WAY,
+    GATE: TileType.GATE,
+    PATROL: 'PATROL',
+    ERASE: 'ERASE'
+};
+
+/**
+ * Tool button labels
+ */
+const TOOL_LABELS = {
+    [EditorTool.START]: '⚪ Start',
+    [EditorTool.COLLECT]: '🟪 Collect',
+    [EditorTool.FINISH]: '🏁 Finish',
+    [EditorTool.AVOID]: '❌ Avoid',
+    [EditorTool.TELEPORT]: '◎ Portal',
+    [EditorTool.ICE]: '❄️ Ice',
+    [EditorTool.CONVEYOR]: '▶▶ Conveyor',
+    [EditorTool.ONE_WAY]: '▶ One-way',
+    [EditorTool.GATE]: '▥ Gate',
+    [EditorTool.PATROL]: '👣 Patrol',
+    [EditorTool.ERASE]: '🧽 Erase'
+};
+
+/**
+ * Tools that place tiles (targets can share their cells)
+ */
+const TILE_TOOLS = [EditorTool.TELEPORT, EditorTool.ICE, EditorTool.CONVEYOR, EditorTool.ONE_WAY, EditorTool.GATE];
+
+/**
+ * Longest time a new gate stays open or closed
+ */
+const MAX_GATE_PERIOD = 9;
+
+/**
+ * Directions a directed tile turns through when clicked again
+ */
+const TILE_DIRECTIONS = ['RIGHT', 'DOWN', 'LEFT', 'UP'];
+
+/**
+ * Edge mode option labels
+ */
+const EDGE_LABELS = {
+    [EdgeMode.BLOCK]: 'Bump',
+    [EdgeMode.FALL]: 'Fall off',
+    [EdgeMode.WRAP]: 'Wrap around'
+};
+
+/**
+ * Movement mode option labels
+ */
+const MOVEMENT_LABELS = {
+    [MovementMode.ABSOLUTE]: '↑ ← ↓ → Directions',
+    [MovementMode.TURTLE]: '⇧ ↺ ↻ Forward & turn'
+};
+
+/**
+ * Start heading option labels (turtle levels)
+ */
+const HEADING_LABELS = {
+    UP: '↑ Up',
+    RIGHT: '→ Right',
+    DOWN: '↓ Down',
+    LEFT: '← Left'
+};
+
+/**
+ * Features a level can require
+ */
+const EDITOR_FEATURES = ['BLOCKS', 'REPEAT', 'RECURSION', 'CONDITIONS'];
+
+/**
+ * Grid size limits in the editor
+ */
+export const MIN_GRID_SIZE = 3;
+export const MAX_GRID_SIZE = 12;
+
+export class LevelEditor {
+    /**
+     * Create the level editor
+     * @param {Game} game - Game instance
+     */
+    constructor(game) {
+        this.game = game;
+        this.isActive = false;
+        this.tool = EditorTool.COLLECT;
+        this.config = this.createEmptyConfig();
+
+        // Moves a new gate stays closed, then open
+        this.gatePeriod = 2;
+
+        // AVOID target whose patrol is being drawn, and the cells clicked so far
+        this.patrolTarget = null;
+        this.patrolPath = [];
+        this.returnLevelId = 1;
+        this.panel = null;
+
+        this.handleCanvasClick = this.handleCanvasClick.bind(this);
+    }
+
+    /**
+     * Create config for a new, empty level
+     * @returns {Object} Level config
+     */
+    createEmptyConfig() {
+        const config = new Level({ id: this.game.levelManager.levels.length + 1, name: 'My Level' }).toConfig();
+        config.targets = [];
+        return config;
+    }
+
+    /**
+     * Toggle editor mode
+     */
+    toggle() {
+        if (this.isActive) {
+            this.close();
+        } else {
+            this.open();
+        }
+    }
+
+    /**
+     * Enter editor mode with the current draft
+     */
+    open() {
+        if (this.isActive) return;
+
+        if (this.game.isPlaying) {
+            this.game.stop();
+        }
+
+        this.isActive = true;
+        this.returnLevelId = this.game.levelManager.currentLevel?.id || 1;
+
+        if (!this.panel) {
+            this.createPanel();
+        }
+        this.panel.style.display = '';
+        this.updatePanel();
+
+        this.game.renderer.canvas.addEventListener('click', this.handleCanvasClick);
+        this.applyDraft();
+        this.game.showMessage('✏️ Click cells to build a level', 'info');
+    }
+
+    /**
+     * Leave editor mode and go back to the level that was being played
+     */
+    close() {
+        if (!this.isActive) return;
+
+        if (this.game.isPlaying) {
+            this.game.stop();
+        }
+
+        this.isActive = false;
+        this.panel.style.display = 'none';
+        this.game.renderer.canvas.removeEventListener('click', this.handleCanvasClick);
+
+        this.game.levelManager.loadLevel(this.returnLevelId);
+        this.game.loadCurrentLevel();
+    }
+
+    /**
+     * Load the draft into the game so it can be play-tested
+     */
+    applyDraft() {
+        this.game.levelManager.loadCustomLevel(new Level(this.config));
+        this.game.loadCurrentLevel();
+    }
+
+    /**
+     * Create editor panel
+     */
+    createPanel() {
+        const footer = document.querySelector('.game-footer');
+        if (!footer) return;
+
+        const tutorialOptions = Object.keys(TUTORIALS)
+            .map(key => `<option value="${key}">${TUTORIALS[key].title}</option>`)
+            .join('');
+
+        this.panel = document.createElement('div');
+        this.panel.className = 'editor-panel';
+        this.panel.innerHTML = `
+            <div class="groups-header">
+                <span class="groups-label">✏️ Level Editor</span>
+                <button class="clear-all-btn" data-editor="close" title="Close editor">✕</button>
+            </div>
+            <div class="editor-tools" role="toolbar" aria-label="Editor tools">
+                ${Object.values(EditorTool).map(tool => `
+                    <button class="editor-tool-btn" data-tool="${tool}">${TOOL_LABELS[tool]}</button>
+                `).join('')}
+            </div>
+            <div class="editor-fields">
+                <label>Name <input type="text" data-field="name" maxlength="40"></label>
+                <label>Columns <input type="number" data-field="gridCols" min="${MIN_GRID_SIZE}" max="${MAX_GRID_SIZE}"></label>
+                <label>Rows <input type="number" data-field="gridRows" min="${MIN_GRID_SIZE}" max="${MAX_GRID_SIZE}"></label>
+                <label>Max items <input type="number" data-field="maxQueueSize" min="0" title="0 = unlimited"></label>
+                <label>Max moves <input type="number" data-field="maxActions" min="0" title="0 = unlimited"></label>
+                <label title="Moves a new gate stays closed, then open">Gate moves <input type="number" data-gate-period min="1" max="${MAX_GATE_PERIOD}"></label>
+                <label>Tutorial
+                    <select data-field="tutorial">
+                        <option value="">None</option>
+                        ${tutorialOptions}
+                    </select>
+                </label>
+                <label>Edges
+                    <select data-field="edgeMode">
+                        ${Object.values(EdgeMode).map(mode => `<option value="${mode}">${EDGE_LABELS[mode]}</option>`).join('')}
+                    </select>
+                </label>
+                <label>Moves
+                    <select data-field="movementMode">
+                        ${Object.values(MovementMode).map(mode => `<option value="${mode}">${MOVEMENT_LABELS[mode]}</option>`).join('')}
+                    </select>
+                </label>
+                <label title="Way the ball faces at the start (turtle moves only)">Facing
+                    <select data-field="startHeading">
+                        ${Headings.map(heading => `<option value="${heading}">${HEADING_LABELS[heading]}</option>`).join('')}
+                    </select>
+                </label>
+                <label class="editor-wide">Hint <input type="text" data-field="hint"></label>
+                <div class="editor-features editor-wide">
+                    ${EDITOR_FEATURES.map(feature => `
+                        <label><input type="checkbox" data-feature="${feature}"> ${feature}</label>
+                    `).join('')}
+                </div>
+                <label class="editor-wide" title="Collect targets are numbered in the order you place them">
+                    <input type="checkbox" data-order> 🔢 Collect in order
+                </label>
+            </div>
+            <div class="editor-actions">
+                <button class="editor-action-btn" data-editor="center" title="Center the shape on the grid">⊕ Center</button>
+                <button class="editor-action-btn" data-editor="check" title="Find the shortest solution">💡 Check</button>
+                <button class="editor-action-btn" data-editor="export" title="Copy level config">📤 Export</button>
+                <button class="editor-action-btn" data-editor="import" title="Load config from the box below">📥 Import</button>
+                <button class="editor-action-btn" data-editor="new" title="Start an empty level">🗑️ New</button>
+            </div>
+            <textarea class="editor-json" rows="4" spellcheck="false" aria-label="Level config JSON"
+                placeholder="Exported level config appears here. Paste a config and press Import to load it."></textarea>
+        `;
+
+        footer.insertBefore(this.panel, footer.firstChild);
+        this.jsonInput = this.panel.querySelector('.editor-json');
+
+        // Bind tools
+        this.panel.querySelectorAll('[data-tool]').forEach(btn => {
+            btn.addEventListener('click', () => {
+                this.tool = btn.dataset.tool;
+                this.patrolTarget = null;
+                this.updatePanel();
+            });
+        });
+
+        const gatePeriod = this.panel.querySelector('[data-gate-period]');
+        gatePeriod.addEventListener('change', () => {
+            const value = parseInt(gatePeriod.value, 10);
+            this.gatePeriod = Math.min(MAX_GATE_PERIOD, Math.max(1, Number.isNaN(value) ? 1 : value));
+            gatePeriod.value = this.gatePeriod;
+        });
+
+        // Bind fields
+        this.panel.querySelectorAll('[data-field], [data-feature], [data-order]').forEach(input => {
+            input.addEventListener('change', () => this.readFields());
+        });
+
+        // Bind actions
+        const actions = {
+            close: () => this.close(),
+            center: () => this.centerDraft(),
+            check: () => this.game.showHint(),
+            export: () => this.exportConfig(),
+            import: () => this.importConfig(this.jsonInput.value),
+            new: () => this.newLevel()
+        };
+        this.panel.querySelectorAll('[data-editor]').forEach(btn => {
+            btn.addEventListener('click', () => actions[btn.dataset.editor]());
+        });
+    }
+
+    /**
+     * Show the draft config in the panel
+     */
+    updatePanel() {
+        if (!this.panel) return;
+
+        this.panel.querySelectorAll('[data-tool]').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.tool === this.tool);
+        });
+
+        this.panel.querySelectorAll('[data-field]').forEach(input => {
+            input.value = this.config[input.dataset.field] ?? '';
+        });
+
+        this.panel.querySelectorAll('[data-feature]').forEach(input => {
+            input.checked = this.config.requiredFeatures.includes(input.dataset.feature);
+        });
+
+        this.panel.querySelector('[data-order]').checked = this.config.requireOrder;
+        this.panel.querySelector('[data-gate-period]').value = this.gatePeriod;
+    }
+
+    /**
+     * Read level options from the panel into the draft
+     */
+    readFields() {
+        const field = name => this.panel.querySelector(`[data-field="${name}"]`).value;
+        const count = (name, min, max) => {
+            const value = parseInt(field(name), 10);
+            return Math.min(max, Math.max(min, Number.isNaN(value) ? min : value));
+        };
+
+        this.config.name = field('name').trim() || `Level ${this.config.id}`;
+        this.config.hint = field('hint').trim();
+        this.config.tutorial = field('tutorial') || null;
+        this.config.edgeMode = field('edgeMode');
+        this.config.movementMode = field('movementMode');
+        this.config.startHeading = field('startHeading');
+        this.config.maxQueueSize = count('maxQueueSize', 0, Infinity);
+        this.config.maxActions = count('maxActions', 0, Infinity);
+        this.config.requiredFeatures = [...this.panel.querySelectorAll('[data-feature]')]
+            .filter(input => input.checked)
+            .map(input => input.dataset.feature);
+
+        const requireOrder = this.panel.querySelector('[data-order]').checked;
+        if (requireOrder !== this.config.requireOrder) {
+            this.config.requireOrder = requireOrder;
+            this.numberTargets();
+        }
+
+        this.resizeGrid(
+            count('gridCols', MIN_GRID_SIZE, MAX_GRID_SIZE),
+            count('gridRows', MIN_GRID_SIZE, MAX_GRID_SIZE)
+        );
+
+        this.updatePanel();
+        this.applyDraft();
+    }
+
+    /**
+     * Change grid size, dropping targets that no longer fit
+     * @param {number} cols - New column count
+     * @param {number} rows - New row count
+     */
+    resizeGrid(cols, rows) {
+        this.config.gridCols = cols;
+        this.config.gridRows = rows;
+        this.config.targets = this.config.targets.filter(t => t.x < cols && t.y < rows);
+        this.config.walls = this.config.walls.filter(w => w.x < cols && w.y < rows);
+        this.config.tiles = this.config.tiles.filter(t => t.x < cols && t.y < rows);
+        this.config.targets
+            .filter(t => t.patrol?.some(cell => cell.x >= cols || cell.y >= rows))
+            .forEach(t => delete t.patrol);
+        this.config.startX = Math.min(this.config.startX, cols - 1);
+        this.config.startY = Math.min(this.config.startY, rows - 1);
+        this.config.starts?.forEach(start => {
+            start.x = Math.min(start.x, cols - 1);
+            start.y = Math.min(start.y, rows - 1);
+        });
+    }
+
+    /**
+     * Handle click on the canvas
+     * @param {MouseEvent} event - Click event
+     */
+    handleCanvasClick(event) {
+        if (this.game.isPlaying) return;
+
+        const rect = this.game.renderer.canvas.getBoundingClientRect();
+        const cell = this.game.grid.pixelToGrid(event.clientX - rect.left, event.clientY - rect.top);
+        if (!cell) return;
+
+        this.placeAt(cell.gridX, cell.gridY);
+    }
+
+    /**
+     * Apply the current tool to a cell
+     * @param {number} x - Grid X
+     * @param {number} y - Grid Y
+     */
+    placeAt(x, y) {
+        const config = this.config;
+        if (TILE_TOOLS.includes(this.tool)) {
+            this.placeTileAt(x, y);
+            this.applyDraft();
+            return;
+        }
+        if (this.tool === EditorTool.PATROL) {
+            this.drawPatrolAt(x, y);
+            return;
+        }
+
+        const existing = config.targets.find(t => t.x === x && t.y === y);
+        const starts = config.starts || [{ x: config.startX, y: config.startY }];
+        const isStart = starts.some(start => start.x === x && start.y === y);
+
+        // Clicking a cell removes what is there; clicking again with the same tool stops there
+        config.targets = config.targets.filter(t => t !== existing);
+
+        switch (this.tool) {
+            case EditorTool.START:
+                // Moves the first ball on levels with several
+                config.startX = x;
+                config.startY = y;
+                if (config.starts) {
+                    config.starts[0] = { x, y };
+                }
+                break;
+
+            case EditorTool.ERASE:
+                // Targets go first, then the tile under them
+                if (!existing) {
+                    config.tiles = config.tiles.filter(t => t.x !== x || t.y !== y);
+                }
+                break;
+
+            case EditorTool.FINISH:
+            case EditorTool.COLLECT:
+            case EditorTool.AVOID:
+                if (isStart) {
+                    this.game.showMessage('Move the start first', 'error');
+                    if (existing) config.targets.push(existing);
+                    return;
+                }
+                if (existing?.type === this.tool) break;
+
+                // Only one finish per ball (the editor places the first ball's)
+                if (this.tool === EditorTool.FINISH) {
+                    config.targets = config.targets.filter(t => t.type !== TargetType.FINISH || t.ball);
+                }
+                config.targets.push({ x, y, type: this.tool, order: this.getNextOrder() });
+                break;
+        }
+
+        this.applyDraft();
+    }
+
+    /**
+     * Apply a tile tool to a cell
+     * Clicking a directed tile again turns it, and after a full turn removes
+     * it; clicking a gate again moves it one step on in its cycle, and after
+     * a full cycle removes it; clicking other tiles again removes them.
+     * Portals pair up in the order they are placed.
+     * @param {number} x - Grid X
+     * @param {number} y - Grid Y
+     */
+    placeTileAt(x, y) {
+        const config = this.config;
+        const existing = config.tiles.find(t => t.x === x && t.y === y);
+        config.tiles = config.tiles.filter(t => t !== existing);
+
+        if (existing?.type === TileType.GATE && this.tool === EditorTool.GATE) {
+            const phase = (existing.phase || 0) + 1;
+            if (phase < existing.period * 2) {
+                config.tiles.push({ ...existing, phase });
+            }
+            return;
+        }
+        if (existing?.type === this.tool) {
+            const next = TILE_DIRECTIONS.indexOf(existing.direction) + 1;
+            if (existing.direction && next < TILE_DIRECTIONS.length) {
+                config.tiles.push({ ...existing, direction: TILE_DIRECTIONS[next] });
+            }
+            return;
+        }
+
+        const tile = { x, y, type: this.tool };
+        if (this.tool === EditorTool.CONVEYOR || this.tool === EditorTool.ONE_WAY) {
+            tile.direction = TILE_DIRECTIONS[0];
+        } else if (this.tool === EditorTool.TELEPORT) {
+            tile.channel = this.getOpenChannel();
+        } else if (this.tool === EditorTool.GATE) {
+            tile.period = this.gatePeriod;
+            tile.phase = 0;
+        }
+        config.tiles.push(tile);
+    }
+
+    /**
+     * Apply the patrol tool to a cell
+     * Clicking an AVOID target starts a new patrol for it, then each click
+     * on a cell next to the last one walks it on. The guard walks back the
+     * same way unless the last cell is next to its start, which closes a loop.
+     * @param {number} x - Grid X
+     * @param {number} y - Grid Y
+     */
+    drawPatrolAt(x, y) {
+        const clicked = this.config.targets.find(t => t.x === x && t.y === y && t.type === TargetType.AVOID);
+        if (clicked) {
+            delete clicked.patrol;
+            this.patrolTarget = clicked;
+            this.patrolPath = [];
+            this.applyDraft();
+            this.game.showMessage('👣 Click the cells the guard walks through', 'info');
+            return;
+        }
+
+        const target = this.patrolTarget;
+        if (!target || !this.config.targets.includes(target)) {
+            this.game.showMessage('Click an ❌ Avoid target first', 'error');
+            return;
+        }
+
+        const last = this.patrolPath[this.patrolPath.length - 1] || target;
+        if (Math.abs(x - last.x) + Math.abs(y - last.y) !== 1) {
+            this.game.showMessage('Guards move one cell at a time', 'error');
+            return;
+        }
+
+        const path = [...this.patrolPath, { x, y }];
+        const isLoop = path.length > 2 && Math.abs(x - target.x) + Math.abs(y - target.y) === 1;
+        this.patrolPath = path;
+        target.patrol = isLoop ? path : [...path, ...path.slice(0, -1).reverse()];
+        this.applyDraft();
+    }
+
+    /**
+     * Get the channel for a newly placed portal
+     * @returns {number} Channel of a portal still waiting for its pair, or a new one
+     */
+    getOpenChannel() {
+        const channels = this.config.tiles
+            .filter(t => t.type === TileType.TELEPORT)
+            .map(t => t.channel);
+        const open = channels.find(channel => channels.filter(c => c === channel).length === 1);
+        return open ?? Math.max(0, ...channels) + 1;
+    }
+
+    /**
+     * Get the order number for a newly placed target
+     * @returns {number} Next number for COLLECT targets in an ordered level, otherwise 0
+     */
+    getNextOrder() {
+        if (!this.config.requireOrder || this.tool !== EditorTool.COLLECT) return 0;
+        return Math.max(0, ...this.config.targets.map(t => t.order || 0)) + 1;
+    }
+
+    /**
+     * Number COLLECT targets in the order they were placed (or clear the numbers)
+     */
+    numberTargets() {
+        let order = 0;
+        this.config.targets.forEach(t => {
+            t.order = this.config.requireOrder && t.type === TargetType.COLLECT ? ++order : 0;
+        });
+    }
+
+    /**
+     * Center the shape on the grid
+     */
+    centerDraft() {
+        if (this.config.targets.length === 0) return;
+
+        this.config = centerShape(this.config);
+        this.applyDraft();
+    }
+
+    /**
+     * Start a new empty level
+     */
+    newLevel() {
+        this.config = this.createEmptyConfig();
+        this.jsonInput.value = '';
+        this.updatePanel();
+        this.applyDraft();
+    }
+
+    /**
+     * Get the draft as a config object for LEVELS
+     * @returns {Object} Level config
+     */
+    getConfig() {
+        return new Level(this.config).toConfig();
+    }
+
+    /**
+     * Put the draft config in the text box and copy it to the clipboard
+     * @returns {string} Config JSON
+     */
+    exportConfig() {
+        const errors = validateLevelConfig(this.config);
+        const json = JSON.stringify(this.getConfig(), null, 4);
+        this.jsonInput.value = json;
+
+        navigator.clipboard?.writeText(json).catch(() => {});
+
+        if (errors.length > 0) {
+            this.game.showMessage(`⚠️ ${errors[0]}`, 'error');
+        } else {
+            this.game.showMessage('📤 Level config copied', 'success');
+        }
+        return json;
+    }
+
+    /**
+     * Load a config into the editor
+     * @param {string|Object} source - Config JSON or object
+     * @returns {boolean} True if loaded
+     */
+    importConfig(source) {
+        let config;
+        try {
+            config = typeof source === 'string' ? JSON.parse(source) : source;
+        } catch {
+            this.game.showMessage('Not valid JSON', 'error');
+            return false;
+        }
+
+        const errors = validateLevelConfig(config);
+        if (errors.length > 0) {
+            this.game.showMessage(`⚠️ ${errors[0]}`, 'error');
+            console.warn('Level config problems:', errors);
+            return false;
+        }
+
+        this.config = new Level(config).toConfig();
+        this.updatePanel();
+        if (this.isActive) {
+            this.applyDraft();
+        }
+        this.game.showMessage('📥 Level loaded', 'success');
+        return true;
+    }
+}
@@ -0,0 +1,428 @@
+/**
+ * LevelGenerator
+ * Builds shape levels (lines, stairs, waves, spirals) for a difficulty and a
+ * concept. A level is kept only if the solver finishes it within the computed
+ * maxQueueSize and cannot finish it without the concept. Generation is seeded,
+ * so the same seed always gives the same level - a whole class can play the
+ * same level of the day.
+ */
+
+import { CONFIG } from './config.js';
+import { Level, Difficulty, TargetType, centerShape, validateLevelConfig } from './Level.js';
+import { solveLevel } from './Solver.js';
+
+/**
+ * Shapes the generator can draw
+ */
+export const GeneratorShape = {
+    LINE: 'LINE',
+    STAIRS: 'STAIRS',
+    WAVE: 'WAVE',
+    SPIRAL: 'SPIRAL'
+};
+
+/**
+ * Concepts a generated level is built around
+ */
+export const GeneratorConcept = {
+    BLOCKS: 'BLOCKS',
+    REPEAT: 'REPEAT',
+    RECURSION: 'RECURSION'
+};
+
+/**
+ * Level names for each shape
+ */
+export const SHAPE_NAMES = {
+    [GeneratorShape.LINE]: '➡️ Line',
+    [GeneratorShape.STAIRS]: '📶 Stairs',
+    [GeneratorShape.WAVE]: '🌊 Wave',
+    [GeneratorShape.SPIRAL]: '🌀 Spiral'
+};
+
+/**
+ * Features a level for each concept requires (loops and nests come with blocks,
+ * like in the built-in levels)
+ */
+const CONCEPT_FEATURES = {
+    [GeneratorConcept.BLOCKS]: ['BLOCKS'],
+    [GeneratorConcept.REPEAT]: ['BLOCKS', 'REPEAT'],
+    [GeneratorConcept.RECURSION]: ['BLOCKS', 'RECURSION']
+};
+
+/**
+ * Shapes that suit each concept
+ */
+const CONCEPT_SHAPES = {
+    [GeneratorConcept.BLOCKS]: [GeneratorShape.STAIRS, GeneratorShape.WAVE, GeneratorShape.SPIRAL],
+    [GeneratorConcept.REPEAT]: [GeneratorShape.LINE, GeneratorShape.STAIRS, GeneratorShape.WAVE, GeneratorShape.SPIRAL],
+    [GeneratorConcept.RECURSION]: [GeneratorShape.LINE, GeneratorShape.STAIRS, GeneratorShape.WAVE, GeneratorShape.SPIRAL]
+};
+
+/**
+ * Hints for each concept - they point the way without giving the program away
+ */
+const CONCEPT_HINTS = {
+    [GeneratorConcept.BLOCKS]: 'Find the moves that come back again and save them as a block',
+    [GeneratorConcept.REPEAT]: 'Find the moves that repeat and put them in a loop',
+    [GeneratorConcept.RECURSION]: 'The path goes one way, then turns back the same way - try a nest'
+};
+
+/**
+ * Shape size and extras for each difficulty
+ * parts: shapes chained into one path
+ * repeats: how often each shape's pattern repeats [min, max]
+ * tail: moves added after the pattern
+ * obstacles: AVOID cells placed next to the path
+ * items: queue items the shortest program should take beyond the concept's fewest [min, max]
+ * slack: queue items allowed beyond the shortest program
+ */
+const DIFFICULTY_SETTINGS = {
+    [Difficulty.TUTORIAL]: { parts: 1, repeats: [2, 3], tail: 0, obstacles: 0, items: [0, 0], slack: 1 },
+    [Difficulty.EASY]: { parts: 1, repeats: [3, 4], tail: 0, obstacles: 0, items: [0, 1], slack: 1 },
+    [Difficulty.MEDIUM]: { parts: 1, repeats: [3, 4], tail: 1, obstacles: 1, items: [1, 1], slack: 1 },
+    [Difficulty.HARD]: { parts: 2, repeats: [3, 4], tail: 1, obstacles: 2, items: [1, 2], slack: 0 },
+    [Difficulty.EXPERT]: { parts: 2, repeats: [3, 5], tail: 2, obstacles: 3, items: [2, 3], slack: 0 }
+};
+
+/**
+ * Fewest queue items a level for each concept can take (a block is only
+ * worth saving if it is called twice)
+ */
+const CONCEPT_MIN_ITEMS = {
+    [GeneratorConcept.BLOCKS]: 2,
+    [GeneratorConcept.REPEAT]: 1,
+    [GeneratorConcept.RECURSION]: 1
+};
+
+/**
+ * Shapes tried before giving up
+ */
+export const MAX_ATTEMPTS = 40;
+
+/**
+ * Longest queue a generated level asks for (like the built-in levels)
+ */
+export const MAX_GENERATED_QUEUE = 4;
+
+/**
+ * Solver limits for generating: a shape that takes longer to solve is
+ * dropped for the next one, which keeps generating quick. Generated paths
+ * collect every cell they cross, so the narrow search is enough.
+ */
+const GENERATOR_SOLVER_OPTIONS = { maxNodes: 8000, wideSearch: false };
+
+/**
+ * Solver nodes all attempts together may use - a budget in nodes rather
+ * than time, so the same seed gives the same level on any computer
+ */
+export const MAX_GENERATOR_NODES = 25000;
+
+/**
+ * Steps in clockwise order (→ ↓ ← ↑); shapes are drawn as sides of the start
+ * heading (0 = ahead, 1 = right, 2 = back, 3 = left) and then rotated to a random one
+ */
+const CLOCKWISE_VECTORS = [{ dx: 1, dy: 0 }, { dx: 0, dy: 1 }, { dx: -1, dy: 0 }, { dx: 0, dy: -1 }];
+
+/**
+ * Create a seeded random number generator (mulberry32)
+ * @param {number} seed - 32-bit seed
+ * @returns {Function} Returns numbers in [0, 1), the same sequence for the same seed
+ */
+export function createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Turn any text into a seed (FNV-1a hash), so seeds can be words or dates
+ * @param {string} text - Seed text
+ * @returns {number} 32-bit seed
+ */
+export function seedFromText(text) {
+    let hash = 0x811C9DC5;
+    for (const char of String(text)) {
+        hash ^= char.codePointAt(0);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+/**
+ * Get the seed text of a day, e.g. "2024-03-15" (local date)
+ * @param {Date} date - Day (today by default)
+ * @returns {string}
+ */
+export function getDailySeed(date = new Date()) {
+    const pad = n => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Pick a random whole number
+ * @param {Function} random - From createRandom()
+ * @param {number} min - Lowest value
+ * @param {number} max - Highest value (included)
+ * @returns {number}
+ */
+function randomInt(random, min, max) {
+    return min + Math.floor(random() * (max - min + 1));
+}
+
+/**
+ * Pick a random list item
+ * @param {Function} random - From createRandom()
+ * @param {Array} list - Items
+ * @returns {*}
+ */
+function pick(random, list) {
+    return list[Math.floor(random() * list.length)];
+}
+
+/**
+ * Draw a shape as turns
+ * @param {string} shape - GeneratorShape value
+ * @param {number} repeats - How often the pattern repeats
+ * @param {Function} random - From createRandom()
+ * @returns {Array<number>} Sides (0 = ahead, 1 = right, 2 = back, 3 = left)
+ */
+function drawShape(shape, repeats, random) {
+    const times = (pattern, count) => Array.from({ length: count }, () => pattern).flat();
+
+    switch (shape) {
+        case GeneratorShape.LINE:
+            return times([0], repeats + 2);
+
+        case GeneratorShape.STAIRS:
+            return pick(random, [
+                () => times([0, 1], repeats),                           // → ↓ → ↓
+                () => times([0, 0, 1], repeats),                        // → → ↓ → → ↓
+                () => [...times([0, 1], repeats), ...times([2], repeats)] // stairs and back
+            ])();
+
+        case GeneratorShape.WAVE:
+            return pick(random, [
+                () => times([0, 3, 0, 1], Math.ceil(repeats / 2)),      // → ↑ → ↓
+                () => [...times([0, 3], repeats), ...times([0, 1], repeats)] // up and down a peak
+            ])();
+
+        case GeneratorShape.SPIRAL: {
+            // Sides grow by one every two turns (out), or shrink (in)
+            const sides = Array.from({ length: repeats + 1 }, (_, i) => Math.floor(i / 2) + 1);
+            if (random() < 0.5) sides.reverse();
+            return sides.flatMap((length, i) => times([i % 4], length));
+        }
+
+        default:
+            return [];
+    }
+}
+
+/**
+ * Walk a list of moves from (0, 0)
+ * @param {Array<number>} turns - Sides from drawShape() plus the tail
+ * @param {number} heading - Index in CLOCKWISE the shape starts facing
+ * @param {boolean} mirrored - Swap left and right
+ * @returns {Array<Object>|null} Cells { x, y } after the start, or null if the path crosses itself
+ */
+function walkPath(turns, heading, mirrored) {
+    const seen = new Set(['0,0']);
+    const cells = [];
+    let x = 0;
+    let y = 0;
+
+    for (const turn of turns) {
+        const { dx, dy } = CLOCKWISE_VECTORS[(heading + (mirrored ? 4 - turn : turn)) % 4];
+        x += dx;
+        y += dy;
+        if (seen.has(`${x},${y}`)) return null;
+
+        seen.add(`${x},${y}`);
+        cells.push({ x, y });
+    }
+    return cells;
+}
+
+/**
+ * Add moves after the shape that keep going sideways
+ * @param {Array<number>} turns - Sides from drawShape()
+ * @param {number} length - Moves to add
+ * @param {Function} random - From createRandom()
+ * @returns {Array<number>}
+ */
+function addTail(turns, length, random) {
+    if (length === 0) return turns;
+
+    const last = turns[turns.length - 1];
+    const side = (last + (random() < 0.5 ? 1 : 3)) % 4;
+    return [...turns, ...Array(length).fill(side)];
+}
+
+/**
+ * Check that cells fit on the grid
+ * @param {Array<Object>} cells - Cells { x, y }
+ * @returns {boolean}
+ */
+function fitsGrid(cells) {
+    const xs = cells.map(c => c.x);
+    const ys = cells.map(c => c.y);
+    return Math.max(...xs) - Math.min(...xs) < CONFIG.grid.cols &&
+        Math.max(...ys) - Math.min(...ys) < CONFIG.grid.rows;
+}
+
+/**
+ * Build one candidate level config (not yet checked by the solver)
+ * @param {Function} random - From createRandom()
+ * @param {string} difficulty - Difficulty value
+ * @param {string} concept - GeneratorConcept value
+ * @returns {Object|null} Level config, or null if the shape did not fit
+ */
+function buildCandidate(random, difficulty, concept) {
+    const settings = DIFFICULTY_SETTINGS[difficulty];
+    const shape = pick(random, CONCEPT_SHAPES[concept]);
+    const repeats = randomInt(random, ...settings.repeats);
+
+    // Harder levels chain more shapes, each turned sideways from the last
+    // (block levels already call a block once per pattern, so they keep one)
+    const parts = concept === GeneratorConcept.BLOCKS ? 1 : settings.parts;
+    let turns = drawShape(shape, repeats, random);
+    for (let part = 1; part < parts; part++) {
+        const side = random() < 0.5 ? 1 : 3;
+        const next = drawShape(pick(random, CONCEPT_SHAPES[concept]), randomInt(random, ...settings.repeats), random);
+        turns = [...turns, ...next.map(turn => (turn + side) % 4)];
+    }
+    turns = addTail(turns, settings.tail, random);
+
+    const path = walkPath(turns, randomInt(random, 0, 3), random() < 0.5);
+    if (!path) return null;
+
+    // Obstacles sit next to the path, where shortcuts would go
+    const onPath = new Set(['0,0', ...path.map(c => `${c.x},${c.y}`)]);
+    const free = [];
+    [{ x: 0, y: 0 }, ...path].forEach(cell => {
+        CLOCKWISE_VECTORS.forEach(({ dx, dy }) => {
+            const key = `${cell.x + dx},${cell.y + dy}`;
+            if (!onPath.has(key)) {
+                onPath.add(key);
+                free.push({ x: cell.x + dx, y: cell.y + dy });
+            }
+        });
+    });
+    const obstacles = [];
+    while (obstacles.length < settings.obstacles && free.length > 0) {
+        obstacles.push(free.splice(Math.floor(random() * free.length), 1)[0]);
+    }
+
+    if (!fitsGrid([{ x: 0, y: 0 }, ...path, ...obstacles])) return null;
+
+    return centerShape({
+        id: 1,
+        name: SHAPE_NAMES[shape],
+        difficulty,
+        startX: 0,
+        startY: 0,
+        targets: [
+            ...path.map((cell, i) => ({
+                ...cell,
+                type: i === path.length - 1 ? TargetType.FINISH : TargetType.COLLECT
+            })),
+            ...obstacles.map(cell => ({ ...cell, type: TargetType.AVOID }))
+        ],
+        requiredFeatures: CONCEPT_FEATURES[concept]
+    });
+}
+
+/**
+ * Generate a level
+ * When no level is found for the difficulty within the node budget, the
+ * same seed is tried at the next easier one, so every seed gives a level
+ * @param {Object} options - { seed, difficulty, concept }: seed is a number or text
+ * @returns {Object|null} Level config, or null if no level was found
+ */
+export function generateLevel({ seed = 0, difficulty = Difficulty.MEDIUM, concept = GeneratorConcept.REPEAT } = {}) {
+    if (!DIFFICULTY_SETTINGS[difficulty] || !CONCEPT_FEATURES[concept]) return null;
+
+    const difficulties = Object.keys(DIFFICULTY_SETTINGS);
+    for (let index = difficulties.indexOf(difficulty); index >= 0; index--) {
+        const config = findLevel(seed, difficulties[index], concept);
+        if (config) return config;
+    }
+
+    return null;
+}
+
+/**
+ * Look for a level at one difficulty
+ * The queue limit is the shortest program the solver finds plus the
+ * difficulty's slack, and the level must not be solvable within it
+ * without the concept's feature. Levels whose shortest program has the
+ * difficulty's number of items are preferred; when the attempts or the
+ * node budget run out first, the closest (easier) one found is used.
+ * @param {number|string} seed - Seed
+ * @param {string} difficulty - Difficulty value
+ * @param {string} concept - GeneratorConcept value
+ * @returns {Object|null} Level config, or null if no level was found
+ */
+function findLevel(seed, difficulty, concept) {
+    const settings = DIFFICULTY_SETTINGS[difficulty];
+    const random = createRandom(typeof seed === 'number' ? seed : seedFromText(seed));
+    const minItems = Math.min(CONCEPT_MIN_ITEMS[concept] + settings.items[0], MAX_GENERATED_QUEUE);
+    const maxItems = Math.min(CONCEPT_MIN_ITEMS[concept] + settings.items[1], MAX_GENERATED_QUEUE);
+    let nodes = 0;
+    let closest = null;
+    let closestDistance = Infinity;
+
+    for (let attempt = 0; attempt < MAX_ATTEMPTS && nodes < MAX_GENERATOR_NODES; attempt++) {
+        const candidate = buildCandidate(random, difficulty, concept);
+        if (!candidate || validateLevelConfig(candidate).length > 0) continue;
+
+        // Shapes that take more items than the difficulty allows are skipped
+        const result = solveLevel(new Level({ ...candidate, maxQueueSize: maxItems }), GENERATOR_SOLVER_OPTIONS);
+        nodes += result.nodes;
+        if (!result.minItems || result.exhausted) continue;
+
+        const itemCount = result.minItems.itemCount;
+        const distance = Math.max(minItems - itemCount, itemCount - maxItems, 0);
+        if (distance >= closestDistance) continue;
+
+        const config = {
+            ...candidate,
+            hint: CONCEPT_HINTS[concept],
+            maxQueueSize: Math.min(itemCount + settings.slack, MAX_GENERATED_QUEUE)
+        };
+
+        // The concept has to be needed to fit the queue
+        const without = config.requiredFeatures.filter(feature => feature !== concept);
+        const plain = solveLevel(new Level({ ...config, requiredFeatures: without }), GENERATOR_SOLVER_OPTIONS);
+        nodes += plain.nodes;
+        if (plain.solvable || plain.exhausted) continue;
+
+        if (distance === 0) return config;
+        closest = config;
+        closestDistance = distance;
+    }
+
+    return closest;
+}
+
+/**
+ * Generate the level of the day: the date picks the concept and difficulty too,
+ * so everyone gets the same level on the same day
+ * @param {Date} date - Day (today by default)
+ * @returns {Object|null} Level config, or null if no level was found
+ */
+export function generateDailyLevel(date = new Date()) {
+    const seed = getDailySeed(date);
+    const random = createRandom(seedFromText(seed));
+    const concept = pick(random, Object.values(GeneratorConcept));
+    const difficulty = pick(random, [Difficulty.EASY, Difficulty.MEDIUM, Difficulty.HARD]);
+
+    const config = generateLevel({ seed, difficulty, concept });
+    return config && { ...config, name: `📅 ${config.name}` };
+}
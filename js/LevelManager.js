@@ -1,36 +1,131 @@
 
-import { Level, LEVELS, Difficulty, UnlockedFeatures, TargetType } from './Level.js';
+import { Level, Difficulty, UnlockedFeatures, TargetType } from './Level.js';
+import { LevelPack, DEFAULT_PACK, DEFAULT_PACK_ID } from './LevelPack.js';
 
 /**
- * Storage key for save data
+ * Storage key for save data (other packs get a ":<packId>" suffix)
  */
-const STORAGE_KEY = 'startschool_progress';
+export const PROGRESS_STORAGE_KEY = 'startschool_progress';
+
+/**
+ * Storage key for installed packs and the active pack id
+ */
+const PACKS_STORAGE_KEY = 'startschool_packs';
 
 /**
  * LevelManager - Handles level loading, progression, and saves
  */
 export class LevelManager {
     constructor() {
-        // All available levels
-        this.levels = LEVELS.map(config => new Level(config));
+        // Level packs (built-in pack plus any the player loaded)
+        this.packs = new Map([[DEFAULT_PACK_ID, DEFAULT_PACK]]);
+        this.pack = DEFAULT_PACK;
+        
+        // All available levels in the active pack
+        this.levels = [];
         
         // Current level
         this.currentLevelIndex = 0;
         this.currentLevel = null;
+        this.isCustomLevel = false; // Current level is not from the level list (editor)
+        
+        // Progress data (for the active pack)
+        this.progress = this.createEmptyProgress();
         
-        // Progress data
-        this.progress = {
+        // Load installed packs, then the active pack with its progress
+        const activePackId = this.loadPacks();
+        this.switchPack(this.packs.has(activePackId) ? activePackId : DEFAULT_PACK_ID);
+    }
+
+    /**
+     * Create progress data for a pack nobody has played yet
+     * @returns {Object}
+     */
+    createEmptyProgress() {
+        return {
             currentLevel: 1,
             completedLevels: [],
             stars: {},      // { levelId: stars }
-            bestActions: {} // { levelId: actionCount }
+            bestActions: {}, // { levelId: actionCount }
+            programs: {}    // { levelId: program JSON } - work in progress, see Program.js
         };
+    }
+
+    /**
+     * Get localStorage key for the active pack's progress
+     * @returns {string}
+     */
+    getProgressKey() {
+        return this.pack.isDefault() ? PROGRESS_STORAGE_KEY : `${PROGRESS_STORAGE_KEY}:${this.pack.id}`;
+    }
+
+    /**
+     * Make a pack the active one and load its progress
+     * @param {string} packId - Pack id
+     * @returns {LevelPack|null}
+     */
+    switchPack(packId) {
+        const pack = this.packs.get(packId);
+        if (!pack) {
+            console.warn(`Level pack ${packId} not found`);
+            return null;
+        }
+        
+        this.pack = pack;
+        this.levels = pack.levels.map(config => new Level(config));
         
-        // Load saved progress
         this.loadProgress();
+        this.savePacks();
+        
+        if (!this.loadLevel(this.progress.currentLevel)) {
+            this.loadLevel(1);
+        }
+        
+        console.log(`Switched to level pack: ${pack.name}`);
+        return pack;
+    }
+
+    /**
+     * Install a pack (replaces an installed pack with the same id)
+     * @param {LevelPack} pack - Validated pack
+     * @returns {LevelPack}
+     */
+    addPack(pack) {
+        this.packs.set(pack.id, pack);
+        this.savePacks();
+        return pack;
+    }
+
+    /**
+     * Uninstall a pack (its saved progress is kept)
+     * @param {string} packId - Pack id
+     * @returns {boolean} True if removed
+     */
+    removePack(packId) {
+        if (packId === DEFAULT_PACK_ID || !this.packs.has(packId)) return false;
         
-        // Initialize current level
-        this.loadLevel(this.progress.currentLevel);
+        this.packs.delete(packId);
+        if (this.pack.id === packId) {
+            this.switchPack(DEFAULT_PACK_ID);
+        } else {
+            this.savePacks();
+        }
+        return true;
+    }
+
+    /**
+     * Get installed packs for the pack picker
+     * @returns {Array}
+     */
+    getPackSummaries() {
+        return [...this.packs.values()].map(pack => ({
+            id: pack.id,
+            name: pack.name,
+            description: pack.description,
+            levelCount: pack.levels.length,
+            active: pack === this.pack,
+            removable: !pack.isDefault()
+        }));
     }
 
     /**
@@ -48,11 +143,25 @@ export class LevelManager {
         this.currentLevelIndex = index;
         this.currentLevel = this.levels[index].clone();
         this.currentLevel.reset();
+        this.isCustomLevel = false;
         
         console.log(`Loaded level ${levelId}: ${this.currentLevel.name}`);
         return this.currentLevel;
     }
 
+    /**
+     * Load a level that is not in the level list (e.g. from the editor)
+     * Progress is never recorded for custom levels
+     * @param {Level} level - Level to play
+     * @returns {Level}
+     */
+    loadCustomLevel(level) {
+        this.currentLevel = level.clone();
+        this.currentLevel.reset();
+        this.isCustomLevel = true;
+        return this.currentLevel;
+    }
+
     /**
      * Get current level
      * @returns {Level}
@@ -243,12 +352,40 @@ export class LevelManager {
         }));
     }
 
+    /**
+     * Get the saved in-progress program for a level
+     * @param {number} levelId - Level ID
+     * @returns {Object|null} Program JSON
+     */
+    getSavedProgram(levelId) {
+        return this.progress.programs[levelId] || null;
+    }
+
+    /**
+     * Save the in-progress program for a level (saved on every change, so not logged)
+     * @param {number} levelId - Level ID
+     * @param {Object|null} program - Program JSON, or null to forget it
+     */
+    saveProgram(levelId, program) {
+        if (program) {
+            this.progress.programs[levelId] = program;
+        } else {
+            delete this.progress.programs[levelId];
+        }
+        
+        try {
+            localStorage.setItem(this.getProgressKey(), JSON.stringify(this.progress));
+        } catch (e) {
+            console.warn('Could not save program:', e);
+        }
+    }
+
     /**
      * Save progress to localStorage
      */
     saveProgress() {
         try {
-            localStorage.setItem(STORAGE_KEY, JSON.stringify(this.progress));
+            localStorage.setItem(this.getProgressKey(), JSON.stringify(this.progress));
             console.log('Progress saved');
         } catch (e) {
             console.warn('Could not save progress:', e);
@@ -259,15 +396,17 @@ export class LevelManager {
      * Load progress from localStorage
      */
     loadProgress() {
+        this.progress = this.createEmptyProgress();
         try {
-            const saved = localStorage.getItem(STORAGE_KEY);
+            const saved = localStorage.getItem(this.getProgressKey());
             if (saved) {
                 const data = JSON.parse(saved);
                 this.progress = {
                     currentLevel: data.currentLevel || 1,
                     completedLevels: data.completedLevels || [],
                     stars: data.stars || {},
-                    bestActions: data.bestActions || {}
+                    bestActions: data.bestActions || {},
+                    programs: data.programs || {}
                 };
                 console.log('Progress loaded:', this.progress);
             }
@@ -280,14 +419,48 @@ export class LevelManager {
      * Reset all progress
      */
     resetProgress() {
-        this.progress = {
-            currentLevel: 1,
-            completedLevels: [],
-            stars: {},
-            bestActions: {}
-        };
+        this.progress = this.createEmptyProgress();
         this.saveProgress();
         this.loadLevel(1);
         console.log('Progress reset');
     }
+
+    /**
+     * Save installed packs and the active pack id to localStorage
+     */
+    savePacks() {
+        try {
+            const packs = [...this.packs.values()]
+                .filter(pack => !pack.isDefault())
+                .map(pack => pack.toJSON());
+            localStorage.setItem(PACKS_STORAGE_KEY, JSON.stringify({ active: this.pack.id, packs }));
+        } catch (e) {
+            console.warn('Could not save level packs:', e);
+        }
+    }
+
+    /**
+     * Load installed packs from localStorage
+     * @returns {string} Id of the pack that was active
+     */
+    loadPacks() {
+        try {
+            const saved = localStorage.getItem(PACKS_STORAGE_KEY);
+            if (!saved) return DEFAULT_PACK_ID;
+            
+            const data = JSON.parse(saved);
+            (data.packs || []).forEach(packData => {
+                try {
+                    const pack = LevelPack.fromJSON(packData);
+                    this.packs.set(pack.id, pack);
+                } catch (e) {
+                    console.warn('Skipping saved level pack:', e.message);
+                }
+            });
+            return data.active || DEFAULT_PACK_ID;
+        } catch (e) {
+            console.warn('Could not load level packs:', e);
+            return DEFAULT_PACK_ID;
+        }
+    }
 }
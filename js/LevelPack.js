@@ -0,0 +1,157 @@
+/**
+ * LevelPack Class
+ * A named list of level configs that can be shipped as a JSON file
+ *
+ * Pack JSON format:
+ * {
+ *     "version": 1,
+ *     "id": "loops-week",
+ *     "name": "Loops week",
+ *     "description": "Practice repeat blocks",
+ *     "levels": [ { ...config accepted by new Level(config) } ]
+ * }
+ */
+
+import { LEVELS, validateLevelConfig } from './Level.js';
+
+/**
+ * Current pack file format version
+ */
+export const PACK_VERSION = 1;
+
+/**
+ * Id of the built-in pack
+ */
+export const DEFAULT_PACK_ID = 'default';
+
+/**
+ * Allowed pack ids (also used in localStorage keys)
+ */
+const PACK_ID_PATTERN = /^[a-z0-9_-]{1,40}$/i;
+
+export class LevelPack {
+    /**
+     * Create a level pack
+     * @param {Object} data - { id, name, description, levels }
+     */
+    constructor(data) {
+        this.id = data.id;
+        this.name = data.name || data.id;
+        this.description = data.description || '';
+
+        // Levels are numbered 1..n in pack order when ids are left out
+        this.levels = data.levels.map((config, index) => ({ ...config, id: config.id ?? index + 1 }));
+    }
+
+    /**
+     * Check if this is the built-in pack
+     * @returns {boolean}
+     */
+    isDefault() {
+        return this.id === DEFAULT_PACK_ID;
+    }
+
+    /**
+     * Serialize to pack JSON
+     * @returns {Object}
+     */
+    toJSON() {
+        return {
+            version: PACK_VERSION,
+            id: this.id,
+            name: this.name,
+            description: this.description,
+            levels: this.levels
+        };
+    }
+
+    /**
+     * Create pack from JSON data
+     * @param {Object} data - Pack JSON
+     * @returns {LevelPack}
+     * @throws {Error} If the data is not a valid pack
+     */
+    static fromJSON(data) {
+        const errors = validatePack(data);
+        if (errors.length > 0) {
+            const error = new Error(`Invalid level pack: ${errors[0]}`);
+            error.details = errors;
+            throw error;
+        }
+        return new LevelPack(data);
+    }
+}
+
+/**
+ * Check pack JSON before loading it
+ * @param {Object} data - Pack JSON
+ * @returns {Array<string>} Problems found (empty if valid)
+ */
+export function validatePack(data) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        return ['Pack must be an object'];
+    }
+
+    const errors = [];
+
+    if (data.version !== undefined && data.version > PACK_VERSION) {
+        errors.push(`Pack version ${data.version} is newer than supported (${PACK_VERSION})`);
+    }
+
+    if (typeof data.id !== 'string' || !PACK_ID_PATTERN.test(data.id)) {
+        errors.push('Pack id must be 1-40 letters, digits, "-" or "_"');
+    } else if (data.id === DEFAULT_PACK_ID) {
+        errors.push(`Pack id "${DEFAULT_PACK_ID}" is reserved`);
+    }
+
+    if (!Array.isArray(data.levels) || data.levels.length === 0) {
+        errors.push('Pack needs at least one level');
+        return errors;
+    }
+
+    data.levels.forEach((config, index) => {
+        validateLevelConfig(config).forEach(problem => {
+            errors.push(`Level ${index + 1}: ${problem}`);
+        });
+
+        // Progression moves by id + 1, so ids must follow pack order
+        if (config && config.id !== undefined && config.id !== index + 1) {
+            errors.push(`Level ${index + 1}: id must be ${index + 1} (got ${config.id})`);
+        }
+    });
+
+    return errors;
+}
+
+/**
+ * The built-in levels
+ */
+export const DEFAULT_PACK = new LevelPack({
+    id: DEFAULT_PACK_ID,
+    name: 'StartSchool',
+    description: 'The original levels',
+    levels: LEVELS
+});
+
+/**
+ * Load a pack from a URL
+ * @param {string} url - URL of a pack JSON file
+ * @returns {Promise<LevelPack>}
+ */
+export async function loadPackFromUrl(url) {
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new Error(`Could not load pack (${response.status})`);
+    }
+    return LevelPack.fromJSON(await response.json());
+}
+
+/**
+ * Load a pack from a file picked by the user
+ * @param {File} file - Pack JSON file
+ * @returns {Promise<LevelPack>}
+ */
+export async function loadPackFromFile(file) {
+    const text = await file.text();
+    return LevelPack.fromJSON(JSON.parse(text));
+}
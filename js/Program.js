@@ -0,0 +1,101 @@
+/**
+ * Program
+ * Versioned save format for a whole program: the queue plus the blocks
+ * and recursive groups it uses
+ *
+ * Format (version 1):
+ * {
+ *     "version": 1,
+ *     "groups": [ ActionGroup.toJSON() ],       (a block comes after the blocks it calls)
+ *     "recursiveGroups": [ RecursiveGroup.toJSON() ],
+ *     "items": [ Action | GroupReference | RepeatBlock | RecursiveReference | ConditionalBlock .toJSON() ]
+ * }
+ */
+
+import { ActionGroup, orderByCalls } from './ActionGroup.js';
+import { RecursiveGroup } from './RecursiveGroup.js';
+import { itemFromJSON } from './ActionQueue.js';
+
+/**
+ * Current program format version
+ */
+export const PROGRAM_VERSION = 1;
+
+/**
+ * Upgrades from each older version to the next one
+ * Version 0 is the old ActionQueue.toJSON output: a plain array of actions
+ */
+const MIGRATIONS = {
+    0: data => ({ version: 1, groups: [], recursiveGroups: [], items: data })
+};
+
+/**
+ * Collect the blocks and recursive groups a program uses
+ * Ones used by the queue (or by nests) but missing from the lists are added,
+ * and blocks are ordered so each comes after the blocks it calls
+ * @param {Object} program - { items, groups, recursiveGroups }
+ * @returns {Object} { groups, recursiveGroups }
+ */
+export function collectGroups({ items, groups = [], recursiveGroups = [] }) {
+    const blocks = [...groups];
+    const nests = [...recursiveGroups];
+
+    const collect = item => {
+        if (item.isRepeatBlock && item.isRepeatBlock()) {
+            item.items.forEach(collect);
+        } else if (item.isRecursiveReference && item.isRecursiveReference()) {
+            if (!nests.includes(item.group)) nests.push(item.group);
+        } else if (item.isGroupReference && item.isGroupReference()) {
+            if (!blocks.includes(item.group)) blocks.push(item.group);
+        }
+    };
+    items.forEach(collect);
+    nests.forEach(nest => [...nest.preActions, ...nest.postActions].forEach(collect));
+
+    return { groups: orderByCalls(blocks), recursiveGroups: nests };
+}
+
+/**
+ * Serialize a program
+ * Blocks and recursive groups used by the queue but missing from the lists are added
+ * @param {Object} program - { items, groups, recursiveGroups }
+ * @returns {Object} Program JSON
+ */
+export function serializeProgram(program) {
+    const { groups: blocks, recursiveGroups: nests } = collectGroups(program);
+
+    return {
+        version: PROGRAM_VERSION,
+        groups: blocks.map(group => group.toJSON()),
+        recursiveGroups: nests.map(group => group.toJSON()),
+        items: program.items.map(item => item.toJSON())
+    };
+}
+
+/**
+ * Rebuild a program, upgrading older versions first
+ * @param {Object|Array} data - Program JSON
+ * @returns {Object} { items, groups, recursiveGroups }
+ * @throws {Error} If the data is not a readable program
+ */
+export function deserializeProgram(data) {
+    let program = Array.isArray(data) ? data : { ...data };
+    let version = Array.isArray(data) ? 0 : data?.version;
+
+    if (!Number.isInteger(version) || version > PROGRAM_VERSION) {
+        throw new Error(`Unsupported program version ${version}`);
+    }
+
+    while (version < PROGRAM_VERSION) {
+        program = MIGRATIONS[version](program);
+        version = program.version;
+    }
+
+    // Each block may call the blocks read before it
+    const groups = [];
+    (program.groups || []).forEach(groupData => groups.push(ActionGroup.fromJSON(groupData, groups)));
+    const recursiveGroups = (program.recursiveGroups || []).map(groupData => RecursiveGroup.fromJSON(groupData, groups));
+    const items = (program.items || []).map(itemData => itemFromJSON(itemData, { groups, recursiveGroups }));
+
+    return { items, groups, recursiveGroups };
+}
@@ -0,0 +1,500 @@
+/**
+ * QueueDrag Class
+ * Drag-and-drop editing of the queue: reorder items, drop new moves and
+ * saved blocks into any slot, and drag items into and out of loops.
+ * Built on pointer events, so mouse and touch work the same way. A focused
+ * queue item moves with Alt+arrow keys and is deleted with Delete.
+ *
+ * Sources: { kind: 'queue', index } | { kind: 'loop', index, inner }
+ *          | { kind: 'action', actionType } | { kind: 'block', group }
+ * Targets: { kind: 'slot', index } (insert before index) | { kind: 'into', index } (loop at index)
+ */
+
+import { Action } from './Action.js';
+import { GroupReference } from './ActionGroup.js';
+import { MAX_ITEMS_IN_REPEAT, MAX_REPEAT_NESTING } from './RepeatBlock.js';
+
+/**
+ * How far (in pixels) the pointer moves before a press becomes a drag
+ */
+const DRAG_THRESHOLD = 6;
+
+/**
+ * Classes that show where a drop lands
+ */
+const DROP_CLASSES = {
+    before: 'queue-item-drop-before',
+    after: 'queue-item-drop-after',
+    into: 'queue-item-drop-into',
+    end: 'queue-items-drop-end'
+};
+
+/**
+ * Check if a queue item is a loop
+ * @param {Object} item - Queue item
+ * @returns {boolean}
+ */
+function isLoop(item) {
+    return !!(item?.isRepeatBlock && item.isRepeatBlock());
+}
+
+export class QueueDrag {
+    /**
+     * Create the drag-and-drop handler
+     * @param {Game} game - Game instance
+     */
+    constructor(game) {
+        this.game = game;
+
+        // Press that may become a drag: { source, element, pointerId, startX, startY }
+        this.press = null;
+        this.ghost = null; // Copy of the dragged element that follows the pointer
+        this.target = null; // Where the item would land, with the element showing it
+
+        // The click that ends a drag must not also add or remove an item
+        this.suppressClick = false;
+        window.addEventListener('click', (e) => {
+            if (this.suppressClick) {
+                e.stopPropagation();
+                e.preventDefault();
+                this.suppressClick = false;
+            }
+        }, true);
+
+        this.onPointerMove = this.onPointerMove.bind(this);
+        this.onPointerUp = this.onPointerUp.bind(this);
+        this.onPointerCancel = this.onPointerCancel.bind(this);
+    }
+
+    /**
+     * Check if the program can be edited by dragging right now
+     * @returns {boolean}
+     */
+    get canEdit() {
+        const game = this.game;
+        return !game.isPlaying && !game.isRecording && !game.debugger.isActive &&
+            !game.isBuildingRepeat && !game.isBuildingCondition && !game.isBuildingRecursion &&
+            !game.blockEditor.isActive;
+    }
+
+    /**
+     * Make an element draggable
+     * @param {HTMLElement} element - Element to drag
+     * @param {Object} source - What dragging it moves (see the sources above)
+     */
+    attach(element, source) {
+        element.classList.add('draggable');
+        element.addEventListener('pointerdown', (e) => this.onPointerDown(e, element, source));
+    }
+
+    /**
+     * Remember a press; it becomes a drag once the pointer moves far enough
+     * @param {PointerEvent} e - Pointer event
+     * @param {HTMLElement} element - Pressed element
+     * @param {Object} source - What dragging it moves
+     */
+    onPointerDown(e, element, source) {
+        if (e.button !== 0 || this.press || !this.canEdit) return;
+
+        // Buttons inside an item (edit, delete) keep their own clicks
+        const control = e.target.closest('button, input');
+        if (control && control !== element) return;
+
+        // A loop's items are dragged on their own, not with the loop
+        e.stopPropagation();
+
+        this.press = { source, element, pointerId: e.pointerId, startX: e.clientX, startY: e.clientY };
+        document.addEventListener('pointermove', this.onPointerMove);
+        document.addEventListener('pointerup', this.onPointerUp);
+        document.addEventListener('pointercancel', this.onPointerCancel);
+    }
+
+    /**
+     * Move the dragged copy and show where it would land
+     * @param {PointerEvent} e - Pointer event
+     */
+    onPointerMove(e) {
+        if (!this.press || e.pointerId !== this.press.pointerId) return;
+
+        if (!this.ghost) {
+            const distance = Math.hypot(e.clientX - this.press.startX, e.clientY - this.press.startY);
+            if (distance < DRAG_THRESHOLD) return;
+            this.startDrag();
+        }
+
+        e.preventDefault();
+        this.ghost.style.left = `${e.clientX}px`;
+        this.ghost.style.top = `${e.clientY}px`;
+        this.showTarget(this.getDropTarget(e.clientX, e.clientY));
+    }
+
+    /**
+     * Drop the item (a press that never moved stays a click)
+     * @param {PointerEvent} e - Pointer event
+     */
+    onPointerUp(e) {
+        if (!this.press || e.pointerId !== this.press.pointerId) return;
+
+        const { source } = this.press;
+        const wasDragging = this.ghost !== null;
+        const target = this.target;
+        this.endDrag();
+        if (!wasDragging) return;
+
+        // The click that follows the release belongs to the drag
+        this.suppressClick = true;
+        setTimeout(() => {
+            this.suppressClick = false;
+        }, 0);
+
+        if (target) {
+            this.drop(source, target);
+        }
+    }
+
+    /**
+     * Give up the drag (e.g. the browser took over the touch)
+     */
+    onPointerCancel() {
+        this.endDrag();
+    }
+
+    /**
+     * Turn the press into a drag
+     */
+    startDrag() {
+        const { element } = this.press;
+        this.ghost = element.cloneNode(true);
+        this.ghost.classList.add('drag-ghost');
+        this.ghost.removeAttribute('id');
+        document.body.appendChild(this.ghost);
+        element.classList.add('dragging');
+    }
+
+    /**
+     * Clean up after a drag or a plain press
+     */
+    endDrag() {
+        document.removeEventListener('pointermove', this.onPointerMove);
+        document.removeEventListener('pointerup', this.onPointerUp);
+        document.removeEventListener('pointercancel', this.onPointerCancel);
+
+        this.press?.element.classList.remove('dragging');
+        this.ghost?.remove();
+        this.showTarget(null);
+        this.press = null;
+        this.ghost = null;
+    }
+
+    /**
+     * Find where an item dropped at a point would land
+     * Left half of an item inserts before it, right half after it,
+     * and the middle of a loop puts the item in the loop
+     * @param {number} x - Pointer x (viewport)
+     * @param {number} y - Pointer y (viewport)
+     * @returns {Object|null} Target with the element showing it and its side, or null
+     */
+    getDropTarget(x, y) {
+        const queueEl = this.game.queueDisplay;
+        const hit = document.elementFromPoint?.(x, y);
+        if (!queueEl || !hit || !hit.closest('.queue-display')) return null;
+
+        const itemEl = hit.closest('.queue-item[data-queue-index]');
+        if (!itemEl) {
+            return { kind: 'slot', index: this.game.actionQueue.items.length, element: queueEl, side: 'end' };
+        }
+
+        const index = Number(itemEl.dataset.queueIndex);
+        const rect = itemEl.getBoundingClientRect();
+        const offset = rect.width > 0 ? (x - rect.left) / rect.width : 0;
+        if (itemEl.classList.contains('queue-item-repeat') && offset > 0.25 && offset < 0.75) {
+            return { kind: 'into', index, element: itemEl, side: 'into' };
+        }
+        return offset < 0.5
+            ? { kind: 'slot', index, element: itemEl, side: 'before' }
+            : { kind: 'slot', index: index + 1, element: itemEl, side: 'after' };
+    }
+
+    /**
+     * Highlight where the item would land
+     * @param {Object|null} target - Drop target from getDropTarget
+     */
+    showTarget(target) {
+        if (this.target) {
+            this.target.element.classList.remove(DROP_CLASSES[this.target.side]);
+        }
+        this.target = target;
+        if (target) {
+            target.element.classList.add(DROP_CLASSES[target.side]);
+        }
+    }
+
+    /**
+     * Get the item a source stands for (new moves and blocks are created)
+     * @param {Object} source - Drag source
+     * @returns {Object} Queue item
+     */
+    getItem(source) {
+        const items = this.game.actionQueue.items;
+        switch (source.kind) {
+            case 'queue':
+                return items[source.index];
+            case 'loop':
+                return items[source.index].items[source.inner];
+            case 'action':
+                return new Action(source.actionType);
+            case 'block':
+                return new GroupReference(source.group);
+        }
+        return null;
+    }
+
+    /**
+     * Move or add an item, as one undo step
+     * @param {Object} source - Drag source
+     * @param {Object} target - Drop target
+     * @returns {Object|null} Where the item landed { index, inner } or null if nothing changed
+     */
+    drop(source, target) {
+        let landed = null;
+        this.game.batchEdits(() => {
+            landed = target.kind === 'into'
+                ? this.dropIntoLoop(source, target.index)
+                : this.dropAtSlot(source, target.index);
+        });
+
+        if (landed) {
+            this.game.sound.playClick();
+        }
+        return landed;
+    }
+
+    /**
+     * Put an item into the queue before the given index
+     * @param {Object} source - Drag source
+     * @param {number} slot - Index to insert before (queue length = at the end)
+     * @returns {Object|null} Where the item landed
+     */
+    dropAtSlot(source, slot) {
+        const queue = this.game.actionQueue;
+
+        if (source.kind === 'queue') {
+            const to = slot > source.index ? slot - 1 : slot;
+            return queue.moveItem(source.index, to) ? { index: to } : null;
+        }
+
+        if (this.isQueueFull()) return null;
+        if (source.kind === 'loop' && !this.canTakeFromLoop(source)) return null;
+
+        const item = this.getItem(source);
+        if (!queue.insertAt(slot, item)) return null;
+
+        if (source.kind === 'loop') {
+            queue.items[source.index < slot ? source.index : source.index + 1].removeItem(source.inner);
+            queue.notifyChange();
+        }
+        return { index: slot };
+    }
+
+    /**
+     * Put an item at the end of a loop in the queue
+     * @param {Object} source - Drag source
+     * @param {number} loopIndex - Queue index of the loop
+     * @returns {Object|null} Where the item landed
+     */
+    dropIntoLoop(source, loopIndex) {
+        const queue = this.game.actionQueue;
+        const loop = queue.items[loopIndex];
+        if (!isLoop(loop)) return null;
+
+        // Dropping an item on its own loop changes nothing
+        if ((source.kind === 'queue' || source.kind === 'loop') && source.index === loopIndex) return null;
+
+        const item = this.getItem(source);
+        if (item.isRecursiveReference && item.isRecursiveReference()) {
+            this.warn('🔁 Nests can\'t go in a loop');
+            return null;
+        }
+        if (loop.isFull) {
+            this.warn(`🔁 Max ${MAX_ITEMS_IN_REPEAT} in loop! Use 🌀 Recursion`);
+            return null;
+        }
+        if (isLoop(item) && item.nestingDepth >= MAX_REPEAT_NESTING) {
+            this.warn(`🔁 Loops can only be ${MAX_REPEAT_NESTING} deep`);
+            return null;
+        }
+        if (source.kind === 'loop' && !this.canTakeFromLoop(source)) return null;
+
+        loop.addItem(item);
+        let index = loopIndex;
+        if (source.kind === 'loop') {
+            queue.items[source.index].removeItem(source.inner);
+        } else if (source.kind === 'queue') {
+            queue.items.splice(source.index, 1);
+            if (source.index < loopIndex) index--;
+        }
+        queue.notifyChange();
+        return { index, inner: loop.items.length - 1 };
+    }
+
+    /**
+     * Move an item to another position inside its loop
+     * @param {Object} source - Loop item source
+     * @param {number} to - Index in the loop it ends up at
+     * @returns {Object|null} Where the item landed
+     */
+    moveInLoop(source, to) {
+        const queue = this.game.actionQueue;
+        let moved = false;
+        this.game.batchEdits(() => {
+            moved = queue.items[source.index].moveItem(source.inner, to);
+            if (moved) queue.notifyChange();
+        });
+
+        if (!moved) return null;
+        this.game.sound.playClick();
+        return { index: source.index, inner: to };
+    }
+
+    /**
+     * Delete a queue item or an item of a loop
+     * @param {Object} source - Queue or loop item source
+     * @returns {boolean} True if deleted
+     */
+    remove(source) {
+        const queue = this.game.actionQueue;
+        if (source.kind === 'queue') {
+            return queue.removeAt(source.index) !== null;
+        }
+
+        if (!this.canTakeFromLoop(source)) return false;
+        queue.items[source.index].removeItem(source.inner);
+        queue.notifyChange();
+        return true;
+    }
+
+    /**
+     * Check that taking an item out leaves the loop something to repeat
+     * @param {Object} source - Loop item source
+     * @returns {boolean}
+     */
+    canTakeFromLoop(source) {
+        if (this.game.actionQueue.items[source.index].items.length > 1) return true;
+        this.warn('🔁 Keep at least one move in the loop!');
+        return false;
+    }
+
+    /**
+     * Check if the queue (or the level's limit) has no room for another item
+     * @returns {boolean} True if full (a message says so)
+     */
+    isQueueFull() {
+        const { actionQueue, levelManager } = this.game;
+        const level = levelManager.getCurrentLevel();
+        const max = level && level.maxQueueSize > 0
+            ? Math.min(level.maxQueueSize, actionQueue.maxSize)
+            : actionQueue.maxSize;
+
+        if (actionQueue.items.length < max) return false;
+        this.warn(`Queue full! Max ${max} items allowed`);
+        return true;
+    }
+
+    /**
+     * Show why a drop was refused
+     * @param {string} text - Message
+     */
+    warn(text) {
+        this.game.showMessage(text, 'warning');
+        this.game.sound.playError();
+    }
+
+    /**
+     * Keyboard equivalents for a focused queue or loop item:
+     * Alt+←/→ moves it, Alt+↓ puts it in the nearest loop,
+     * Alt+↑ takes it out of its loop, Delete deletes it
+     * @param {KeyboardEvent} event - Keyboard event
+     * @returns {boolean} True if the key was handled
+     */
+    handleKey(event) {
+        const element = event.target.closest?.('[data-queue-index]');
+        if (!element || !this.canEdit) return false;
+
+        const index = Number(element.dataset.queueIndex);
+        const source = element.dataset.loopItem !== undefined
+            ? { kind: 'loop', index, inner: Number(element.dataset.loopItem) }
+            : { kind: 'queue', index };
+
+        let landed;
+        if (event.key === 'Delete') {
+            if (!this.remove(source)) return true;
+            // Keep the focus on the item that took its place
+            const count = this.game.actionQueue.items.length;
+            landed = source.kind === 'queue'
+                ? (count > 0 ? { index: Math.min(index, count - 1) } : null)
+                : { index, inner: Math.max(0, source.inner - 1) };
+        } else if (event.altKey && event.key.startsWith('Arrow')) {
+            landed = this.moveByKey(source, event.key);
+        } else {
+            return false;
+        }
+
+        event.preventDefault();
+        if (landed) {
+            this.focus(landed);
+        } else if (event.key !== 'Delete') {
+            this.focus(source.kind === 'loop' ? { index, inner: source.inner } : { index });
+        }
+        return true;
+    }
+
+    /**
+     * Move an item one step with the keyboard
+     * @param {Object} source - Queue or loop item source
+     * @param {string} key - Arrow key
+     * @returns {Object|null} Where the item landed
+     */
+    moveByKey(source, key) {
+        const items = this.game.actionQueue.items;
+
+        if (source.kind === 'loop') {
+            switch (key) {
+                case 'ArrowLeft':
+                    return this.moveInLoop(source, source.inner - 1);
+                case 'ArrowRight':
+                    return this.moveInLoop(source, source.inner + 1);
+                case 'ArrowUp':
+                    // Out of the loop, right after it
+                    return this.drop(source, { kind: 'slot', index: source.index + 1 });
+            }
+            return null;
+        }
+
+        switch (key) {
+            case 'ArrowLeft':
+                return source.index > 0 ? this.drop(source, { kind: 'slot', index: source.index - 1 }) : null;
+            case 'ArrowRight':
+                return this.drop(source, { kind: 'slot', index: source.index + 2 });
+            case 'ArrowDown': {
+                // The next loop, or the one before if none follows
+                let loopIndex = items.findIndex((item, i) => i > source.index && isLoop(item));
+                if (loopIndex === -1) {
+                    loopIndex = items.findLastIndex((item, i) => i < source.index && isLoop(item));
+                }
+                return loopIndex === -1 ? null : this.drop(source, { kind: 'into', index: loopIndex });
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Focus a queue item (or an item of a loop) after the queue was redrawn
+     * @param {Object} location - { index, inner }
+     */
+    focus({ index, inner }) {
+        const selector = inner !== undefined
+            ? `.repeat-item[data-queue-index="${index}"][data-loop-item="${inner}"]`
+            : `.queue-item[data-queue-index="${index}"]`;
+        this.game.queueDisplay?.querySelector(selector)?.focus();
+    }
+}
@@ -1,17 +1,32 @@
 
 import { Action, ActionType } from './Action.js';
-import { GroupColors } from './ActionGroup.js';
+import { GroupColors, GroupReference } from './ActionGroup.js';
+import { findCondition, getConditionLabel } from './ConditionalBlock.js';
 
 // Maximum recursion depth to prevent infinite loops
 export const MAX_RECURSION_DEPTH = 5;
 export const DEFAULT_RECURSION_DEPTH = 3;
 
+// Calls a nest that stops on a condition may stack up before it overflows
+export const MAX_CALL_DEPTH = 20;
+
 // Unique ID counter for recursive groups
 let recursiveGroupIdCounter = 0;
 
+/**
+ * Get the actions one IN/OUT item runs
+ * @param {Action|GroupReference} item - Action or block call
+ * @returns {Action[]} Cloned actions
+ */
+function getItemActions(item) {
+    return item instanceof GroupReference ? item.getActions() : [item.clone()];
+}
+
 /**
  * RecursiveGroup - A group that contains a self-reference
- * When expanded, it "unrolls" the recursion up to max depth
+ * The body is IN actions, the self-call, then OUT actions. It stops after
+ * maxDepth calls, or when a board condition holds at the start of a call
+ * (then the queue expands it one call at a time while it runs)
  */
 export class RecursiveGroup {
     /**
@@ -23,14 +38,15 @@ export class RecursiveGroup {
         this.name = name || `R${this.id}`;
         this.color = GroupColors[(this.id - 1) % GroupColors.length];
         
-        // Actions before the recursive call (pre-actions)
+        // Actions (or block calls) before the recursive call (pre-actions)
         this.preActions = [];
         
-        // Actions after the recursive call (post-actions) 
+        // Actions (or block calls) after the recursive call (post-actions) 
         this.postActions = [];
         
         // Recursion settings
         this.maxDepth = DEFAULT_RECURSION_DEPTH;
+        this.stopWhen = null; // Condition that makes a call the base case (null = stop after maxDepth calls)
         this.currentDepth = 0;
         
         // State
@@ -40,20 +56,20 @@ export class RecursiveGroup {
 
     /**
      * Add action before recursive call
-     * @param {Action} action - Action to add
+     * @param {Action|GroupReference} action - Action or block call to add
      */
     addPreAction(action) {
-        if (action instanceof Action) {
+        if (action instanceof Action || action instanceof GroupReference) {
             this.preActions.push(action.clone());
         }
     }
 
     /**
      * Add action after recursive call
-     * @param {Action} action - Action to add
+     * @param {Action|GroupReference} action - Action or block call to add
      */
     addPostAction(action) {
-        if (action instanceof Action) {
+        if (action instanceof Action || action instanceof GroupReference) {
             this.postActions.push(action.clone());
         }
     }
@@ -66,6 +82,31 @@ export class RecursiveGroup {
         this.maxDepth = Math.max(1, Math.min(MAX_RECURSION_DEPTH, depth));
     }
 
+    /**
+     * Stop when a condition holds instead of after maxDepth calls
+     * @param {Object|null} condition - { type, direction } or null for the depth counter
+     */
+    setStopCondition(condition) {
+        this.stopWhen = condition ? { ...condition } : null;
+    }
+
+    /**
+     * Check if the recursion stops on a condition
+     * @returns {boolean}
+     */
+    get hasStopCondition() {
+        return this.stopWhen !== null;
+    }
+
+    /**
+     * Get the stopping rule for display
+     * @param {number} maxDepth - Depth to show for the depth counter
+     * @returns {string} Display string like "×3" (or "🛑🔚→" when stopping on a condition)
+     */
+    getDepthDisplay(maxDepth = this.maxDepth) {
+        return this.hasStopCondition ? `🛑${getConditionLabel(this.stopWhen)}` : `×${maxDepth}`;
+    }
+
     /**
      * Get total number of base actions (pre + post)
      */
@@ -104,57 +145,74 @@ export class RecursiveGroup {
         return '🔄';
     }
 
+    /**
+     * Get the actions of one call, split around its self-call
+     * A block call runs all its actions under the call's actionIndex
+     * @param {number} depth - Recursion depth of the call
+     * @param {boolean} isBaseCase - True if this call does not call itself again
+     * @returns {Object} { pre, post } arrays of {action, depth, phase, actionIndex, isBaseCase, ...}
+     */
+    getCallActions(depth, isBaseCase = false) {
+        const pre = [];
+        const post = [];
+        
+        // Pre-actions (going down the recursion)
+        this.preActions.forEach((item, index) => {
+            getItemActions(item).forEach((action, step) => {
+                pre.push({
+                    action: action,
+                    depth: depth,
+                    phase: 'pre',
+                    actionIndex: index,
+                    isBaseCase: false,
+                    isFirstAtDepth: index === 0 && step === 0,
+                    isLastAtDepth: false
+                });
+            });
+        });
+        
+        // Post-actions (coming back up from recursion)
+        this.postActions.forEach((item, index) => {
+            const actions = getItemActions(item);
+            actions.forEach((action, step) => {
+                post.push({
+                    action: action,
+                    depth: depth,
+                    phase: 'post',
+                    actionIndex: index,
+                    isBaseCase: isBaseCase && index === 0 && step === 0,
+                    isFirstAtDepth: false,
+                    isLastAtDepth: index === this.postActions.length - 1 && step === actions.length - 1
+                });
+            });
+        });
+        
+        return { pre, post };
+    }
+
     /**
      * Get expanded actions with recursion unrolled
      * Pattern: pre → pre → pre → post → post → post (for depth 3)
      * This simulates: call → call → call → return → return → return
+     * Only for the depth counter - a stop condition is checked while the queue runs
      * 
      * @param {number} depth - Current recursion depth (internal use)
+     * @param {number} maxDepth - How deep to recurse (defaults to the group's own depth)
      * @returns {Array} Array of {action, depth, phase, isBaseCase}
      */
-    getExpandedActions(depth = 0) {
-        const expanded = [];
-        
-        if (depth >= this.maxDepth) {
+    getExpandedActions(depth = 0, maxDepth = this.maxDepth) {
+        if (depth >= maxDepth) {
             // Base case reached - no more recursion
-            return expanded;
+            return [];
         }
         
-        const isBaseCase = (depth === this.maxDepth - 1);
-        
-        // Pre-actions (going down the recursion)
-        this.preActions.forEach((action, index) => {
-            expanded.push({
-                action: action.clone(),
-                depth: depth,
-                phase: 'pre',
-                actionIndex: index,
-                isBaseCase: false,
-                isFirstAtDepth: index === 0,
-                isLastAtDepth: false
-            });
-        });
+        const isBaseCase = (depth === maxDepth - 1);
+        const { pre, post } = this.getCallActions(depth, isBaseCase);
         
         // Recursive call (if not at max depth)
-        if (!isBaseCase) {
-            const nestedExpanded = this.getExpandedActions(depth + 1);
-            expanded.push(...nestedExpanded);
-        }
+        const nested = isBaseCase ? [] : this.getExpandedActions(depth + 1, maxDepth);
         
-        // Post-actions (coming back up from recursion)
-        this.postActions.forEach((action, index) => {
-            expanded.push({
-                action: action.clone(),
-                depth: depth,
-                phase: 'post',
-                actionIndex: index,
-                isBaseCase: isBaseCase && index === 0,
-                isFirstAtDepth: false,
-                isLastAtDepth: index === this.postActions.length - 1
-            });
-        });
-        
-        return expanded;
+        return [...pre, ...nested, ...post];
     }
 
     /**
@@ -162,8 +220,10 @@ export class RecursiveGroup {
      * @returns {number}
      */
     getTotalActionCount() {
-        // Formula: (pre + post) * maxDepth
-        return this.baseSize * this.maxDepth;
+        // Formula: (pre + post) * maxDepth, with block calls expanded
+        const count = [...this.preActions, ...this.postActions]
+            .reduce((sum, item) => sum + getItemActions(item).length, 0);
+        return count * this.maxDepth;
     }
 
     /**
@@ -186,6 +246,7 @@ export class RecursiveGroup {
         const cloned = new RecursiveGroup(this.name);
         cloned.color = this.color;
         cloned.maxDepth = this.maxDepth;
+        cloned.setStopCondition(this.stopWhen);
         
         this.preActions.forEach(a => cloned.preActions.push(a.clone()));
         this.postActions.forEach(a => cloned.postActions.push(a.clone()));
@@ -204,6 +265,7 @@ export class RecursiveGroup {
             name: this.name,
             color: this.color,
             maxDepth: this.maxDepth,
+            stopWhen: this.stopWhen ? { ...this.stopWhen } : null,
             preActions: this.preActions.map(a => a.toJSON()),
             postActions: this.postActions.map(a => a.toJSON())
         };
@@ -212,22 +274,43 @@ export class RecursiveGroup {
     /**
      * Create from JSON
      * @param {Object} json - Serialized data
+     * @param {ActionGroup[]} groups - Blocks its calls refer to
      * @returns {RecursiveGroup}
+     * @throws {Error} If a called block is missing or the stop condition is unknown
      */
-    static fromJSON(json) {
+    static fromJSON(json, groups = []) {
         const group = new RecursiveGroup(json.name);
-        group.color = json.color;
-        group.maxDepth = json.maxDepth;
+        group.color = json.color || group.color;
+        group.setMaxDepth(json.maxDepth ?? DEFAULT_RECURSION_DEPTH);
+        
+        if (json.stopWhen) {
+            const condition = findCondition(json.stopWhen);
+            if (!condition) {
+                throw new Error(`Unknown condition "${json.stopWhen.type}"`);
+            }
+            group.setStopCondition(condition);
+        }
+        
+        // Keep the saved id so references can find the group,
+        // and move the counter past it so new groups don't reuse it
+        if (Number.isInteger(json.id)) {
+            group.id = json.id;
+            recursiveGroupIdCounter = Math.max(recursiveGroupIdCounter, json.id);
+        }
+        
+        const readItem = data => data.type === 'GroupReference'
+            ? GroupReference.fromJSON(data, groups)
+            : Action.fromJSON(data);
         
         if (json.preActions) {
             json.preActions.forEach(actionData => {
-                group.preActions.push(Action.fromJSON(actionData));
+                group.preActions.push(readItem(actionData));
             });
         }
         
         if (json.postActions) {
             json.postActions.forEach(actionData => {
-                group.postActions.push(Action.fromJSON(actionData));
+                group.postActions.push(readItem(actionData));
             });
         }
         
@@ -242,11 +325,16 @@ export class RecursiveReference {
     /**
      * Create a reference to a recursive group
      * @param {RecursiveGroup} group - The recursive group to reference
+     * @param {number|null} depth - Depth argument for this call (null uses the group's depth)
      */
-    constructor(group) {
+    constructor(group, depth = null) {
         this.id = Date.now() + Math.random();
         this.group = group;
         this.groupId = group.id;
+        this.depth = null;
+        if (depth !== null) {
+            this.setDepth(depth);
+        }
         
         // Execution state
         this.isComplete = false;
@@ -267,7 +355,7 @@ export class RecursiveReference {
      * @returns {Array}
      */
     getExpandedActions() {
-        return this.group.getExpandedActions();
+        return this.group.getExpandedActions(0, this.getMaxDepth());
     }
 
     /**
@@ -295,11 +383,27 @@ export class RecursiveReference {
     }
 
     /**
-     * Get max depth
+     * Get max depth for this call
      * @returns {number}
      */
     getMaxDepth() {
-        return this.group.maxDepth;
+        return this.depth ?? this.group.maxDepth;
+    }
+
+    /**
+     * Get the stopping rule of this call for display
+     * @returns {string} Display string like "×3" or "🛑🔚→"
+     */
+    getDepthDisplay() {
+        return this.group.getDepthDisplay(this.getMaxDepth());
+    }
+
+    /**
+     * Set the depth argument for this call
+     * @param {number} depth - New depth (1 to MAX_RECURSION_DEPTH)
+     */
+    setDepth(depth) {
+        this.depth = Math.max(1, Math.min(MAX_RECURSION_DEPTH, depth));
     }
 
     /**
@@ -310,4 +414,42 @@ export class RecursiveReference {
         this.isExecuting = false;
         this.currentDepth = 0;
     }
+
+    /**
+     * Clone this reference
+     * @returns {RecursiveReference} New reference to same group
+     */
+    clone() {
+        return new RecursiveReference(this.group, this.depth);
+    }
+
+    /**
+     * Serialize to JSON (the group is stored separately)
+     * @returns {Object}
+     */
+    toJSON() {
+        const data = {
+            type: 'RecursiveReference',
+            groupId: this.groupId
+        };
+        if (this.depth !== null) {
+            data.depth = this.depth;
+        }
+        return data;
+    }
+
+    /**
+     * Create from JSON
+     * @param {Object} json - Serialized data
+     * @param {RecursiveGroup[]} groups - Groups to look the reference up in
+     * @returns {RecursiveReference}
+     * @throws {Error} If the group is missing
+     */
+    static fromJSON(json, groups) {
+        const group = groups.find(g => g.id === json.groupId);
+        if (!group) {
+            throw new Error(`Recursive group ${json.groupId} not found`);
+        }
+        return new RecursiveReference(group, Number.isInteger(json.depth) ? json.depth : null);
+    }
 }
@@ -2,11 +2,13 @@
  * RepeatBlock Class
  * Represents a repeatable wrapper around actions or groups
  * Implements the concept of loops without explicit programming
+ * Runs a fixed number of times, or until a condition holds ("repeat until")
  */
 
 import { Action } from './Action.js';
 import { ActionGroup, GroupReference } from './ActionGroup.js';
 import { CONFIG } from './config.js';
+import { findCondition, getConditionLabel } from './ConditionalBlock.js';
 
 /**
  * Maximum allowed repetitions to prevent infinite loops
@@ -14,6 +16,8 @@ import { CONFIG } from './config.js';
 export const MAX_REPETITIONS = 99;
 export const DEFAULT_REPETITIONS = 2;
 export const MAX_ITEMS_IN_REPEAT = 2; // Limit items to differentiate from recursion
+export const MAX_UNTIL_ITERATIONS = 50; // Safety cap for "repeat until" loops
+export const MAX_REPEAT_NESTING = 3; // Loops inside loops, counting the outer one
 
 export class RepeatBlock {
     /**
@@ -23,13 +27,15 @@ export class RepeatBlock {
     constructor(count = DEFAULT_REPETITIONS) {
         this.id = RepeatBlock.generateId();
         this.count = Math.min(Math.max(1, count), MAX_REPETITIONS);
-        this.items = []; // Actions or GroupReferences to repeat
+        this.items = []; // Actions, GroupReferences, ConditionalBlocks or inner RepeatBlocks to repeat
+        this.until = null; // Condition that ends the loop (null = run count times)
         
         // Execution state
         this.isExecuting = false;
         this.isComplete = false;
         this.currentIteration = 0;
         this.currentItemIndex = 0;
+        this.reachedCap = false; // Until loop (or one inside it) stopped by MAX_UNTIL_ITERATIONS
     }
 
     /**
@@ -42,7 +48,7 @@ export class RepeatBlock {
 
     /**
      * Add item to repeat block (max 2 items to differentiate from recursion)
-     * @param {Action|GroupReference} item - Item to add
+     * @param {Action|GroupReference|ConditionalBlock|RepeatBlock} item - Item to add
      * @returns {boolean} True if added, false if at limit
      */
     addItem(item) {
@@ -50,6 +56,10 @@ export class RepeatBlock {
             console.warn(`Repeat block limited to ${MAX_ITEMS_IN_REPEAT} items. Use Recursion for more complex patterns!`);
             return false;
         }
+        if (item.isRepeatBlock && item.isRepeatBlock() && item.nestingDepth >= MAX_REPEAT_NESTING) {
+            console.warn(`Loops can only be ${MAX_REPEAT_NESTING} deep`);
+            return false;
+        }
         if (item.clone) {
             this.items.push(item.clone());
         } else {
@@ -58,6 +68,31 @@ export class RepeatBlock {
         return true;
     }
     
+    /**
+     * Take an item out of the loop
+     * @param {number} index - Index of the item
+     * @returns {Action|GroupReference|ConditionalBlock|RepeatBlock|null} Removed item or null
+     */
+    removeItem(index) {
+        if (index < 0 || index >= this.items.length) return null;
+        return this.items.splice(index, 1)[0];
+    }
+
+    /**
+     * Move an item to another position in the loop
+     * @param {number} from - Current index
+     * @param {number} to - Index it ends up at
+     * @returns {boolean} True if the item moved
+     */
+    moveItem(from, to) {
+        if (from < 0 || from >= this.items.length || to < 0 || to >= this.items.length || from === to) {
+            return false;
+        }
+        const [item] = this.items.splice(from, 1);
+        this.items.splice(to, 0, item);
+        return true;
+    }
+
     /**
      * Check if at item limit
      * @returns {boolean}
@@ -66,6 +101,17 @@ export class RepeatBlock {
         return this.items.length >= MAX_ITEMS_IN_REPEAT;
     }
 
+    /**
+     * Get how many loops deep this block goes, counting itself
+     * @returns {number} 1 for a loop without inner loops
+     */
+    get nestingDepth() {
+        const inner = this.items
+            .filter(item => item.isRepeatBlock && item.isRepeatBlock())
+            .map(item => item.nestingDepth);
+        return 1 + Math.max(0, ...inner);
+    }
+
     /**
      * Set repeat count
      * @param {number} count - New repeat count
@@ -74,6 +120,23 @@ export class RepeatBlock {
         this.count = Math.min(Math.max(1, count), MAX_REPETITIONS);
     }
 
+    /**
+     * Repeat until a condition holds instead of a fixed count
+     * @param {Object|null} condition - { type, direction } from CONDITIONS, or null for a fixed count
+     */
+    setUntil(condition) {
+        this.until = condition ? { ...condition } : null;
+    }
+
+    /**
+     * Check if this loop runs until a condition holds
+     * Iterations are then only added while the queue runs (see ActionQueue.resolveConditions)
+     * @returns {boolean}
+     */
+    get isUntilLoop() {
+        return this.until !== null;
+    }
+
     /**
      * Increment repeat count
      */
@@ -94,47 +157,84 @@ export class RepeatBlock {
 
     /**
      * Get all actions expanded for all iterations
+     * Conditional blocks stay as placeholders without an action
      * @returns {Action[]} Array of all actions to execute
      */
     getExpandedActions() {
         const allActions = [];
         
         for (let iteration = 0; iteration < this.count; iteration++) {
-            this.items.forEach(item => {
-                if (item.isGroupReference && item.isGroupReference()) {
-                    // Expand group reference
-                    const groupActions = item.getActions();
-                    groupActions.forEach(action => {
-                        allActions.push({
-                            action: action.clone ? action.clone() : action,
-                            iteration: iteration,
-                            isFromRepeat: true,
-                            repeatBlock: this
-                        });
+            allActions.push(...this.getIterationActions(iteration));
+        }
+        
+        return allActions;
+    }
+
+    /**
+     * Get the actions of one iteration
+     * Inner loops run inside the iteration: fixed ones are unrolled into it,
+     * until loops stay as placeholders (loop) checked while the queue runs
+     * @param {number} iteration - Iteration index
+     * @returns {Array} Array of {action, iteration, isFromRepeat, repeatBlock}
+     */
+    getIterationActions(iteration) {
+        const actions = [];
+        
+        this.items.forEach(item => {
+            if (item.isRepeatBlock && item.isRepeatBlock()) {
+                const inner = item.isUntilLoop
+                    ? [{ action: null, loop: item, loopIteration: 0 }]
+                    : item.getExpandedActions();
+                inner.forEach(entry => {
+                    actions.push({
+                        ...entry,
+                        iteration: iteration,
+                        isFromRepeat: true,
+                        repeatBlock: this
                     });
-                } else if (item.getActions) {
-                    // It's an ActionGroup
-                    item.getActions().forEach(action => {
-                        allActions.push({
-                            action: action,
-                            iteration: iteration,
-                            isFromRepeat: true,
-                            repeatBlock: this
-                        });
+                });
+            } else if (item.isConditionalBlock && item.isConditionalBlock()) {
+                // Placeholder - the branch is picked when the queue gets here
+                actions.push({
+                    action: null,
+                    conditional: item,
+                    iteration: iteration,
+                    isFromRepeat: true,
+                    repeatBlock: this
+                });
+            } else if (item.isGroupReference && item.isGroupReference()) {
+                // Expand group reference
+                const groupActions = item.getActions();
+                groupActions.forEach(action => {
+                    actions.push({
+                        action: action.clone ? action.clone() : action,
+                        iteration: iteration,
+                        isFromRepeat: true,
+                        repeatBlock: this
                     });
-                } else {
-                    // Regular action
-                    allActions.push({
-                        action: item.clone ? item.clone() : new Action(item.type),
+                });
+            } else if (item.getActions) {
+                // It's an ActionGroup
+                item.getActions().forEach(action => {
+                    actions.push({
+                        action: action,
                         iteration: iteration,
                         isFromRepeat: true,
                         repeatBlock: this
                     });
-                }
-            });
-        }
+                });
+            } else {
+                // Regular action
+                actions.push({
+                    action: item.clone ? item.clone() : new Action(item.type),
+                    iteration: iteration,
+                    isFromRepeat: true,
+                    repeatBlock: this
+                });
+            }
+        });
         
-        return allActions;
+        return actions;
     }
 
     /**
@@ -145,7 +245,9 @@ export class RepeatBlock {
         let itemCount = 0;
         this.items.forEach(item => {
             if (item.isGroupReference && item.isGroupReference()) {
-                itemCount += item.group.size;
+                itemCount += item.group.actionCount;
+            } else if (item.isRepeatBlock && item.isRepeatBlock()) {
+                itemCount += item.getTotalActionCount();
             } else if (item.size !== undefined) {
                 itemCount += item.size;
             } else {
@@ -161,13 +263,18 @@ export class RepeatBlock {
      */
     getIcon() {
         const content = this.items.map(item => {
+            if (item.isRepeatBlock && item.isRepeatBlock()) {
+                return item.getLabel();
+            }
             if (item.getIcon) {
                 return item.getIcon();
             }
             return '?';
         }).join('');
         
-        return content.substring(0, 3) + (content.length > 3 ? '…' : '');
+        // Split by character so emoji are not cut in half
+        const chars = [...content];
+        return chars.slice(0, 3).join('') + (chars.length > 3 ? '…' : '');
     }
 
     /**
@@ -188,10 +295,18 @@ export class RepeatBlock {
 
     /**
      * Get the repeat count display
-     * @returns {string} Display string like "×3"
+     * @returns {string} Display string like "×3" (or "🛑🧱→" for until loops)
      */
     getCountDisplay() {
-        return `×${this.count}`;
+        return this.isUntilLoop ? `🛑${getConditionLabel(this.until)}` : `×${this.count}`;
+    }
+
+    /**
+     * Get a short label for a loop shown inside another loop
+     * @returns {string} Label like "🔁×3"
+     */
+    getLabel() {
+        return `🔁${this.getCountDisplay()}`;
     }
 
     /**
@@ -202,6 +317,7 @@ export class RepeatBlock {
         this.isComplete = false;
         this.currentIteration = 0;
         this.currentItemIndex = 0;
+        this.reachedCap = false;
         
         // Reset all items
         this.items.forEach(item => {
@@ -215,6 +331,7 @@ export class RepeatBlock {
      */
     clone() {
         const newBlock = new RepeatBlock(this.count);
+        newBlock.setUntil(this.until);
         this.items.forEach(item => {
             if (item.clone) {
                 newBlock.items.push(item.clone());
@@ -245,12 +362,39 @@ export class RepeatBlock {
      */
     toJSON() {
         return {
+            type: 'RepeatBlock',
             id: this.id,
             count: this.count,
+            until: this.until ? { ...this.until } : null,
             items: this.items.map(item => {
                 if (item.toJSON) return item.toJSON();
                 return item;
             })
         };
     }
+
+    /**
+     * Create repeat block from serialized data
+     * @param {Object} data - Serialized data
+     * @param {Function} readItem - Rebuilds one inner item (defaults to plain actions)
+     * @returns {RepeatBlock} New repeat block instance
+     * @throws {Error} If the until condition is unknown
+     */
+    static fromJSON(data, readItem = Action.fromJSON) {
+        const block = new RepeatBlock(data.count);
+        if (data.id) {
+            block.id = data.id;
+        }
+        if (data.until) {
+            const condition = findCondition(data.until);
+            if (!condition) {
+                throw new Error(`Unknown condition "${data.until.type}"`);
+            }
+            block.setUntil(condition);
+        }
+        data.items.forEach(itemData => {
+            block.items.push(readItem(itemData));
+        });
+        return block;
+    }
 }
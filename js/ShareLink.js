@@ -0,0 +1,351 @@
+/**
+ * ShareLink
+ * Compact, versioned text encoding of a program (queue, saved blocks and
+ * nests) plus the level it was built for, used in "#play=..." URL hashes
+ *
+ * Format (version 1), sections separated by "~":
+ *     1~<packId>~<levelId>~<blocks>~<nests>~<queue>
+ *
+ *     blocks  Comma separated action letters per block     RD,DDR,RXRXD,Db0
+ *             (a move followed by X or Y is a parameter slot with that default,
+ *             b<i> calls an earlier block, like in the queue)
+ *     nests   IN:OUT:depth per nest, comma separated       R:D:3,b0:D:2,R::uER
+ *             (IN and OUT are written like blocks, u<c> stops when condition c holds)
+ *     queue   Comma separated items                        R,b0,4(R;b1),n0
+ *             U D L R W   single action
+ *             F A C       turtle move: forward, turn left (anticlockwise), turn right (clockwise)
+ *             b<i>        block i
+ *             b<i>=<a>    block i with one direction per parameter     b2=DL
+ *             n<i>        nest i
+ *             n<i>=<d>    nest i called with depth d                   n0=4
+ *             <n>(a;b)    repeat n times (items may be repeats too)  2(3(R);D)
+ *             u<c>(a;b)   repeat until condition c holds           uBR(R)
+ *             ?<c>[a:b]   if condition c then actions a else b     ?BR[D:R]
+ *                         (B blocked / E at edge / O obstacle + direction, T on a target, F on the finish;
+ *                         on turtle levels the direction is F ahead, A left or C right of the ball)
+ */
+
+import { Action, ActionType } from './Action.js';
+import { ActionGroup, GroupReference, PARAM_NAMES } from './ActionGroup.js';
+import { RepeatBlock } from './RepeatBlock.js';
+import { RecursiveGroup, RecursiveReference } from './RecursiveGroup.js';
+import { ConditionalBlock, ConditionType, CONDITIONS } from './ConditionalBlock.js';
+import { collectGroups } from './Program.js';
+
+/**
+ * Current encoding version
+ */
+export const SHARE_VERSION = 1;
+
+/**
+ * URL hash parameter holding the program
+ */
+export const SHARE_HASH_KEY = 'play';
+
+/**
+ * Single-letter codes for action types
+ */
+const ACTION_CODES = {
+    [ActionType.MOVE_UP]: 'U',
+    [ActionType.MOVE_DOWN]: 'D',
+    [ActionType.MOVE_LEFT]: 'L',
+    [ActionType.MOVE_RIGHT]: 'R',
+    [ActionType.FORWARD]: 'F',
+    [ActionType.TURN_LEFT]: 'A',
+    [ActionType.TURN_RIGHT]: 'C',
+    [ActionType.WAIT]: 'W'
+};
+
+const CODE_ACTIONS = Object.fromEntries(
+    Object.entries(ACTION_CODES).map(([type, code]) => [code, type])
+);
+
+/**
+ * Single-letter codes for condition types
+ */
+const CONDITION_CODES = {
+    [ConditionType.BLOCKED]: 'B',
+    [ConditionType.AT_EDGE]: 'E',
+    [ConditionType.OBSTACLE]: 'O',
+    [ConditionType.ON_TARGET]: 'T',
+    [ConditionType.ON_FINISH]: 'F'
+};
+
+/**
+ * Encode a condition, like "BR" for blocked to the right
+ * @param {Object} condition - { type, direction }
+ * @returns {string}
+ */
+function encodeCondition({ type, direction }) {
+    return `${CONDITION_CODES[type]}${direction ? ACTION_CODES[direction] : ''}`;
+}
+
+/**
+ * Decode a condition
+ * @param {string} code - Encoded condition
+ * @returns {Object} Condition from CONDITIONS
+ * @throws {Error} If the code is unknown
+ */
+function decodeCondition(code) {
+    const condition = CONDITIONS.find(c => encodeCondition(c) === code);
+    if (!condition) throw new Error(`Unknown condition "${code}"`);
+    return condition;
+}
+
+/**
+ * Encode a program
+ * Blocks and nests referenced by the queue but missing from the saved lists are added
+ * @param {Object} program - { packId, levelId, items, groups, recursiveGroups }
+ * @returns {string} Encoded program
+ */
+export function encodeProgram(program) {
+    const { packId, levelId, items } = program;
+
+    // Blocks are written before the blocks that call them, so links decode in one pass
+    const { groups: blocks, recursiveGroups: nests } = collectGroups(program);
+
+    const encodeActions = actions => actions.map(a => ACTION_CODES[a.type] || '').join('');
+
+    const encodeCall = ref => {
+        const args = Object.values(ref.getArgs()).map(type => ACTION_CODES[type]).join('');
+        return `b${blocks.indexOf(ref.group)}${args ? `=${args}` : ''}`;
+    };
+
+    // Block and nest contents: moves (with their parameter slot) and block calls
+    const encodeBody = actions => actions.map(a => {
+        if (a.isGroupReference && a.isGroupReference()) return encodeCall(a);
+        return `${ACTION_CODES[a.type] || ''}${a.param || ''}`;
+    }).join('');
+
+    const encodeItem = item => {
+        if (item.isRepeatBlock && item.isRepeatBlock()) {
+            const times = item.isUntilLoop ? `u${encodeCondition(item.until)}` : item.count;
+            return `${times}(${item.items.map(encodeItem).join(';')})`;
+        }
+        if (item.isConditionalBlock && item.isConditionalBlock()) {
+            const condition = encodeCondition(item.condition);
+            return `?${condition}[${encodeActions(item.thenActions)}:${encodeActions(item.elseActions)}]`;
+        }
+        if (item.isRecursiveReference && item.isRecursiveReference()) {
+            const depth = item.depth !== null ? `=${item.depth}` : '';
+            return `n${nests.indexOf(item.group)}${depth}`;
+        }
+        if (item.isGroupReference && item.isGroupReference()) {
+            return encodeCall(item);
+        }
+        return ACTION_CODES[item.type] || '';
+    };
+
+    return [
+        SHARE_VERSION,
+        packId,
+        levelId,
+        blocks.map(group => encodeBody(group.actions)).join(','),
+        nests.map(group => {
+            const depth = group.hasStopCondition ? `u${encodeCondition(group.stopWhen)}` : group.maxDepth;
+            return `${encodeBody(group.preActions)}:${encodeBody(group.postActions)}:${depth}`;
+        }).join(','),
+        items.map(encodeItem).join(',')
+    ].join('~');
+}
+
+/**
+ * Decode a program and rebuild its queue items
+ * @param {string} text - Encoded program
+ * @returns {Object} { version, packId, levelId, items, groups, recursiveGroups }
+ * @throws {Error} If the text is not a valid program
+ */
+export function decodeProgram(text) {
+    const parts = String(text).split('~');
+    const version = parseInt(parts[0], 10);
+
+    if (version !== SHARE_VERSION || parts.length !== 6) {
+        throw new Error('Unsupported program link');
+    }
+
+    const [, packId, levelText, blocksText, nestsText, queueText] = parts;
+    const levelId = parseInt(levelText, 10);
+    if (!Number.isInteger(levelId) || levelId < 1) {
+        throw new Error('Program link has no level');
+    }
+
+    const decodeActions = letters => [...letters].map(code => {
+        const type = CODE_ACTIONS[code];
+        if (!type) throw new Error(`Unknown action "${code}"`);
+        return new Action(type);
+    });
+
+    const lookup = (list, index, kind) => {
+        const group = list[parseInt(index, 10)];
+        if (!group) throw new Error(`Unknown ${kind} "${index}"`);
+        return group;
+    };
+
+    const readCall = (group, argText) => {
+        const args = {};
+        if (argText !== undefined) {
+            const types = decodeActions(argText).map(action => {
+                if (!action.isMovement()) throw new Error(`Argument "${argText}" is not a direction`);
+                return action.type;
+            });
+            if (types.length !== group.params.length) {
+                throw new Error(`Block takes ${group.params.length} arguments, not "${argText}"`);
+            }
+            group.params.forEach((param, index) => { args[param] = types[index]; });
+        }
+        return new GroupReference(group, args);
+    };
+
+    // Block and nest contents; calls can only go to blocks decoded earlier
+    const decodeBody = (text, withSlots) => {
+        const body = [];
+        let i = 0;
+        while (i < text.length) {
+            const code = text[i];
+            if (code === 'b') {
+                const index = text.slice(i + 1).match(/^\d*/)[0];
+                const group = lookup(groups, index, 'block');
+                i += 1 + index.length;
+                let argText;
+                if (text[i] === '=') {
+                    argText = text.slice(i + 1, i + 1 + group.params.length);
+                    i += 1 + group.params.length;
+                }
+                body.push(readCall(group, argText));
+            } else if (withSlots && PARAM_NAMES.includes(code)) {
+                const slot = body[body.length - 1];
+                if (!(slot instanceof Action) || !slot.isMovement() || slot.param) {
+                    throw new Error(`Parameter "${code}" has no move`);
+                }
+                slot.param = code;
+                i++;
+            } else {
+                body.push(decodeActions(code)[0]);
+                i++;
+            }
+        }
+        return body;
+    };
+
+    const groups = [];
+    splitList(blocksText).forEach(text => {
+        const group = new ActionGroup();
+        decodeBody(text, true).forEach(item => group.addAction(item));
+        groups.push(group);
+    });
+
+    const recursiveGroups = splitList(nestsText).map(nest => {
+        const [pre = '', post = '', depth = ''] = nest.split(':');
+        const group = new RecursiveGroup();
+        decodeBody(pre, false).forEach(item => group.addPreAction(item));
+        decodeBody(post, false).forEach(item => group.addPostAction(item));
+        if (depth.startsWith('u')) {
+            group.setStopCondition(decodeCondition(depth.slice(1)));
+        } else {
+            group.setMaxDepth(parseInt(depth, 10) || 1);
+        }
+        return group;
+    });
+
+    const decodeItem = token => {
+        const repeat = token.match(/^(\d+|u[A-Z]{1,2})\((.*)\)$/);
+        if (repeat) {
+            const block = new RepeatBlock(parseInt(repeat[1], 10) || undefined);
+            if (repeat[1][0] === 'u') {
+                block.setUntil(decodeCondition(repeat[1].slice(1)));
+            }
+            splitTopLevel(repeat[2], ';').forEach(inner => {
+                if (!block.addItem(decodeItem(inner))) {
+                    throw new Error('Repeat has too many items');
+                }
+            });
+            return block;
+        }
+        const conditional = token.match(/^\?([A-Z]{1,2})\[(\w*):(\w*)\]$/);
+        if (conditional) {
+            const [, code, thenText, elseText] = conditional;
+            const block = new ConditionalBlock(decodeCondition(code));
+            decodeActions(thenText).forEach(action => block.addAction(action, true));
+            decodeActions(elseText).forEach(action => block.addAction(action, false));
+            return block;
+        }
+        const [name, argText] = token.split('=');
+        if (name[0] === 'b') {
+            return readCall(lookup(groups, name.slice(1), 'block'), argText);
+        }
+        if (name[0] === 'n') {
+            const group = lookup(recursiveGroups, name.slice(1), 'nest');
+            const depth = argText !== undefined ? parseInt(argText, 10) : null;
+            if (Number.isNaN(depth)) {
+                throw new Error(`Bad depth "${argText}"`);
+            }
+            return new RecursiveReference(group, depth);
+        }
+        if (token.length !== 1) {
+            throw new Error(`Unknown item "${token}"`);
+        }
+        return decodeActions(token)[0];
+    };
+
+    const items = splitTopLevel(queueText, ',').map(decodeItem);
+
+    return { version, packId, levelId, items, groups, recursiveGroups };
+}
+
+/**
+ * Split a comma separated list, ignoring empty text
+ * @param {string} text - List text
+ * @returns {Array<string>}
+ */
+function splitList(text) {
+    return text ? text.split(',') : [];
+}
+
+/**
+ * Split queue text on separators outside repeat brackets
+ * @param {string} text - Queue text
+ * @param {string} separator - ',' between queue items, ';' between repeat items
+ * @returns {Array<string>} Item tokens
+ */
+function splitTopLevel(text, separator) {
+    const tokens = [];
+    let depth = 0;
+    let current = '';
+
+    for (const char of text) {
+        if (char === '(') depth++;
+        if (char === ')') depth--;
+
+        if (char === separator && depth === 0) {
+            tokens.push(current);
+            current = '';
+        } else {
+            current += char;
+        }
+    }
+    if (current) tokens.push(current);
+
+    return tokens;
+}
+
+/**
+ * Build a share URL for a program
+ * @param {Object} program - { packId, levelId, items, groups, recursiveGroups }
+ * @param {string} baseUrl - Page URL (hash is replaced)
+ * @returns {string} URL
+ */
+export function createShareUrl(program, baseUrl = window.location.href) {
+    const url = baseUrl.split('#')[0];
+    return `${url}#${SHARE_HASH_KEY}=${encodeProgram(program)}`;
+}
+
+/**
+ * Read the program from a URL hash
+ * @param {string} hash - location.hash
+ * @returns {string|null} Encoded program or null if there is none
+ */
+export function getProgramFromHash(hash = window.location.hash) {
+    const prefix = `#${SHARE_HASH_KEY}=`;
+    if (!hash || !hash.startsWith(prefix)) return null;
+    return decodeURIComponent(hash.slice(prefix.length));
+}
@@ -0,0 +1,605 @@
+/**
+ * Simulator Class
+ * Headless execution engine that runs a program against a level
+ * without canvas, sound or DOM (used for validation, grading and tests)
+ */
+
+import { ActionQueue, QueueState } from './ActionQueue.js';
+import { TargetType, EdgeMode, TileType } from './Level.js';
+import { turnHeading, getSideVector } from './Action.js';
+import { ConditionType } from './ConditionalBlock.js';
+
+/**
+ * Safety cap on executed steps for a single headless run
+ */
+export const MAX_SIMULATION_STEPS = 1000;
+
+/**
+ * Safety cap on cells a single action can slide or be pushed through
+ * (ice and conveyors can form loops)
+ */
+export const MAX_TILE_MOVES = 64;
+
+export class Simulator {
+    /**
+     * Create a new Simulator
+     * @param {Level} level - Level to simulate (cloned, never mutated)
+     */
+    constructor(level) {
+        this.level = level.clone();
+
+        // Board state: every ball runs the same program at the same time
+        this.balls = this.createBalls();
+        this.actionsUsed = 0;
+        this.hasFallen = false;
+        this.hasOverflowed = false; // A nest called itself past MAX_CALL_DEPTH
+        this.trace = [];
+
+        // Steps after which gates and patrols repeat (1 = nothing changes with time)
+        this.timeCycle = this.level.getTimeCycle();
+    }
+
+    /**
+     * Reset board state to the start of the level
+     */
+    reset() {
+        this.level.reset();
+        this.balls = this.createBalls();
+        this.actionsUsed = 0;
+        this.hasFallen = false;
+        this.hasOverflowed = false;
+        this.trace = [];
+    }
+
+    /**
+     * Put a ball on each start of the level
+     * heading is the way FORWARD goes on turtle levels; a ball that reached
+     * its finish is done and ignores the rest of the program
+     * @returns {Array<Object>} Balls { x, y, heading, finished }
+     */
+    createBalls() {
+        return this.level.starts.map(start => ({
+            x: start.x,
+            y: start.y,
+            heading: this.level.startHeading,
+            finished: false
+        }));
+    }
+
+    /**
+     * Get the first ball's column
+     * @returns {number}
+     */
+    get ballX() {
+        return this.balls[0].x;
+    }
+
+    /**
+     * Get the first ball's row
+     * @returns {number}
+     */
+    get ballY() {
+        return this.balls[0].y;
+    }
+
+    /**
+     * Get the way the first ball faces
+     * @returns {string}
+     */
+    get heading() {
+        return this.balls[0].heading;
+    }
+
+    /**
+     * Check if every ball reached its finish
+     * @returns {boolean}
+     */
+    get isFinished() {
+        return this.balls.every(ball => ball.finished);
+    }
+
+    /**
+     * Check if the run has ended (all finishes reached, a ball fell off or stack overflow)
+     * @returns {boolean}
+     */
+    get isStopped() {
+        return this.isFinished || this.hasFallen || this.hasOverflowed;
+    }
+
+    /**
+     * Get level targets (with live collected state)
+     * @returns {Array<Target>}
+     */
+    get targets() {
+        return this.level.targets;
+    }
+
+    /**
+     * Check if position is inside the level grid
+     * @param {number} x - Grid X
+     * @param {number} y - Grid Y
+     * @returns {boolean}
+     */
+    isInside(x, y) {
+        return x >= 0 && x < this.level.gridCols &&
+               y >= 0 && y < this.level.gridRows;
+    }
+
+    /**
+     * Check a conditional block's condition against the board
+     * With several balls it holds only if it holds for every ball still
+     * going, so one program can steer balls that are in different places
+     * @param {Object} condition - { type, direction } (see ConditionalBlock)
+     * @returns {boolean} True if the condition holds
+     */
+    checkCondition(condition) {
+        const going = this.balls.filter(ball => !ball.finished);
+        return going.length > 0 && going.every(ball => this.checkConditionFor(condition, ball));
+    }
+
+    /**
+     * Check a condition against one ball's position
+     * @param {Object} condition - { type, direction } (see ConditionalBlock)
+     * @param {Object} ball - Ball from this.balls
+     * @returns {boolean} True if the condition holds
+     */
+    checkConditionFor(condition, ball) {
+        // Turtle sides (ahead, left, right) follow the ball's heading
+        const { dx, dy } = getSideVector(condition.direction, ball.heading);
+
+        switch (condition.type) {
+            case ConditionType.BLOCKED: {
+                const step = this.resolveStep(ball.x, ball.y, dx, dy);
+                return step.blocked || step.fell;
+            }
+            case ConditionType.AT_EDGE:
+                return !this.isInside(ball.x + dx, ball.y + dy);
+            case ConditionType.OBSTACLE: {
+                // Where the ball would step (edges may wrap), as the board is now
+                const step = this.resolveStep(ball.x, ball.y, dx, dy);
+                return !step.blocked && !step.fell && this.level.targets.some(t =>
+                    t.type === TargetType.AVOID && t.isAtPosition(step.x, step.y));
+            }
+            case ConditionType.ON_TARGET:
+                return this.level.targets.some(t =>
+                    t.type !== TargetType.AVOID && t.isAtPosition(ball.x, ball.y));
+            case ConditionType.ON_FINISH:
+                return this.level.targets.some(t =>
+                    t.type === TargetType.FINISH && t.isAtPosition(ball.x, ball.y));
+            default:
+                return false;
+        }
+    }
+
+    /**
+     * Work out where one step from a cell leads
+     * Walls, one-way tiles entered from the wrong side, closed gates and,
+     * in BLOCK mode, grid edges stop the ball. For falls and wraps, edge is the cell
+     * beyond the grid the ball heads for.
+     * @param {number} x - Cell X
+     * @param {number} y - Cell Y
+     * @param {number} dx - Move X
+     * @param {number} dy - Move Y
+     * @returns {Object} { x, y, blocked, fell, wrapped, edge }
+     */
+    resolveStep(x, y, dx, dy) {
+        const result = { x, y, blocked: false, fell: false, wrapped: false, edge: null };
+        let nextX = x + dx;
+        let nextY = y + dy;
+
+        if (this.level.hasWall(x, y, dx, dy)) {
+            result.blocked = true;
+            return result;
+        }
+
+        if (!this.isInside(nextX, nextY)) {
+            switch (this.level.edgeMode) {
+                case EdgeMode.WRAP:
+                    result.edge = { x: nextX, y: nextY };
+                    result.wrapped = true;
+                    nextX = (nextX + this.level.gridCols) % this.level.gridCols;
+                    nextY = (nextY + this.level.gridRows) % this.level.gridRows;
+                    break;
+
+                case EdgeMode.FALL:
+                    result.edge = { x: nextX, y: nextY };
+                    result.fell = true;
+                    return result;
+
+                case EdgeMode.BLOCK:
+                default:
+                    result.blocked = true;
+                    return result;
+            }
+        }
+
+        const tile = this.level.getTileAt(nextX, nextY);
+        if (tile?.type === TileType.ONE_WAY) {
+            const way = tile.getDirection();
+            if (way.dx !== dx || way.dy !== dy) {
+                return { ...result, blocked: true, wrapped: false, edge: null };
+            }
+        }
+        if (tile?.isClosedAt(this.actionsUsed)) {
+            return { ...result, blocked: true, wrapped: false, edge: null };
+        }
+
+        result.x = nextX;
+        result.y = nextY;
+        return result;
+    }
+
+    /**
+     * Work out where an action would take the ball, without changing state
+     * After the first step, tiles the ball lands on can move it on: ice keeps
+     * it sliding, conveyors push it and teleporters send it to their pair.
+     * Path lists every cell entered in order ({ x, y, jump, edge }: jump is set
+     * for teleports and wraps, edge for wraps). Turns only change the heading.
+     * @param {Action} action - Action to resolve
+     * @param {Object} ball - Ball from this.balls (the first one by default)
+     * @returns {Object} { from, to, path, heading, moved, blocked, fell, wrapped, teleported, edge }
+     */
+    resolveAction(action, ball = this.balls[0]) {
+        let { dx, dy } = action.getDirection(ball.heading);
+        const from = { x: ball.x, y: ball.y };
+        const move = {
+            from,
+            to: { ...from },
+            path: [],
+            heading: turnHeading(ball.heading, action.getTurn()),
+            moved: false,
+            blocked: false,
+            fell: false,
+            wrapped: false,
+            teleported: false,
+            edge: null
+        };
+
+        if (dx === 0 && dy === 0) return move;
+
+        let step = this.resolveStep(from.x, from.y, dx, dy);
+
+        for (let i = 0; i < MAX_TILE_MOVES; i++) {
+            // A tile that can't push the ball on just leaves it there
+            if (step.blocked) {
+                move.blocked = move.path.length === 0;
+                break;
+            }
+            if (step.fell) {
+                move.fell = true;
+                move.edge = step.edge;
+                break;
+            }
+
+            move.path.push({ x: step.x, y: step.y, jump: step.wrapped, edge: step.edge });
+            move.wrapped = move.wrapped || step.wrapped;
+
+            const tile = this.level.getTileAt(step.x, step.y);
+            if (!tile) break;
+
+            if (tile.type === TileType.TELEPORT) {
+                // Arriving on the paired teleporter does not send the ball back
+                const exit = this.level.getTeleportExit(tile);
+                if (exit) {
+                    move.path.push({ x: exit.x, y: exit.y, jump: true, edge: null });
+                    move.teleported = true;
+                }
+                break;
+            }
+
+            if (tile.type === TileType.CONVEYOR) {
+                ({ dx, dy } = tile.getDirection());
+            } else if (tile.type !== TileType.ICE) {
+                break;
+            }
+
+            step = this.resolveStep(step.x, step.y, dx, dy);
+        }
+
+        if (move.path.length > 0) {
+            const last = move.path[move.path.length - 1];
+            move.to = { x: last.x, y: last.y };
+            move.moved = true;
+        }
+
+        return move;
+    }
+
+    /**
+     * Execute an action on every ball still going and record it in the trace
+     * The step's from, to, heading and move flags are the first ball's;
+     * balls has them for each ball, and finished is set once all are done
+     * @param {Action} action - Action to execute
+     * @param {Object} info - Expanded queue entry info (optional)
+     * @returns {Object} Trace step
+     */
+    applyAction(action, info = null) {
+        // All balls move at once, from the board as it was before the step
+        const moves = this.balls.map(ball => (ball.finished ? null : this.resolveAction(action, ball)));
+        const before = this.level.targets.map(t => ({ x: t.x, y: t.y }));
+        this.actionsUsed++;
+
+        // Patrols take their step at the same time as the balls
+        this.level.setTime(this.actionsUsed);
+
+        const collected = [];
+        const balls = this.balls.map((ball, index) => this.moveBall(ball, index, moves[index], before, collected));
+        const { finished, ...first } = balls[0];
+
+        const step = {
+            index: this.trace.length,
+            type: action.type,
+            ...first,
+            balls,
+            collected,
+            outOfOrder: collected.filter(index => this.level.targets[index].outOfOrder),
+            finished: this.isFinished,
+            itemIndex: info?.itemIndex ?? -1,
+            iteration: info?.iteration ?? 0,
+            recursionDepth: info?.recursionDepth ?? 0,
+            recursionPhase: info?.recursionPhase ?? null
+        };
+
+        this.trace.push(step);
+        return step;
+    }
+
+    /**
+     * Move one ball along its resolved move, collecting targets on the way
+     * @param {Object} ball - Ball from this.balls
+     * @param {number} index - Ball index
+     * @param {Object|null} move - Move from resolveAction (null for a ball that is done)
+     * @param {Array<Object>} before - Target cells { x, y } before the step
+     * @param {Array<number>} collected - Indexes of touched targets are added here
+     * @returns {Object} { from, to, heading, turned, moved, blocked, fell, wrapped, teleported, edge, finished }
+     */
+    moveBall(ball, index, move, before, collected) {
+        const from = { x: ball.x, y: ball.y };
+        if (!move) {
+            return {
+                from,
+                to: { ...from },
+                heading: ball.heading,
+                turned: false,
+                moved: false,
+                blocked: false,
+                fell: false,
+                wrapped: false,
+                teleported: false,
+                edge: null,
+                finished: true
+            };
+        }
+
+        // Targets are collected on every cell the ball passes through;
+        // reaching its finish stops it there
+        collected.push(...this.collectPassed(move, before));
+        if (move.path.length === 0) {
+            collected.push(...this.collectAt(ball.x, ball.y, index));
+        }
+        for (const cell of move.path) {
+            ball.x = cell.x;
+            ball.y = cell.y;
+            collected.push(...this.collectAt(cell.x, cell.y, index));
+            if (ball.finished) break;
+        }
+
+        const fell = move.fell && !ball.finished;
+        if (fell) {
+            this.hasFallen = true;
+        }
+
+        const turned = move.heading !== ball.heading;
+        ball.heading = move.heading;
+
+        return {
+            from,
+            to: { x: ball.x, y: ball.y },
+            heading: ball.heading,
+            turned,
+            moved: move.moved,
+            blocked: move.blocked,
+            fell,
+            wrapped: move.wrapped,
+            teleported: move.teleported,
+            edge: move.edge,
+            finished: ball.finished
+        };
+    }
+
+    /**
+     * Collect patrolling targets the ball swapped cells with in a move
+     * (they walked into each other without either ending on the other's cell)
+     * @param {Object} move - Move from resolveAction
+     * @param {Array<Object>} before - Target cells { x, y } before the move
+     * @returns {Array<number>} Indexes of newly touched targets
+     */
+    collectPassed(move, before) {
+        const first = move.path[0];
+        if (!first) return [];
+
+        const touched = [];
+        this.level.targets.forEach((target, index) => {
+            if (target.isMoving && !target.collected &&
+                before[index].x === first.x && before[index].y === first.y &&
+                target.isAtPosition(move.from.x, move.from.y)) {
+                target.collect();
+                touched.push(index);
+            }
+        });
+        return touched;
+    }
+
+    /**
+     * Collect any targets at a position
+     * @param {number} x - Grid X
+     * @param {number} y - Grid Y
+     * @param {number} ball - Index of the ball there (a finish only counts for its own ball)
+     * @returns {Array<number>} Indexes of newly touched targets
+     */
+    collectAt(x, y, ball = 0) {
+        const touched = [];
+
+        this.level.targets.forEach((target, index) => {
+            if (!target.collected && target.isAtPosition(x, y)) {
+                if (target.type === TargetType.FINISH && target.ball !== ball) return;
+
+                // Checked before collecting, which moves the order on
+                target.outOfOrder = !this.level.isInOrder(target);
+                target.collect();
+                if (target.type === TargetType.FINISH) {
+                    this.balls[ball].finished = true;
+                }
+                touched.push(index);
+            }
+        });
+
+        return touched;
+    }
+
+    /**
+     * Capture board state so it can be restored later
+     * @returns {Object} Snapshot
+     */
+    snapshot() {
+        return {
+            balls: this.balls.map(ball => ({ ...ball })),
+            actionsUsed: this.actionsUsed,
+            hasFallen: this.hasFallen,
+            hasOverflowed: this.hasOverflowed,
+            traceLength: this.trace.length,
+            collected: this.level.targets.map(t => t.collected),
+            outOfOrder: this.level.targets.map(t => t.outOfOrder)
+        };
+    }
+
+    /**
+     * Restore board state from a snapshot
+     * @param {Object} snapshot - Snapshot from snapshot()
+     */
+    restore(snapshot) {
+        this.balls = snapshot.balls.map(ball => ({ ...ball }));
+        this.actionsUsed = snapshot.actionsUsed;
+        this.level.setTime(this.actionsUsed);
+        this.hasFallen = snapshot.hasFallen;
+        this.hasOverflowed = snapshot.hasOverflowed;
+        this.trace.length = snapshot.traceLength;
+        this.level.targets.forEach((target, index) => {
+            target.collected = snapshot.collected[index];
+            target.outOfOrder = snapshot.outOfOrder[index];
+        });
+    }
+
+    /**
+     * Get a key identifying the board state (ignores step count, apart from
+     * where gates and patrols are in their cycle)
+     * @returns {string} State key
+     */
+    getStateKey() {
+        const collected = this.level.targets.map(t => (t.outOfOrder ? '2' : t.collected ? '1' : '0')).join('');
+        const balls = this.balls.map(ball => `${ball.x},${ball.y},${ball.heading}`).join(';');
+        return `${balls}|${collected}|${this.actionsUsed % this.timeCycle}`;
+    }
+
+    /**
+     * Check the level win condition for the current state
+     * @returns {Object} { won: boolean, reason: string }
+     */
+    checkWinCondition() {
+        if (this.hasFallen) {
+            return { won: false, reason: 'Fell off the board!' };
+        }
+        if (this.hasOverflowed) {
+            return { won: false, reason: 'Stack overflow! The nest never reached its base case' };
+        }
+        return this.level.checkWinCondition(this.balls, this.actionsUsed);
+    }
+
+    /**
+     * Get the result of the current run
+     * @returns {Object} Simulation result
+     */
+    getResult() {
+        const { won, reason } = this.checkWinCondition();
+
+        return {
+            won,
+            reason,
+            trace: this.trace,
+            collectedTargets: this.level.targets
+                .filter(t => t.collected)
+                .map(t => ({ x: t.x, y: t.y, type: t.type })),
+            finalX: this.ballX,
+            finalY: this.ballY,
+            finalPositions: this.balls.map(ball => ({ x: ball.x, y: ball.y })),
+            actionsUsed: this.actionsUsed,
+            reachedFinish: this.isFinished,
+            fell: this.hasFallen,
+            overflowed: this.hasOverflowed
+        };
+    }
+
+    /**
+     * Run a whole program synchronously from the start of the level
+     * Items are cloned, so the caller's queue items are never mutated
+     * @param {Array} items - Queue items (Action, GroupReference, RepeatBlock, RecursiveReference, ConditionalBlock)
+     * @param {Object} options - { maxSteps }
+     * @returns {Object} Simulation result
+     */
+    run(items, options = {}) {
+        const { maxSteps = MAX_SIMULATION_STEPS } = options;
+
+        this.reset();
+
+        const queue = new ActionQueue(Infinity);
+        items.forEach(item => queue.add(item.clone ? item.clone() : item));
+        queue.sensor = condition => this.checkCondition(condition);
+        queue.onStackOverflow = () => {
+            this.hasOverflowed = true;
+        };
+
+        queue.onActionComplete = (action, index, info) => {
+            const step = this.applyAction(action, info);
+
+            // Reaching the finish or falling off ends execution, same as in the game
+            if (step.finished || step.fell) {
+                queue.stop();
+            }
+        };
+
+        if (queue.isEmpty) {
+            return this.getResult();
+        }
+
+        queue.start();
+
+        let steps = 0;
+        while (queue.state === QueueState.RUNNING) {
+            if (steps >= maxSteps) {
+                queue.stop();
+                return {
+                    ...this.getResult(),
+                    won: false,
+                    reason: `Too many steps! (max: ${maxSteps})`
+                };
+            }
+
+            // Infinite delta completes the current action in one update
+            queue.update(Infinity);
+            steps++;
+        }
+
+        return this.getResult();
+    }
+}
+
+/**
+ * Run a program against a level and return the result
+ * @param {Level} level - Level to play
+ * @param {Array} items - Queue items
+ * @param {Object} options - { maxSteps }
+ * @returns {Object} Simulation result
+ */
+export function simulate(level, items, options = {}) {
+    return new Simulator(level).run(items, options);
+}
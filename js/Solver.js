@@ -0,0 +1,758 @@
+/**
+ * Solver
+ * Searches for programs that solve a level within its maxQueueSize,
+ * using only the features listed in the level's requiredFeatures
+ */
+
+import { Action, ActionType, ActionIcons, MovementActions } from './Action.js';
+import { ActionGroup, GroupReference } from './ActionGroup.js';
+import { RepeatBlock, MAX_REPETITIONS, MAX_ITEMS_IN_REPEAT, MAX_UNTIL_ITERATIONS } from './RepeatBlock.js';
+import { RecursiveGroup, RecursiveReference, MAX_RECURSION_DEPTH } from './RecursiveGroup.js';
+import { ConditionalBlock, getConditions } from './ConditionalBlock.js';
+import { Level, LEVELS, TargetType } from './Level.js';
+import { Simulator, simulate } from './Simulator.js';
+
+/**
+ * Search limits
+ */
+export const SOLVER_DEFAULTS = {
+    maxItems: 8,              // Queue limit used when a level has no maxQueueSize
+    maxBlockLength: 3,        // Longest saved block considered
+    maxRecursionActions: 3,   // Longest IN / OUT list considered
+    maxWalkLength: 16,        // Longest run of moves produced by one queue item
+    maxOffPath: 1,            // Consecutive cells allowed outside the level's area
+    maxNodes: 200000,         // Give up after this many search nodes
+    wideSearch: true          // Try the wide search when the narrow one finds nothing
+};
+
+/**
+ * Item kinds tried for runs of moves that collect nothing
+ */
+const PLAIN_KINDS = ['action', 'block', 'repeat'];
+
+export class Solver {
+    /**
+     * Create a solver for a level
+     * @param {Level} level - Level to solve
+     * @param {Object} options - Overrides for SOLVER_DEFAULTS
+     */
+    constructor(level, options = {}) {
+        this.level = level;
+        this.options = { ...SOLVER_DEFAULTS, ...options };
+
+        const features = level.requiredFeatures || [];
+        this.useBlocks = features.includes('BLOCKS');
+        this.useRepeat = features.includes('REPEAT');
+        this.useRecursion = features.includes('RECURSION');
+        this.useConditions = features.includes('CONDITIONS') && this.useRepeat;
+        this.conditions = getConditions(level.movementMode);
+
+        this.maxItems = level.maxQueueSize > 0 ? level.maxQueueSize : this.options.maxItems;
+
+        // Actions tried for each move: board directions, or forward and turns,
+        // plus waiting where gates and patrols change with time
+        this.isTimed = level.hasTimedElements;
+        this.moves = [...MovementActions[level.movementMode]];
+        if (this.isTimed) {
+            this.moves.push(ActionType.WAIT);
+        }
+
+        // Cells the balls may visit: starts, every non-AVOID target and every tile
+        this.pathCells = new Set(level.starts.map(start => `${start.x},${start.y}`));
+        level.targets.forEach(t => {
+            if (t.type !== TargetType.AVOID) {
+                this.pathCells.add(`${t.x},${t.y}`);
+            }
+        });
+        level.tiles.forEach(t => this.pathCells.add(`${t.x},${t.y}`));
+
+        // Wide search: the box around them, with a one-cell border so there
+        // is room to walk round AVOIDs
+        this.areaCells = getAreaCells([...level.starts, ...level.targets, ...level.tiles], level);
+
+        this.hasFinish = level.targets.some(t => t.type === TargetType.FINISH);
+
+        // Search state
+        this.simulator = new Simulator(level);
+        this.visited = new Map();
+        this.nodes = 0;
+        this.isWide = false;
+        this.bestByItems = null;
+        this.bestBySteps = null;
+    }
+
+    /**
+     * Run the search
+     * A narrow search comes first: the ball may leave the level's shape for
+     * at most maxOffPath cells in a row, and every queue item has to collect
+     * something new or ride a tile. If that finds nothing, a wide search lets the ball
+     * cross the level's area and tries plain moves, blocks and repeats that
+     * collect nothing. Both are heuristics, so a level with no solution
+     * found may still be solvable with a longer detour
+     * @returns {Object} { solvable, minItems, minSteps, exhausted, nodes }
+     */
+    solve() {
+        this.runSearch(false);
+        if (this.options.wideSearch && !this.bestByItems && this.nodes < this.options.maxNodes) {
+            this.runSearch(true);
+        }
+
+        const minItems = this.bestByItems ? this.buildSolution(this.bestByItems.specs) : null;
+        const minSteps = this.bestBySteps ? this.buildSolution(this.bestBySteps.specs) : null;
+        const exhausted = this.nodes >= this.options.maxNodes;
+
+        return {
+            solvable: !!(minItems || minSteps),
+            minItems,
+            minSteps,
+            exhausted,
+            nodes: this.nodes
+        };
+    }
+
+    /**
+     * Search from the start
+     * @param {boolean} wide - Run the wide search
+     */
+    runSearch(wide) {
+        this.simulator.reset();
+        this.visited.clear();
+        this.nodes = 0;
+        this.isWide = wide;
+        this.bestByItems = null;
+        this.bestBySteps = null;
+
+        this.search([], 0, 0);
+    }
+
+    /**
+     * Depth-first search over queue items
+     * @param {Array} specs - Item specs placed so far
+     * @param {number} steps - Actions executed so far
+     * @param {number} offPath - Consecutive cells outside the shape so far
+     */
+    search(specs, steps, offPath) {
+        if (this.nodes >= this.options.maxNodes) return;
+        this.nodes++;
+
+        if (this.isSolved()) {
+            this.recordSolution(specs, steps);
+            return;
+        }
+
+        // Execution stops at the finish, so an unsolved finish is a dead end
+        if (this.simulator.isFinished) return;
+        if (specs.length >= this.maxItems) return;
+        if (this.level.maxActions > 0 && steps >= this.level.maxActions) return;
+        if (!this.canImprove(specs.length, steps)) return;
+        if (this.isDominated(specs.length, steps)) return;
+
+        this.extendWalk([], [], new Set(), specs, steps, offPath, 0);
+    }
+
+    /**
+     * Grow a run of moves from the current state, trying every queue
+     * item that produces the run so far
+     * @param {Array<string>} walk - Action types in this run
+     * @param {Array<Array<boolean>>} senses - Results of this.conditions before each move of the run
+     * @param {Set<string>} seen - Step keys already reached in this run
+     * @param {Array} specs - Item specs placed before this run
+     * @param {number} steps - Actions executed before this run
+     * @param {number} offPath - Consecutive cells outside the shape so far
+     * @param {number} gained - Targets collected in this run
+     */
+    extendWalk(walk, senses, seen, specs, steps, offPath, gained) {
+        if (walk.length >= this.options.maxWalkLength) return;
+
+        // Every move starts from the same state, so conditions are checked once
+        const sensed = this.useConditions
+            ? this.conditions.map(condition => this.simulator.checkCondition(condition))
+            : null;
+
+        this.moves.forEach(type => {
+            const snapshot = this.simulator.snapshot();
+            const step = this.simulator.applyAction(new Action(type));
+            // Where teleporters, ice and conveyors leave a ball counts as on the way
+            const cells = this.isWide ? this.areaCells : this.pathCells;
+            const carried = step.balls.some(isCarried);
+            const onPath = step.balls.every(ball => isCarried(ball) || cells.has(`${ball.to.x},${ball.to.y}`));
+            const nextOffPath = onPath ? 0 : offPath + 1;
+
+            const key = this.getStepKey(step);
+
+            if (nextOffPath <= this.options.maxOffPath && this.isUsefulStep(step, key, seen)) {
+                const nextGained = gained + step.collected.length;
+                walk.push(type);
+                senses.push(sensed);
+                seen.add(key);
+
+                // Riding a tile is progress too; on timed levels single moves may just wait or dodge
+                if (nextGained > 0 || carried || (this.isTimed && walk.length === 1)) {
+                    this.candidatesFor(walk, step.finished, senses).forEach(spec => {
+                        this.search([...specs, spec], steps + walk.length, nextOffPath);
+                    });
+                } else if (this.isWide) {
+                    // Runs that collect nothing only get there with plain moves, blocks and repeats
+                    this.candidatesFor(walk, step.finished, senses)
+                        .filter(spec => PLAIN_KINDS.includes(spec.kind))
+                        .forEach(spec => {
+                            this.search([...specs, spec], steps + walk.length, nextOffPath);
+                        });
+                }
+
+                if (!step.finished && this.canGrow(walk, senses)) {
+                    this.extendWalk(walk, senses, seen, specs, steps, nextOffPath, nextGained);
+                }
+
+                seen.delete(key);
+                senses.pop();
+                walk.pop();
+            }
+
+            this.simulator.restore(snapshot);
+        });
+    }
+
+    /**
+     * Get the key for where a step just left the balls: their cells, their
+     * headings (so turning on the spot counts as going somewhere new) and where
+     * gates and patrols are in their cycle (so waiting does too)
+     * @param {Object} step - Trace step
+     * @returns {string} Key
+     */
+    getStepKey(step) {
+        const { actionsUsed, timeCycle } = this.simulator;
+        const balls = step.balls.map(ball => `${ball.to.x},${ball.to.y},${ball.heading}`).join(';');
+        return `${balls}|${actionsUsed % timeCycle}`;
+    }
+
+    /**
+     * Check whether a step is worth exploring
+     * @param {Object} step - Trace step
+     * @param {string} key - Step key from getStepKey
+     * @param {Set<string>} seen - Step keys already reached in this run
+     * @returns {boolean}
+     */
+    isUsefulStep(step, key, seen) {
+        const changed = step.balls.some(ball => ball.moved || ball.turned);
+        if (!changed && step.type !== ActionType.WAIT) return false;
+
+        // Turning back or all the way round ends up somewhere already seen
+        if (seen.has(key)) return false;
+
+        const targets = this.simulator.targets;
+        return !step.collected.some(index => targets[index].type === TargetType.AVOID || targets[index].outOfOrder);
+    }
+
+    /**
+     * Check if some queue item could still produce a longer version of this run
+     * @param {Array<string>} walk - Action types
+     * @param {Array<Array<boolean>>} senses - Results of this.conditions before each move
+     * @returns {boolean}
+     */
+    canGrow(walk, senses) {
+        const n = walk.length;
+        const maxActions = this.options.maxRecursionActions;
+
+        if (this.useBlocks && n < this.options.maxBlockLength) return true;
+
+        if (this.useRepeat) {
+            const unitMax = this.useBlocks ? this.options.maxBlockLength : 1;
+            const maxBody = unitMax * MAX_ITEMS_IN_REPEAT;
+            for (let bodyLength = 1; bodyLength <= Math.min(n, maxBody); bodyLength++) {
+                if (isPeriodic(walk, bodyLength, n)) return true;
+            }
+        }
+
+        if (this.useRecursion) {
+            for (let preLength = 1; preLength <= maxActions; preLength++) {
+                for (let depth = 2; depth <= MAX_RECURSION_DEPTH; depth++) {
+                    const preSteps = preLength * depth;
+                    if (!isPeriodic(walk, preLength, Math.min(n, preSteps))) break;
+                    if (n < preSteps) return true;
+
+                    // Still room for OUT actions after the IN phase
+                    const rest = walk.slice(preSteps);
+                    for (let postLength = 1; postLength <= maxActions; postLength++) {
+                        if (rest.length < postLength * depth && isPeriodic(rest, postLength, rest.length)) {
+                            return true;
+                        }
+                    }
+                }
+            }
+        }
+
+        if (this.useConditions && n < MAX_REPETITIONS) {
+            if (this.conditions.some((condition, index) => getBranchMoves(walk, senses, index))) return true;
+        }
+
+        return false;
+    }
+
+    /**
+     * Get every queue item whose execution is exactly this run of moves
+     * @param {Array<string>} walk - Action types
+     * @param {boolean} finishing - Run ends on the finish (longer items get cut off there)
+     * @param {Array<Array<boolean>>} senses - Results of this.conditions before each move
+     * @returns {Array} Item specs
+     */
+    candidatesFor(walk, finishing, senses) {
+        const candidates = [];
+        const n = walk.length;
+
+        if (n === 1) {
+            candidates.push({ kind: 'action', type: walk[0] });
+        }
+
+        if (this.useBlocks && n >= 2 && n <= this.options.maxBlockLength) {
+            candidates.push({ kind: 'block', types: [...walk] });
+        }
+
+        if (this.useRepeat) {
+            candidates.push(...this.repeatCandidates(walk, finishing));
+        }
+
+        if (this.useRecursion) {
+            candidates.push(...this.recursionCandidates(walk, finishing));
+        }
+
+        if (this.useConditions) {
+            candidates.push(...this.conditionCandidates(walk, senses));
+            candidates.push(...this.untilCandidates(walk, finishing, senses));
+        }
+
+        return candidates;
+    }
+
+    /**
+     * Until loops of a single action that produce a run of moves: 🔁[a] until c
+     * The condition is checked before every move, so it may only hold after the last one
+     * @param {Array<string>} walk - Action types
+     * @param {boolean} finishing - Run ends on the finish (which also ends the loop)
+     * @param {Array<Array<boolean>>} senses - Results of this.conditions before each move
+     * @returns {Array} Item specs
+     */
+    untilCandidates(walk, finishing, senses) {
+        const candidates = [];
+        const n = walk.length;
+        if (n < 2 || n > MAX_UNTIL_ITERATIONS || !isPeriodic(walk, 1, n)) return candidates;
+
+        this.conditions.forEach((condition, index) => {
+            if (senses.some(sensed => sensed[index])) return;
+
+            // The simulator is still at the end of the run
+            if (finishing || this.simulator.checkCondition(condition)) {
+                candidates.push({ kind: 'until', condition, type: walk[0] });
+            }
+        });
+
+        return candidates;
+    }
+
+    /**
+     * Repeated conditional blocks that produce a run of moves
+     * Only one action per branch is tried: 🔁[❓ then:a else:b]×n
+     * @param {Array<string>} walk - Action types
+     * @param {Array<Array<boolean>>} senses - Results of this.conditions before each move
+     * @returns {Array} Item specs
+     */
+    conditionCandidates(walk, senses) {
+        const candidates = [];
+        const n = walk.length;
+        if (n < 2 || n > MAX_REPETITIONS) return candidates;
+
+        this.conditions.forEach((condition, index) => {
+            const branches = getBranchMoves(walk, senses, index);
+
+            // A branch that never runs makes it a plain repeat
+            if (branches && branches.then && branches.else) {
+                candidates.push({ kind: 'condition', count: n, condition, then: branches.then, else: branches.else });
+            }
+        });
+
+        return candidates;
+    }
+
+    /**
+     * Repeat blocks that produce a run of moves
+     * @param {Array<string>} walk - Action types
+     * @param {boolean} finishing - Run ends on the finish
+     * @returns {Array} Item specs
+     */
+    repeatCandidates(walk, finishing) {
+        const candidates = [];
+        const n = walk.length;
+        const unitMax = this.useBlocks ? this.options.maxBlockLength : 1;
+        const maxBody = Math.min(n, unitMax * MAX_ITEMS_IN_REPEAT);
+
+        for (let bodyLength = 1; bodyLength <= maxBody; bodyLength++) {
+            if (!isPeriodic(walk, bodyLength, n)) continue;
+
+            let count = n / bodyLength;
+            if (!Number.isInteger(count)) {
+                if (!finishing) continue;
+                count = Math.ceil(count);
+            }
+            if (count < 2 || count > MAX_REPETITIONS) continue;
+
+            const body = splitIntoUnits(walk.slice(0, bodyLength), unitMax);
+            if (body) {
+                candidates.push({ kind: 'repeat', count, body });
+            }
+        }
+
+        return candidates;
+    }
+
+    /**
+     * Recursive groups that produce a run of moves
+     * Expansion of IN=pre, OUT=post at depth d is pre×d followed by post×d
+     * (depth 1 is just a block, so the search starts at depth 2)
+     * @param {Array<string>} walk - Action types
+     * @param {boolean} finishing - Run ends on the finish
+     * @returns {Array} Item specs
+     */
+    recursionCandidates(walk, finishing) {
+        const candidates = [];
+        const n = walk.length;
+        const maxActions = this.options.maxRecursionActions;
+
+        for (let preLength = 1; preLength <= maxActions; preLength++) {
+            for (let depth = 2; depth <= MAX_RECURSION_DEPTH; depth++) {
+                const preSteps = preLength * depth;
+                if (preSteps > n) break;
+                if (!isPeriodic(walk, preLength, preSteps)) continue;
+
+                const pre = walk.slice(0, preLength);
+                const rest = walk.slice(preSteps);
+
+                if (rest.length === 0) {
+                    candidates.push({ kind: 'recursion', pre, post: [], depth });
+                    continue;
+                }
+
+                const minPost = Math.ceil(rest.length / depth);
+                const maxPost = finishing ? Math.min(rest.length, maxActions) : minPost;
+
+                for (let postLength = minPost; postLength <= maxPost; postLength++) {
+                    if (postLength > maxActions) break;
+                    if (!finishing && postLength * depth !== rest.length) continue;
+                    if (!isPeriodic(rest, postLength, rest.length)) continue;
+
+                    candidates.push({
+                        kind: 'recursion',
+                        pre,
+                        post: rest.slice(0, postLength),
+                        depth
+                    });
+                }
+            }
+        }
+
+        return candidates;
+    }
+
+    /**
+     * Check if the current state solves the level
+     * @returns {boolean}
+     */
+    isSolved() {
+        if (this.simulator.actionsUsed === 0) return false;
+        if (this.hasFinish && !this.simulator.isFinished) return false;
+        return this.simulator.checkWinCondition().won;
+    }
+
+    /**
+     * Check if one more item could still beat the best programs found so far
+     * @param {number} itemCount - Items used
+     * @param {number} steps - Actions executed
+     * @returns {boolean}
+     */
+    canImprove(itemCount, steps) {
+        const fewerItems = !this.bestByItems || itemCount + 1 <= this.bestByItems.itemCount;
+        const fewerSteps = !this.bestBySteps || steps + 1 < this.bestBySteps.steps;
+        return fewerItems || fewerSteps;
+    }
+
+    /**
+     * Skip states already reached with no more items and no more steps
+     * @param {number} itemCount - Items used
+     * @param {number} steps - Actions executed
+     * @returns {boolean} True if dominated
+     */
+    isDominated(itemCount, steps) {
+        const key = this.simulator.getStateKey();
+        const seen = this.visited.get(key) || [];
+
+        if (seen.some(entry => entry.itemCount <= itemCount && entry.steps <= steps)) {
+            return true;
+        }
+
+        seen.push({ itemCount, steps });
+        this.visited.set(key, seen);
+        return false;
+    }
+
+    /**
+     * Keep the best programs found so far
+     * @param {Array} specs - Item specs
+     * @param {number} steps - Actions executed
+     */
+    recordSolution(specs, steps) {
+        const candidate = { specs: [...specs], itemCount: specs.length, steps };
+
+        const byItems = this.bestByItems;
+        if (!byItems || candidate.itemCount < byItems.itemCount ||
+            (candidate.itemCount === byItems.itemCount && candidate.steps < byItems.steps)) {
+            this.bestByItems = candidate;
+        }
+
+        const bySteps = this.bestBySteps;
+        if (!bySteps || candidate.steps < bySteps.steps ||
+            (candidate.steps === bySteps.steps && candidate.itemCount < bySteps.itemCount)) {
+            this.bestBySteps = candidate;
+        }
+    }
+
+    /**
+     * Turn item specs into real queue items and verify them
+     * @param {Array} specs - Item specs
+     * @returns {Object|null} { items, groups, recursiveGroups, itemCount, steps, description }
+     */
+    buildSolution(specs) {
+        const groups = [];
+        const recursiveGroups = [];
+
+        // Reuse one saved block per distinct sequence
+        const groupFor = types => {
+            const key = types.join(',');
+            let group = groups.find(g => g.actions.map(a => a.type).join(',') === key);
+            if (!group) {
+                group = new ActionGroup();
+                types.forEach(type => group.addActionByType(type));
+                groups.push(group);
+            }
+            return group;
+        };
+
+        const buildUnit = spec => {
+            if (spec.kind === 'block') {
+                return new GroupReference(groupFor(spec.types));
+            }
+            return new Action(spec.type);
+        };
+
+        const items = specs.map(spec => {
+            switch (spec.kind) {
+                case 'block':
+                    return buildUnit(spec);
+
+                case 'repeat': {
+                    const repeat = new RepeatBlock(spec.count);
+                    spec.body.forEach(unit => repeat.addItem(buildUnit(unit)));
+                    return repeat;
+                }
+
+                case 'condition': {
+                    const conditional = new ConditionalBlock(spec.condition);
+                    conditional.addAction(new Action(spec.then), true);
+                    conditional.addAction(new Action(spec.else), false);
+                    const repeat = new RepeatBlock(spec.count);
+                    repeat.addItem(conditional);
+                    return repeat;
+                }
+
+                case 'until': {
+                    const repeat = new RepeatBlock();
+                    repeat.setUntil(spec.condition);
+                    repeat.addItem(new Action(spec.type));
+                    return repeat;
+                }
+
+                case 'recursion': {
+                    const group = new RecursiveGroup();
+                    spec.pre.forEach(type => group.addPreAction(new Action(type)));
+                    spec.post.forEach(type => group.addPostAction(new Action(type)));
+                    group.setMaxDepth(spec.depth);
+                    recursiveGroups.push(group);
+                    return new RecursiveReference(group);
+                }
+
+                case 'action':
+                default:
+                    return buildUnit(spec);
+            }
+        });
+
+        const result = simulate(this.level, items);
+        if (!result.won) {
+            console.warn('Solver produced a program that does not solve the level', specs);
+            return null;
+        }
+
+        return {
+            items,
+            groups,
+            recursiveGroups,
+            itemCount: items.length,
+            steps: result.actionsUsed,
+            description: describeProgram(items)
+        };
+    }
+}
+
+/**
+ * Check if a tile carried a ball further than its own step: a teleport,
+ * or a slide on ice or a conveyor
+ * @param {Object} ball - Ball entry of a trace step
+ * @returns {boolean}
+ */
+function isCarried(ball) {
+    const distance = Math.abs(ball.to.x - ball.from.x) + Math.abs(ball.to.y - ball.from.y);
+    return ball.teleported || (!ball.wrapped && distance > 1);
+}
+
+/**
+ * Get the cells in the box around some positions, grown by one cell and
+ * clipped to the board
+ * @param {Array<Object>} positions - Objects with x and y
+ * @param {Level} level - Level (for the board size)
+ * @returns {Set<string>} "x,y" keys
+ */
+function getAreaCells(positions, level) {
+    const xs = positions.map(p => p.x);
+    const ys = positions.map(p => p.y);
+    const cells = new Set();
+
+    for (let x = Math.max(0, Math.min(...xs) - 1); x <= Math.min(level.gridCols - 1, Math.max(...xs) + 1); x++) {
+        for (let y = Math.max(0, Math.min(...ys) - 1); y <= Math.min(level.gridRows - 1, Math.max(...ys) + 1); y++) {
+            cells.add(`${x},${y}`);
+        }
+    }
+
+    return cells;
+}
+
+/**
+ * Check if a sequence repeats with a given period
+ * @param {Array} sequence - Sequence to check
+ * @param {number} period - Period length
+ * @param {number} length - Number of elements to check
+ * @returns {boolean}
+ */
+function isPeriodic(sequence, period, length) {
+    for (let i = period; i < length; i++) {
+        if (sequence[i] !== sequence[i % period]) return false;
+    }
+    return true;
+}
+
+/**
+ * Work out the single move each branch of a condition makes along a run
+ * @param {Array<string>} walk - Action types
+ * @param {Array<Array<boolean>>} senses - Condition results before each move
+ * @param {number} index - Condition index in the solver's conditions
+ * @returns {Object|null} { then, else } (null for a branch that never ran), or null if no one move per branch fits
+ */
+function getBranchMoves(walk, senses, index) {
+    const branches = { then: null, else: null };
+
+    for (let i = 0; i < walk.length; i++) {
+        const branch = senses[i][index] ? 'then' : 'else';
+        if (branches[branch] === null) {
+            branches[branch] = walk[i];
+        } else if (branches[branch] !== walk[i]) {
+            return null;
+        }
+    }
+
+    return branches;
+}
+
+/**
+ * Split a repeat body into at most MAX_ITEMS_IN_REPEAT units
+ * @param {Array<string>} types - Body action types
+ * @param {number} unitMax - Longest unit (1 = arrows only)
+ * @returns {Array|null} Unit specs or null if it does not fit
+ */
+function splitIntoUnits(types, unitMax) {
+    const toUnit = part => (part.length === 1
+        ? { kind: 'action', type: part[0] }
+        : { kind: 'block', types: part });
+
+    if (types.length <= unitMax) {
+        return [toUnit(types)];
+    }
+
+    for (let first = 1; first < types.length; first++) {
+        const head = types.slice(0, first);
+        const tail = types.slice(first);
+        if (head.length <= unitMax && tail.length <= unitMax) {
+            return [toUnit(head), toUnit(tail)];
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Describe a program in the notation used by level hints
+ * @param {Array} items - Queue items
+ * @returns {string} Description like "🔁[→]×4 [→↓]"
+ */
+export function describeProgram(items) {
+    return items.map(item => {
+        if (item.isRepeatBlock && item.isRepeatBlock()) {
+            return `🔁[${item.items.map(i => describeProgram([i])).join('')}]${item.getCountDisplay()}`;
+        }
+        if (item.isConditionalBlock && item.isConditionalBlock()) {
+            const then = item.thenActions.map(a => a.getIcon()).join('');
+            const otherwise = item.elseActions.map(a => a.getIcon()).join('');
+            return `❓${item.getConditionLabel()}[${then}:${otherwise}]`;
+        }
+        if (item.isRecursiveReference && item.isRecursiveReference()) {
+            const pre = item.group.preActions.map(a => a.getIcon()).join('');
+            const post = item.group.postActions.map(a => a.getIcon()).join('');
+            return `🌀 IN:[${pre}] OUT:[${post}] ${item.getDepthDisplay()}`;
+        }
+        if (item.isGroupReference && item.isGroupReference()) {
+            const args = item.getArgsLabel();
+            return `[${item.group.getCompactView()}]${args ? `(${args})` : ''}`;
+        }
+        return ActionIcons[item.type] || '?';
+    }).join(' ');
+}
+
+/**
+ * Solve a single level
+ * @param {Level} level - Level to solve
+ * @param {Object} options - Overrides for SOLVER_DEFAULTS
+ * @returns {Object} Solver result
+ */
+export function solveLevel(level, options = {}) {
+    return new Solver(level, options).solve();
+}
+
+/**
+ * Check that every level config is solvable within its queue limit
+ * @param {Array<Object>} configs - Level configs (defaults to LEVELS)
+ * @param {Object} options - Overrides for SOLVER_DEFAULTS
+ * @returns {Array<Object>} One report row per level
+ */
+export function checkLevels(configs = LEVELS, options = {}) {
+    return configs.map(config => {
+        const level = new Level(config);
+        const result = solveLevel(level, options);
+
+        return {
+            id: level.id,
+            name: level.name,
+            maxQueueSize: level.maxQueueSize,
+            solvable: result.solvable,
+            minItems: result.minItems?.itemCount ?? null,
+            minSteps: result.minSteps?.steps ?? null,
+            program: result.minItems?.description ?? '',
+            exhausted: result.exhausted
+        };
+    });
+}
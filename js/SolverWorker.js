@@ -0,0 +1,143 @@
+/**
+ * SolverWorker Class
+ * Runs solver tasks in a Web Worker, so the page keeps responding while
+ * they search. Where the worker can't start (no module workers), tasks
+ * run on the page instead.
+ */
+
+import { Level } from './Level.js';
+import { solveLevel, describeProgram } from './Solver.js';
+import { generateLevel, generateDailyLevel } from './LevelGenerator.js';
+
+/**
+ * Solver task types
+ */
+export const SolverTask = {
+    HINT: 'hint',
+    GENERATE: 'generate',
+    DAILY: 'daily'
+};
+
+/**
+ * What each task does: it gets and returns plain data, since messages
+ * to and from the worker can't carry queue items
+ */
+export const SolverTasks = {
+    [SolverTask.HINT]: config => describeResult(solveLevel(new Level(config))),
+    [SolverTask.GENERATE]: options => generateLevel(options),
+    [SolverTask.DAILY]: time => generateDailyLevel(new Date(time))
+};
+
+/**
+ * Turn a solver result into plain data for the hint
+ * @param {Object} result - Result from solveLevel()
+ * @returns {Object} { solvable, minItems, minSteps, exhausted, nodes } with
+ *     solutions as { itemCount, steps, description, itemDescriptions }
+ */
+function describeResult(result) {
+    const describe = solution => solution && {
+        itemCount: solution.itemCount,
+        steps: solution.steps,
+        description: solution.description,
+        itemDescriptions: solution.items.map(item => describeProgram([item]))
+    };
+
+    return {
+        solvable: result.solvable,
+        minItems: describe(result.minItems),
+        minSteps: describe(result.minSteps),
+        exhausted: result.exhausted,
+        nodes: result.nodes
+    };
+}
+
+export class SolverWorker {
+    /**
+     * Create the worker client (the worker starts with the first task)
+     */
+    constructor() {
+        this.worker = null;
+        this.failed = false;
+
+        // Tasks sent to the worker: id -> { type, data, resolve, reject }
+        this.pending = new Map();
+        this.nextId = 0;
+    }
+
+    /**
+     * Run a task
+     * @param {string} type - SolverTask value
+     * @param {*} data - Task input
+     * @returns {Promise} Task result
+     */
+    run(type, data) {
+        return new Promise((resolve, reject) => {
+            const task = { type, data, resolve, reject };
+            const worker = this.getWorker();
+            if (!worker) {
+                this.runHere(task);
+                return;
+            }
+
+            const id = this.nextId++;
+            this.pending.set(id, task);
+            worker.postMessage({ id, type, data });
+        });
+    }
+
+    /**
+     * Get the worker, starting it if needed
+     * @returns {Worker|null} Worker, or null if it can't run
+     */
+    getWorker() {
+        if (this.worker || this.failed) return this.worker;
+
+        try {
+            this.worker = new Worker(new URL('./worker.js', import.meta.url), { type: 'module' });
+        } catch (e) {
+            this.failed = true;
+            return null;
+        }
+
+        this.worker.addEventListener('message', ({ data }) => {
+            const task = this.pending.get(data.id);
+            if (!task) return;
+
+            this.pending.delete(data.id);
+            if (data.error) {
+                task.reject(new Error(data.error));
+            } else {
+                task.resolve(data.result);
+            }
+        });
+
+        // Task errors come back as messages, so this is the script failing to load
+        this.worker.addEventListener('error', event => {
+            event.preventDefault();
+            this.worker.terminate();
+            this.worker = null;
+            this.failed = true;
+
+            const tasks = [...this.pending.values()];
+            this.pending.clear();
+            tasks.forEach(task => this.runHere(task));
+        });
+
+        return this.worker;
+    }
+
+    /**
+     * Run a task on the page
+     * @param {Object} task - { type, data, resolve, reject }
+     */
+    runHere(task) {
+        // Let messages paint before the task blocks the page
+        setTimeout(() => {
+            try {
+                task.resolve(SolverTasks[task.type](task.data));
+            } catch (e) {
+                task.reject(e);
+            }
+        }, 50);
+    }
+}
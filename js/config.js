@@ -38,6 +38,7 @@ export const CONFIG = {
         fps: 60,
         moveSpeed: 200,         // Pixels per second
         actionDuration: 300,    // Duration of each action in ms
+        speeds: [0.25, 0.5, 1, 2, 4], // Playback speed choices (plus instant)
         easingFunction: 'easeInOutCubic'
     },
 
@@ -46,9 +47,8 @@ export const CONFIG = {
         maxQueueSize: 50        // Maximum actions in queue (generous limit)
     },
 
-    // Game Settings
+    // Game Settings (level count comes from the active level pack)
     game: {
-        totalLevels: 14,
         startLevel: 1
     }
 };
@@ -45,7 +45,7 @@ document.addEventListener('DOMContentLoaded', () => {
     
     console.log('StartSchool Logic Game - Phase 9: Analytics & Accessibility');
     console.log('');
-    console.log('🎮 14 levels with fun shapes!');
+    console.log(`🎮 ${game.levelManager.levels.length} levels with fun shapes!`);
     console.log('');
     console.log('✨ Features:');
     console.log('  🏆 22 Achievements');
@@ -0,0 +1,16 @@
+/**
+ * Worker Entry Point
+ * Runs the tasks SolverWorker sends, off the page's main thread
+ */
+
+import { SolverTasks } from './SolverWorker.js';
+
+self.addEventListener('message', ({ data }) => {
+    const { id, type, data: input } = data;
+
+    try {
+        self.postMessage({ id, result: SolverTasks[type](input) });
+    } catch (e) {
+        self.postMessage({ id, error: e.message });
+    }
+});